@@ -1,113 +1,128 @@
-import { openai } from "@ai-sdk/openai"
-import { generateText } from "ai"
+import { runToolLoop, TOOL_DEFINITIONS } from "./server/chat-tools.js"
+import { filterRecords, parseQuery, runQuery } from "./server/query.js"
+import { analyzeDataset, describeAnalysis } from "./server/analysis.js"
+import { createRetriever, DEFAULT_TOP_K } from "./server/retrieval.js"
+import { createLLMFromEnv } from "./server/llm.js"
+import { fillBlanks } from "./server/normalize.js"
+
+// Same provider and model as the Express server, configured through the LLM_* environment variables
+const llm = createLLMFromEnv()
+
+// Rows of a tool result sent back to the model
+const SAMPLE_SIZE = 10
+
+// Finds the records relevant to a query with the local index
+const retriever = createRetriever()
 
 /**
- * Processes a user query with AI and returns a response
+ * Processes a user query with AI and returns a response. The model decides what to do
+ * through the same tools as the /api/chat endpoint
  * @param {string} query - The user's query
  * @param {Object} sessionData - Data from the current session
  * @returns {Object} - AI response with text and processed results
  */
 export async function processQuery(query, sessionData) {
   try {
-    // Check if the query contains a URL
-    const urlRegex = /(https?:\/\/[^\s]+)/g
-    const urls = query.match(urlRegex) || []
-
     let scrapedData = sessionData.results || []
-    let responseText = ""
-    const isPaginationRequest =
-      query.toLowerCase().includes("next page") ||
-      query.toLowerCase().includes("more results") ||
-      (query.toLowerCase().includes("page") && /\d+/.test(query))
-
-    // Check for page range requests (e.g., "page 1 to 2" or "pages 1-3")
-    const pageRangeMatch = query.match(/page[s]?\s+(\d+)\s*(?:to|-)\s*(\d+)/i)
-    const pageRange = pageRangeMatch
-      ? { start: Number.parseInt(pageRangeMatch[1]), end: Number.parseInt(pageRangeMatch[2]) }
-      : null
-
-    // If the query contains URLs and is asking to scrape/extract data
-    if (
-      (urls.length > 0 &&
-        (query.toLowerCase().includes("get") ||
-          query.toLowerCase().includes("extract") ||
-          query.toLowerCase().includes("scrape") ||
-          query.toLowerCase().includes("find"))) ||
-      isPaginationRequest
-    ) {
-      // First, try to scrape the URLs if they're not already in the results
-      try {
-        console.log("Attempting to scrape URL or pagination:", isPaginationRequest ? "pagination request" : urls[0])
-        // Make a request to the scrape API
-        const response = await fetch(`/api/scrape`, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            url: urls[0] || sessionData.lastUrl,
-            pagination: isPaginationRequest,
-            pageRange: pageRange,
-            sessionId: sessionData.sessionId,
-          }),
-        })
-
-        if (response.ok) {
-          const data = await response.json()
-          console.log("Scrape response:", data)
-          if (data.results && Array.isArray(data.results)) {
-            scrapedData = data.results
-            console.log("Scraped data:", scrapedData)
-          }
-        } else {
-          console.error("Scrape request failed:", await response.text())
-        }
-      } catch (error) {
-        console.error("Error scraping URL:", error)
+    let results = scrapedData
+
+    // Scraping tools call the scrape API
+    const scrape = async (body) => {
+      const response = await fetch(`/api/scrape`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ url: sessionData.lastUrl, ...body, sessionId: sessionData.sessionId }),
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        console.error("Scrape request failed:", data)
+        return { error: data.error || "The scrape request failed", details: data.details, sources: data.sources }
       }
-    }
 
-    // Check for filtering requests
-    if (query.toLowerCase().includes("filter")) {
-      scrapedData = processResults(query, sessionData.results || [])
+      scrapedData = data.results || []
+      results = scrapedData
+      const summary = {
+        message: data.message,
+        totalItems: scrapedData.length,
+        sample: scrapedData.slice(0, SAMPLE_SIZE),
+      }
+      // Batch scrapes report how each URL went, failed ones included
+      return data.sources ? { ...summary, sources: data.sources } : summary
     }
 
-    // Process data to replace empty values with '-'
-    scrapedData = scrapedData.map((item) => {
-      const processedItem = { ...item }
-      Object.keys(processedItem).forEach((key) => {
-        if (!processedItem[key] || processedItem[key].trim() === "") {
-          processedItem[key] = "-"
+    const handlers = {
+      scrape_url: ({ url, extractor, render, details }) => scrape({ url, extractor, render, details }),
+      scrape_urls: ({ urls, render, details }) =>
+        scrape({
+          urls: urls.map(({ url, start, end, extractor }) => ({
+            url,
+            ...(start ? { pageRange: { start, end: end || start } } : {}),
+            ...(extractor ? { extractor } : {}),
+          })),
+          render,
+          details,
+        }),
+      next_page: () => scrape({ pagination: true }),
+      scrape_page_range: ({ start, end, url }) => scrape({ ...(url ? { url } : {}), pageRange: { start, end } }),
+      filter_results: ({ query: rawQuery }) => {
+        const { query: parsedQuery, errors } = parseQuery(rawQuery)
+        if (errors) {
+          return { error: "Invalid query", details: errors }
         }
-      })
-      return processedItem
-    })
+        // Row queries narrow the returned results; grouped ones only answer the question
+        if (!parsedQuery.groupBy) {
+          results = filterRecords(scrapedData, parsedQuery.where)
+        }
+        return runQuery(scrapedData, parsedQuery)
+      },
+      compare_snapshots: async ({ url, since, until }) => {
+        const params = new URLSearchParams({ url: url || sessionData.lastUrl || "" })
+        if (since) params.set("from", since)
+        if (until) params.set("to", until)
+        const response = await fetch(`/api/diff?${params}`)
+        const data = await response.json()
+        return response.ok ? data : { error: data.error || "The comparison failed", details: data.details }
+      },
+      export_results: ({ format, all }) => ({
+        format,
+        path: `/api/sessions/${sessionData.sessionId}/export?format=${format}${all ? "&all=true" : ""}`,
+      }),
+    }
+
+    const tools = {
+      definitions: TOOL_DEFINITIONS,
+      execute: async (name, args) => (handlers[name] ? handlers[name](args) : { error: `Unknown tool: ${name}` }),
+    }
 
     // Build context from previous conversation and available data
-    const context = buildContext({
-      ...sessionData,
-      results: scrapedData,
-    })
+    const context = await buildContext(sessionData, query)
 
-    // Generate AI response using the AI SDK
-    const { text } = await generateText({
-      model: openai("gpt-4o"),
-      prompt: `
+    const prompt = `
         ${context}
         
         User query: ${query}
         
-        Please respond to the user query based on the available data. 
-        If the query requires filtering or processing the data, please do so and explain the results.
+        Please respond to the user query based on the available data, using the tools to scrape pages,
+        filter, sort or count the data, or export it. Report the numbers returned by the tools as they are.
         If the data has been scraped, analyze and present the information in a helpful way.
         If no data is available yet, suggest how the user might proceed.
         IMPORTANT: DO NOT say you don't have access to the data. The data has already been scraped and is available to you in the context.
-      `,
+      `
+
+    // Generate the response, letting the model call tools for a few rounds
+    const text = await runToolLoop({
+      llm,
+      messages: [{ role: "user", content: prompt }],
+      tools,
+      context: { emit: () => {} },
     })
 
-    responseText = text
+    // Process data to replace empty values with '-'
+    results = results.map(fillBlanks)
 
     return {
-      text: responseText,
-      results: scrapedData,
+      text,
+      results,
     }
   } catch (error) {
     console.error("AI processing error:", error)
@@ -118,12 +133,23 @@ export async function processQuery(query, sessionData) {
   }
 }
 
+/**
+ * Summarizes text with the model for the dataset analysis
+ * @param {Array} messages - Chat messages
+ * @returns {Promise<string>} - The model's reply
+ */
+async function summarize(messages) {
+  const { content } = await llm.chat({ messages })
+  return content || ""
+}
+
 /**
  * Builds context from session data for the AI
  * @param {Object} sessionData - Data from the current session
- * @returns {string} - Context string for the AI
+ * @param {string} query - The user's query, used to pick the relevant records
+ * @returns {Promise<string>} - Context string for the AI
  */
-function buildContext(sessionData) {
+async function buildContext(sessionData, query) {
   let context = ""
 
   // Add previous messages (limit to last 5 for token management)
@@ -136,60 +162,17 @@ function buildContext(sessionData) {
     context += "\n"
   }
 
-  // Add available data with more detailed information
+  // Add all of the available data, summarized chunk by chunk when it is too large for the prompt
   if (sessionData.results && sessionData.results.length > 0) {
     context += "Available data from scraping:\n"
-    // Limit the amount of data to avoid token limits
-    const sampleSize = Math.min(sessionData.results.length, 20)
-    context += `Total items: ${sessionData.results.length}\n`
-    context += `Sample of ${sampleSize} items:\n`
-    context += JSON.stringify(sessionData.results.slice(0, sampleSize), null, 2)
-    context += "\n"
-
-    // Add a summary of the data
-    context += "Data summary:\n"
-    const locations = new Set(sessionData.results.map((item) => item.location).filter((loc) => loc && loc !== "-"))
-    context += `- Locations: ${Array.from(locations).join(", ")}\n`
-    context += `- Total breeders: ${sessionData.results.length}\n\n`
+    const analysis = await analyzeDataset(sessionData.results, { summarize, cached: sessionData.analysis })
+    const hits = analysis.mode === "direct" ? [] : await retriever.retrieve(sessionData.results, query)
+    context +=
+      hits.length > 0
+        ? describeAnalysis(analysis, hits.map(({ record }) => record), { relevant: true })
+        : describeAnalysis(analysis, sessionData.results.slice(0, DEFAULT_TOP_K))
+    context += "\n\n"
   }
 
   return context
 }
-
-/**
- * Processes results based on the user query
- * @param {string} query - The user's query
- * @param {Array} results - Current results
- * @returns {Array} - Processed results
- */
-function processResults(query, results) {
-  if (!results || results.length === 0) {
-    return []
-  }
-
-  // Check for filtering requests
-  if (query.toLowerCase().includes("filter")) {
-    // Extract filter criteria with improved regex
-    const locationMatch = query.match(/location\s+([A-Za-z0-9\s]+)/i)
-    const nameMatch = query.match(/name\s+([A-Za-z0-9\s]+)/i)
-    const phoneMatch = query.match(/phone\s+([A-Za-z0-9\s\-$$$$]+)/i)
-
-    const filters = {}
-
-    if (locationMatch) filters.location = locationMatch[1].trim()
-    if (nameMatch) filters.name = nameMatch[1].trim()
-    if (phoneMatch) filters.phone = phoneMatch[1].trim()
-
-    // Apply filters with more flexible matching
-    if (Object.keys(filters).length > 0) {
-      return results.filter((item) => {
-        return Object.entries(filters).every(([field, value]) => {
-          return item[field] && item[field].toLowerCase().includes(value.toLowerCase())
-        })
-      })
-    }
-  }
-
-  // Return original results if no processing needed
-  return results
-}
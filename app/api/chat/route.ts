@@ -1,4 +1,5 @@
 import { type NextRequest, NextResponse } from "next/server"
+import { ownerHeaders } from "@/lib/backend"
 
 export async function POST(request: NextRequest) {
   try {
@@ -9,46 +10,13 @@ export async function POST(request: NextRequest) {
 
     console.log("Received request body:", JSON.stringify(body, null, 2))
 
-    // Check if we need to scrape first
-    const urls = body.urls || []
-    if (
-      urls.length > 0 &&
-      (body.message.toLowerCase().includes("get") ||
-        body.message.toLowerCase().includes("extract") ||
-        body.message.toLowerCase().includes("scrape") ||
-        body.message.toLowerCase().includes("find")) &&
-      !body.isFollowUp // Skip scraping for follow-up analysis
-    ) {
-      try {
-        console.log("Attempting to scrape URL:", urls[0])
-        // Try to scrape the URL first
-        const scrapeResponse = await fetch(`${backendUrl}/api/scrape`, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({ url: urls[0] }),
-        })
-
-        if (!scrapeResponse.ok) {
-          console.error("Scrape request failed:", await scrapeResponse.text())
-        } else {
-          console.log("Scrape successful")
-        }
-      } catch (scrapeError) {
-        console.error("Error pre-scraping URL:", scrapeError)
-      }
-    }
-
     console.log(
       "Sending request to backend:",
       JSON.stringify(
         {
           message: body.message,
-          urls: body.urls || [],
           sessionId: body.sessionId,
-          isFollowUp: body.isFollowUp || false,
-          originalQuery: body.originalQuery || null,
+          stream: body.stream || false,
         },
         null,
         2,
@@ -60,23 +28,49 @@ export async function POST(request: NextRequest) {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
+        // The key stays on the server; the browser never sees it
+        ...(process.env.API_KEY ? { "X-API-Key": process.env.API_KEY } : {}),
+        ...ownerHeaders(request),
       },
       body: JSON.stringify({
         message: body.message,
-        urls: body.urls || [],
         sessionId: body.sessionId,
         scrapedData: body.scrapedData,
-        isFollowUp: body.isFollowUp || false,
-        originalQuery: body.originalQuery || null,
+        stream: body.stream || false,
       }),
     })
 
     if (!response.ok) {
       const errorText = await response.text()
       console.error("Backend error:", errorText)
+
+      // Quota and rate limit errors say when to retry, so the client can count down
+      if (response.status === 429) {
+        try {
+          const retryAfter = response.headers.get("retry-after")
+          return NextResponse.json(JSON.parse(errorText), {
+            status: 429,
+            headers: retryAfter ? { "Retry-After": retryAfter } : undefined,
+          })
+        } catch {
+          // Not JSON, fall through to the generic error
+        }
+      }
+
       return NextResponse.json({ error: "Error from backend service", details: errorText }, { status: response.status })
     }
 
+    // Pass streamed replies straight through to the browser
+    if (response.headers.get("content-type")?.includes("text/event-stream")) {
+      return new Response(response.body, {
+        headers: {
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache, no-transform",
+          Connection: "keep-alive",
+        },
+      })
+    }
+
     const data = await response.json()
     console.log("Received response from backend:", JSON.stringify(data, null, 2))
     return NextResponse.json(data)
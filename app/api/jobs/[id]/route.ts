@@ -0,0 +1,7 @@
+import type { NextRequest } from "next/server"
+import { proxyToBackend } from "@/lib/backend"
+
+// Cancel a page range crawl
+export async function DELETE(request: NextRequest, { params }: { params: { id: string } }) {
+  return proxyToBackend(request, `/api/jobs/${encodeURIComponent(params.id)}`)
+}
@@ -0,0 +1,7 @@
+import type { NextRequest } from "next/server"
+import { proxyToBackend } from "@/lib/backend"
+
+// Propose an extraction schema for a page whose layout isn't known
+export async function POST(request: NextRequest) {
+  return proxyToBackend(request, "/api/scrape/infer")
+}
@@ -1,31 +1,77 @@
 import { type NextRequest, NextResponse } from "next/server"
+import { ownerHeaders } from "@/lib/backend"
 
 export async function POST(request: NextRequest) {
   try {
     const body = await request.json()
-    const { url, pagination, pageRange, sessionId } = body
+    const {
+      url,
+      urls,
+      concurrency,
+      pagination,
+      pageRange,
+      sessionId,
+      extractor,
+      schema,
+      saveSchema,
+      paginationStrategy,
+      render,
+      details,
+      dedupe,
+    } = body
 
-    if (!url && !pagination) {
+    if (!url && !urls && !pagination) {
       return NextResponse.json({ error: "URL is required for initial scraping" }, { status: 400 })
     }
 
     // Get the backend URL from environment variables
     const backendUrl = process.env.API_URL || "https://scraping-ai-chat-production.up.railway.app"
 
-    console.log("Sending scrape request to backend:", url || "pagination request")
+    console.log("Sending scrape request to backend:", url || (urls ? `${urls.length} URLs` : "pagination request"))
 
     // Make a direct request to the backend
     const response = await fetch(`${backendUrl}/api/scrape`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
+        // The key stays on the server; the browser never sees it
+        ...(process.env.API_KEY ? { "X-API-Key": process.env.API_KEY } : {}),
+        ...ownerHeaders(request),
       },
-      body: JSON.stringify({ url, pagination, pageRange, sessionId }),
+      body: JSON.stringify({
+        url,
+        urls,
+        concurrency,
+        pagination,
+        pageRange,
+        sessionId,
+        extractor,
+        schema,
+        saveSchema,
+        paginationStrategy,
+        render,
+        details,
+        dedupe,
+      }),
     })
 
     if (!response.ok) {
       const errorText = await response.text()
       console.error("Backend scraping error:", errorText)
+
+      // Validation and quota errors (e.g. a bad extraction schema) are meant for the user, so pass them through
+      if (response.status === 400 || response.status === 429) {
+        try {
+          const retryAfter = response.headers.get("retry-after")
+          return NextResponse.json(JSON.parse(errorText), {
+            status: response.status,
+            headers: retryAfter ? { "Retry-After": retryAfter } : undefined,
+          })
+        } catch {
+          // Not JSON, fall through to the generic error
+        }
+      }
+
       return NextResponse.json(
         { error: "Error from scraping service", details: errorText },
         { status: response.status },
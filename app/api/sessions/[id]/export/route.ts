@@ -0,0 +1,7 @@
+import type { NextRequest } from "next/server"
+import { proxyToBackend } from "@/lib/backend"
+
+// Download the session's scraped data; format and all are passed on in the query string
+export async function GET(request: NextRequest, { params }: { params: { id: string } }) {
+  return proxyToBackend(request, `/api/sessions/${encodeURIComponent(params.id)}/export`)
+}
@@ -0,0 +1,7 @@
+import type { NextRequest } from "next/server"
+import { proxyToBackend } from "@/lib/backend"
+
+// Branch a conversation into a new session
+export async function POST(request: NextRequest, { params }: { params: { id: string } }) {
+  return proxyToBackend(request, `/api/sessions/${encodeURIComponent(params.id)}/fork`)
+}
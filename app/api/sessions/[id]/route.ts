@@ -0,0 +1,18 @@
+import type { NextRequest } from "next/server"
+import { proxyToBackend } from "@/lib/backend"
+
+type Context = { params: { id: string } }
+
+// Resume a conversation
+export async function GET(request: NextRequest, { params }: Context) {
+  return proxyToBackend(request, `/api/sessions/${encodeURIComponent(params.id)}`)
+}
+
+// Rename a conversation
+export async function PATCH(request: NextRequest, { params }: Context) {
+  return proxyToBackend(request, `/api/sessions/${encodeURIComponent(params.id)}`)
+}
+
+export async function DELETE(request: NextRequest, { params }: Context) {
+  return proxyToBackend(request, `/api/sessions/${encodeURIComponent(params.id)}`)
+}
@@ -0,0 +1,7 @@
+import type { NextRequest } from "next/server"
+import { proxyToBackend } from "@/lib/backend"
+
+// The conversations listed in the sidebar
+export async function GET(request: NextRequest) {
+  return proxyToBackend(request, "/api/sessions")
+}
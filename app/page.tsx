@@ -9,38 +9,370 @@ import { Card, CardContent, CardFooter, CardHeader, CardTitle } from "@/componen
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
 import { ScrollArea } from "@/components/ui/scroll-area"
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
-import { Send, Loader2 } from "lucide-react"
+import { Send, Loader2, Trash2, Download, Ellipsis, GitFork, MessageSquarePlus, Pencil } from "lucide-react"
 import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert"
+import { Progress } from "@/components/ui/progress"
+import {
+  Sidebar,
+  SidebarContent,
+  SidebarGroup,
+  SidebarGroupContent,
+  SidebarGroupLabel,
+  SidebarHeader,
+  SidebarInput,
+  SidebarInset,
+  SidebarMenu,
+  SidebarMenuAction,
+  SidebarMenuButton,
+  SidebarMenuItem,
+  SidebarProvider,
+  SidebarTrigger,
+} from "@/components/ui/sidebar"
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu"
+import { readEventStream } from "@/lib/sse"
 
 type Message = {
   role: "user" | "assistant"
   content: string
 }
 
-type BreederData = {
-  name: string
-  phone: string
-  location: string
+// Where a record was scraped: the page, its 1-based row, when, by which extractor and a hash of its content
+type RecordSource = {
+  url: string
+  page: number
+  row: number
+  scrapedAt: string
+  extractor: string
+  hash: string
+  detailUrl?: string
 }
 
-const API_URL =
-  process.env.NEXT_PUBLIC_API_URL?.replace(/\/$/, "") || "https://scraping-ai-chat-production.up.railway.app" // Default fallback
+// Records take whatever shape the extractor or request schema produced. Normalization keeps the scraped
+// text of changed fields in _raw and the reason a field could not be normalized in _invalid; _merged counts
+// the duplicates a record was merged from and _sources where each of them was scraped
+type ScrapedRecord = {
+  [field: string]: string | number | Record<string, string> | RecordSource | RecordSource[] | undefined
+  _raw?: Record<string, string>
+  _invalid?: Record<string, string>
+  _merged?: number
+  _source?: RecordSource
+  _sources?: RecordSource[]
+}
+
+// What deduplication merged, as reported with scrape results
+type DedupeReport = {
+  before: number
+  after: number
+  merged: { record: ScrapedRecord; count: number; sources: ScrapedRecord[]; reasons: string[] }[]
+}
+
+// Detail pages followed to enrich the rows, as reported with the results
+type DetailPagesReport = {
+  followed: number
+  enriched: number
+  skipped: number
+  failed: { url: string; error: string }[]
+}
+
+// How each URL of a multi-URL scrape went
+type SourceReport = {
+  url: string
+  status: "ok" | "partial" | "empty" | "failed"
+  records: number
+  error?: string
+  details?: string | string[]
+  failedPages?: { page: number; error: string }[]
+}
+
+// A past conversation, as listed by GET /api/sessions
+type SessionSummary = {
+  sessionId: string
+  title: string
+  messageCount: number
+  recordCount: number
+  lastUrl: string | null
+  forkedFrom: { sessionId: string; at: number } | null
+  updatedAt: string
+}
+
+// Column order follows the first record that has each field; metadata fields are not columns
+const getColumns = (records: ScrapedRecord[]) => {
+  const columns = new Set<string>()
+  records.forEach((record) => Object.keys(record).forEach((key) => !key.startsWith("_") && columns.add(key)))
+  return Array.from(columns)
+}
+
+// Why a URL of a multi-URL scrape failed, or which of its pages did
+const describeSourceFailure = (source: SourceReport) => {
+  if (source.status === "empty") return "no records found"
+  if (source.status === "partial") {
+    return `pages ${source.failedPages?.map((page) => page.page).join(", ")} failed`
+  }
+  const details = Array.isArray(source.details) ? source.details.join("; ") : source.details
+  return details ? `${source.error} (${details})` : source.error || "failed"
+}
+
+// One line per merged record, e.g. "Double R Ranch (2 records): same phone +18065550100"
+const describeMerge = ({ record, count, reasons }: DedupeReport["merged"][number]) => {
+  const label = getColumns([record])
+    .map((column) => record[column])
+    .find((value) => typeof value === "string" && value !== "-")
+  return `${label ?? "Record"} (${count} records): ${reasons.join("; ")}`
+}
+
+// Flags invalid values and shows the scraped text of normalized ones on hover
+const RecordCell = ({ record, column }: { record: ScrapedRecord; column: string }) => {
+  const invalid = record._invalid?.[column]
+  const raw = record._raw?.[column]
+  const title = [invalid, raw !== undefined ? `Scraped as: ${raw}` : null].filter(Boolean).join("\n")
+  return (
+    <TableCell className={invalid ? "text-destructive" : undefined} title={title || undefined}>
+      {String(record[column] ?? "-")}
+    </TableCell>
+  )
+}
+
+// Row tooltip, e.g. "Row 12 on page 3 of https://example.com/list?page=3, scraped 5/1/2024, 10:00:00 AM"
+const describeSource = (record: ScrapedRecord) =>
+  (record._sources || (record._source ? [record._source] : []))
+    .map((source) => {
+      const scraped = new Date(source.scrapedAt).toLocaleString()
+      const details = source.detailUrl ? `, details from ${source.detailUrl}` : ""
+      return `Row ${source.row} on page ${source.page} of ${source.url}, scraped ${scraped}${details}`
+    })
+    .join("\n") || undefined
+
+const formatColumnName = (column: string) =>
+  column.replace(/_/g, " ").replace(/([a-z])([A-Z])/g, "$1 $2").replace(/^./, (char) => char.toUpperCase())
+
+// Extraction schema proposed by /api/scrape/infer, waiting for the user's confirmation
+type SchemaProposal = {
+  url: string
+  domain: string
+  schema: {
+    rowSelector: string
+    fields: Record<string, { selector?: string; attribute?: string; type: string }>
+  }
+  preview: ScrapedRecord[]
+  totalItems: number
+}
+
+// Background crawl as reported by /api/jobs/:id and the chat's progress events
+type ScrapeJob = {
+  id: string
+  status: "queued" | "running" | "completed" | "failed" | "cancelled"
+  sessionId: string
+  pagesDone: number
+  pagesTotal: number
+  rowsCollected: number
+  errors: { page: number; message: string }[]
+  error: string | null
+  etaSeconds: number | null
+  results?: ScrapedRecord[]
+  dedupe?: DedupeReport | null
+  detailPages?: DetailPagesReport | null
+}
+
+// Events of a streamed chat reply, by name
+type ChatEvents = {
+  token: { content: string }
+  tool: { name: string; status: "running" | "done" | "failed" }
+  progress: ScrapeJob
+  results: {
+    results: ScrapedRecord[]
+    dedupe?: DedupeReport | null
+    detailPages?: DetailPagesReport | null
+    sources?: SourceReport[] | null
+  }
+  infer: { url: string }
+  export: { format: string; path: string; records: number }
+  done: { content: string; sessionId?: string }
+  error: { error: string; message?: string }
+}
+
+const describeJobProgress = (job: ScrapeJob) => {
+  if (job.status === "queued") return "Waiting for a free scraper..."
+
+  const eta =
+    job.etaSeconds === null
+      ? ""
+      : job.etaSeconds >= 60
+        ? `, about ${Math.ceil(job.etaSeconds / 60)} min left`
+        : `, about ${job.etaSeconds}s left`
+  const errors = job.errors.length > 0 ? `, ${job.errors.length} failed` : ""
+  return `Scraped ${job.pagesDone} of ${job.pagesTotal} pages: ${job.rowsCollected} rows so far${errors}${eta}`
+}
+
+// Status shown while the chat model runs a tool
+const TOOL_PROGRESS: Record<string, string> = {
+  scrape_url: "Scraping data from URL...",
+  scrape_urls: "Scraping data from the URLs...",
+  next_page: "Getting next page of results...",
+  scrape_page_range: "Starting the page range scrape...",
+  filter_results: "Querying the data...",
+  export_results: "Preparing the download...",
+}
+
+// Remembers the session between visits so the conversation can be resumed
+const SESSION_STORAGE_KEY = "scraping-ai-chat:sessionId"
+
+// Download formats offered by GET /api/sessions/:id/export
+const EXPORT_FORMATS = [
+  { format: "csv", label: "CSV" },
+  { format: "xlsx", label: "Excel" },
+  { format: "jsonl", label: "JSONL" },
+  { format: "vcf", label: "vCard" },
+]
+
+// Explains a failed backend request, with when to try again for quota and rate limit errors
+async function describeFailure(response: Response, fallback: string) {
+  const text = await response.text()
+  try {
+    const data = JSON.parse(text)
+    const message = data.message || data.error || fallback
+    if (response.status === 429 && data.quota?.resetAt) {
+      return `${message}. Try again after ${new Date(data.quota.resetAt).toLocaleTimeString()}.`
+    }
+    return message
+  } catch {
+    return `${fallback}: ${text}`
+  }
+}
 
 export default function ChatInterface() {
   const [messages, setMessages] = useState<Message[]>([])
   const [input, setInput] = useState("")
   const [isLoading, setIsLoading] = useState(false)
   const [sessionId, setSessionId] = useState<string | null>(null)
-  const [results, setResults] = useState<BreederData[]>([])
+  const [results, setResults] = useState<ScrapedRecord[]>([])
+  const [dedupeReport, setDedupeReport] = useState<DedupeReport | null>(null)
+  const [detailPagesReport, setDetailPagesReport] = useState<DetailPagesReport | null>(null)
+  const [sourcesReport, setSourcesReport] = useState<SourceReport[] | null>(null)
   const messagesEndRef = useRef<HTMLDivElement>(null)
   const [error, setError] = useState<string | null>(null)
   const [scrapeProgress, setScrapeProgress] = useState<string | null>(null)
-  const [requestTimeout, setRequestTimeout] = useState<NodeJS.Timeout | null>(null)
+  const columns = getColumns(results)
+  const failedSources = (sourcesReport || []).filter((source) => source.status !== "ok")
+  const [schemaProposal, setSchemaProposal] = useState<SchemaProposal | null>(null)
+  const [activeJob, setActiveJob] = useState<ScrapeJob | null>(null)
+  const [sessions, setSessions] = useState<SessionSummary[]>([])
+  const [renaming, setRenaming] = useState<{ sessionId: string; title: string } | null>(null)
 
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" })
   }, [messages])
 
+  // List the conversations for the sidebar
+  const loadSessions = async () => {
+    try {
+      const response = await fetch("/api/sessions")
+      if (response.ok) {
+        setSessions((await response.json()).sessions)
+      }
+    } catch (error) {
+      console.error("Error listing sessions:", error)
+    }
+  }
+
+  // Clear the chat and results, e.g. before showing another conversation
+  const resetConversation = () => {
+    setSessionId(null)
+    setMessages([])
+    setResults([])
+    setDedupeReport(null)
+    setDetailPagesReport(null)
+    setSourcesReport(null)
+    setSchemaProposal(null)
+    setError(null)
+  }
+
+  // Show a conversation the server still has; returns false when it is gone
+  const openSession = async (id: string) => {
+    try {
+      const response = await fetch(`/api/sessions/${id}`)
+      if (!response.ok) return false
+      const data = await response.json()
+      resetConversation()
+      setSessionId(data.sessionId)
+      setMessages(
+        (data.messages || []).filter(
+          (message: Message) =>
+            (message.role === "user" || message.role === "assistant") && typeof message.content === "string",
+        ),
+      )
+      setResults(Array.isArray(data.scrapedData) ? data.scrapedData : [])
+      return true
+    } catch (error) {
+      console.error("Error resuming session:", error)
+      return false
+    }
+  }
+
+  // Resume the previous conversation, if the server still has it
+  useEffect(() => {
+    const savedSessionId = localStorage.getItem(SESSION_STORAGE_KEY)
+    if (savedSessionId) {
+      openSession(savedSessionId).then((found) => found || localStorage.removeItem(SESSION_STORAGE_KEY))
+    }
+    loadSessions()
+  }, [])
+
+  useEffect(() => {
+    if (sessionId) {
+      localStorage.setItem(SESSION_STORAGE_KEY, sessionId)
+    }
+  }, [sessionId])
+
+  // Start over in a new conversation; the current one stays in the sidebar
+  const startConversation = () => {
+    localStorage.removeItem(SESSION_STORAGE_KEY)
+    resetConversation()
+  }
+
+  const renameSession = async (id: string, title: string) => {
+    setRenaming(null)
+    const response = await fetch(`/api/sessions/${id}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ title: title.trim() || null }),
+    })
+    if (!response.ok) {
+      setError(await describeFailure(response, "Could not rename the conversation"))
+    }
+    await loadSessions()
+  }
+
+  // Branch a conversation into a copy and continue in the copy
+  const forkSession = async (id: string) => {
+    const response = await fetch(`/api/sessions/${id}/fork`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({}),
+    })
+    if (!response.ok) {
+      setError(await describeFailure(response, "Could not fork the conversation"))
+      return
+    }
+    await openSession((await response.json()).sessionId)
+    await loadSessions()
+  }
+
+  // Wipe a conversation on the server
+  const deleteSession = async (id: string) => {
+    await fetch(`/api/sessions/${id}`, { method: "DELETE" }).catch((error) =>
+      console.error("Error deleting session:", error),
+    )
+    if (id === sessionId) {
+      startConversation()
+    }
+    await loadSessions()
+  }
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault()
     if (!input.trim()) return
@@ -52,396 +384,533 @@ export default function ChatInterface() {
     setError(null)
     setScrapeProgress(null)
 
-    // Set a timeout to prevent endless loading
-    const timeout = setTimeout(() => {
-      if (isLoading) {
-        setIsLoading(false)
-        setError("Request timed out. Please try again.")
-        setMessages((prev) => [
-          ...prev,
-          {
-            role: "assistant",
-            content:
-              "The request timed out. This could be due to server load or connectivity issues. Please try again.",
-          },
-        ])
-      }
-    }, 30000) // 30 second timeout
-
-    setRequestTimeout(timeout)
-
     try {
-      const urlRegex = /(https?:\/\/[^\s]+)/g
-      const urls = input.match(urlRegex) || []
-      const isPaginationRequest =
-        input.toLowerCase().includes("next page") ||
-        input.toLowerCase().includes("more results") ||
-        (input.toLowerCase().includes("page") && /\d+/.test(input))
-
-      // Check for page range requests (e.g., "page 1 to 2" or "pages 1-3")
-      const pageRangeMatch = input.match(/page[s]?\s+(\d+)\s*(?:to|-|through|until|and)\s*(\d+)/i)
-      const pageRange = pageRangeMatch
-        ? { start: Number.parseInt(pageRangeMatch[1]), end: Number.parseInt(pageRangeMatch[2]) }
-        : null
-
-      // Make sure we're showing the correct message for page range requests
-      if (pageRange) {
-        console.log(`Processing page range request: ${pageRange.start} to ${pageRange.end}`)
-
-        // Clear any previous results when making a new page range request with a URL
-        if (urls.length > 0) {
-          setResults([])
-        }
-      }
+      // The server decides whether to scrape, page, filter or export and reports what it does as it goes
+      const data = await streamChat({ message: userMessage.content, sessionId })
+      console.log("Received response from API:", data)
 
-      let currentResults = results // Store current results
-
-      // Add temporary message for scraping status
-      if (urls.length > 0 || isPaginationRequest || pageRange) {
-        const targetMsg = pageRange
-          ? `Scraping pages ${pageRange.start} to ${pageRange.end}...`
-          : isPaginationRequest
-            ? "Getting next page of results..."
-            : "Scraping data from URL..."
-
-        setScrapeProgress(targetMsg)
-
-        // Add a temporary message
-        setMessages((prev) => [
-          ...prev,
-          {
-            role: "assistant",
-            content: `I'm processing your request. ${targetMsg}`,
-          },
-        ])
+      if (data.sessionId) {
+        setSessionId(data.sessionId)
       }
-
-      // Handle scraping if needed
-      if (
-        (urls.length > 0 &&
-          (input.toLowerCase().includes("get") ||
-            input.toLowerCase().includes("extract") ||
-            input.toLowerCase().includes("scrape") ||
-            input.toLowerCase().includes("find"))) ||
-        isPaginationRequest ||
-        pageRange
-      ) {
-        console.log(
-          "Sending scrape request for:",
-          pageRange ? `pages ${pageRange.start}-${pageRange.end}` : isPaginationRequest ? "pagination" : urls[0],
-        )
-
-        const controller = new AbortController()
-        const timeoutId = setTimeout(() => {
-          controller.abort()
-          console.log("Request timed out, aborting fetch")
-        }, 25000) // 25 second timeout
-
-        try {
-          const scrapeResponse = await fetch(`${API_URL}/api/scrape`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-              url: urls[0] || undefined,
-              pagination: isPaginationRequest,
-              pageRange: pageRange,
-              sessionId,
-            }),
-            signal: controller.signal,
-          })
-
-          clearTimeout(timeoutId)
-
-          if (!scrapeResponse.ok) {
-            const errorData = await scrapeResponse.json()
-            throw new Error(errorData.error || "An error occurred while scraping the website")
-          }
-
-          const scrapeData = await scrapeResponse.json()
-          console.log("Scrape response:", scrapeData)
-
-          if (scrapeData.results && Array.isArray(scrapeData.results)) {
-            // For page range requests, replace the current results instead of appending
-            if (pageRange) {
-              currentResults = scrapeData.results
-            } else if (isPaginationRequest && results.length > 0) {
-              // For pagination requests, we might want to append to existing results
-              // But we need to deduplicate
-              const existingIds = new Set(
-                results.map((item) => `${item.name}-${item.phone}-${item.location}`.toLowerCase().replace(/\s+/g, "")),
-              )
-
-              const newItems = scrapeData.results.filter(
-                (item: BreederData) =>
-                  !existingIds.has(`${item.name}-${item.phone}-${item.location}`.toLowerCase().replace(/\s+/g, "")),
-              )
-
-              currentResults = [...results, ...newItems]
-            } else {
-              currentResults = scrapeData.results
-            }
-
-            setResults(currentResults)
-
-            // After successful scraping, send a follow-up request to analyze the data
-            if (currentResults.length > 0) {
-              console.log("Sending follow-up analysis request with scraped data")
-              const analysisMessage = "Analyze the data you just scraped"
-
-              // Remove the temporary message
-              setMessages((prev) => {
-                const updatedMessages = [...prev]
-                updatedMessages.pop() // Remove the last message
-                return updatedMessages
-              })
-
-              const analysisResponse = await fetch(`${API_URL}/api/chat`, {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({
-                  message: analysisMessage,
-                  sessionId: scrapeData.sessionId || sessionId,
-                  scrapedData: currentResults,
-                  isFollowUp: true,
-                  originalQuery: userMessage.content,
-                }),
-              })
-
-              if (analysisResponse.ok) {
-                const analysisData = await analysisResponse.json()
-                if (!analysisData.error) {
-                  // Add the analysis response
-                  setMessages((prev) => [
-                    ...prev,
-                    {
-                      role: "assistant",
-                      content: analysisData.content,
-                    },
-                  ])
-
-                  if (analysisData.sessionId) {
-                    setSessionId(analysisData.sessionId)
-                  }
-
-                  // We've already handled the response, so return early
-                  setIsLoading(false)
-                  setScrapeProgress(null)
-                  if (requestTimeout) clearTimeout(requestTimeout)
-                  return
-                }
-              }
-            }
-          } else if (scrapeData.error) {
-            // Remove the temporary message
-            setMessages((prev) => {
-              const updatedMessages = [...prev]
-              updatedMessages.pop() // Remove the last message
-              return updatedMessages
-            })
-            throw new Error(scrapeData.error)
-          }
-
-          if (scrapeData.sessionId) {
-            setSessionId(scrapeData.sessionId)
-          }
-        } catch (error) {
-          clearTimeout(timeoutId)
-          throw error
-        }
+      if (data.inferUrl) {
+        await proposeSchema(data.inferUrl)
       }
+    } catch (error) {
+      console.error("Error:", error)
+      setError(error instanceof Error ? error.message : "An unknown error occurred")
+      setMessages((prev) => [
+        ...prev,
+        {
+          role: "assistant",
+          content: `Error: ${error instanceof Error ? error.message : "An unknown error occurred"}`,
+        },
+      ])
+    } finally {
+      setIsLoading(false)
+      setScrapeProgress(null)
+      setActiveJob(null)
+      loadSessions()
+    }
+  }
 
-      // Send chat request with the most up-to-date results
-      console.log("Sending request to API:", {
-        message: userMessage.content,
-        sessionId,
-        scrapedData: currentResults,
-      })
+  // Send a chat request in streaming mode, rendering the reply token by token along with the
+  // progress of any scraping the model does
+  const streamChat = async (
+    body: Record<string, unknown>,
+  ): Promise<{ content: string; sessionId?: string; inferUrl?: string }> => {
+    const response = await fetch("/api/chat", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Accept: "text/event-stream" },
+      body: JSON.stringify({ ...body, stream: true }),
+    })
+
+    if (!response.ok) {
+      throw new Error(await describeFailure(response, "Chat request failed"))
+    }
+
+    setMessages((prev) => [...prev, { role: "assistant", content: "" }])
 
-      // Remove the temporary message if it exists
-      if (scrapeProgress) {
+    let reply: { content: string; sessionId?: string } = { content: "" }
+    let inferUrl: string | undefined
+    await readEventStream<ChatEvents>(response, ({ event, data }) => {
+      if (event === "token") {
         setMessages((prev) => {
           const updatedMessages = [...prev]
-          updatedMessages.pop() // Remove the last message
+          const last = updatedMessages[updatedMessages.length - 1]
+          updatedMessages[updatedMessages.length - 1] = { ...last, content: last.content + data.content }
           return updatedMessages
         })
+      } else if (event === "tool") {
+        setScrapeProgress(data.status === "running" ? TOOL_PROGRESS[data.name] || "Working..." : null)
+      } else if (event === "progress") {
+        setActiveJob(["queued", "running"].includes(data.status) ? data : null)
+        setScrapeProgress(describeJobProgress(data))
+      } else if (event === "results") {
+        setResults(data.results)
+        setDedupeReport(data.dedupe || null)
+        setDetailPagesReport(data.detailPages || null)
+        setSourcesReport(data.sources || null)
+      } else if (event === "infer") {
+        inferUrl = data.url
+      } else if (event === "export") {
+        downloadExport(data.path)
+      } else if (event === "done") {
+        reply = data
+      } else if (event === "error") {
+        // Drop the partial reply; the error handler reports the failure
+        setMessages((prev) => prev.slice(0, -1))
+        throw new Error(data.message || data.error)
       }
+    })
+
+    if (!reply.content) {
+      setMessages((prev) => [...prev.slice(0, -1), { role: "assistant", content: "No response from AI" }])
+    }
+    return { ...reply, inferUrl }
+  }
+
+  // Download an export, e.g. one the chat offered for "export the Texas breeders as vCards". It is fetched
+  // rather than linked so a failed export shows its error instead of downloading it
+  const downloadExport = async (path: string) => {
+    try {
+      const response = await fetch(path)
+      if (!response.ok) {
+        throw new Error(await describeFailure(response, "Export failed"))
+      }
+      const filename = /filename="([^"]+)"/.exec(response.headers.get("Content-Disposition") || "")?.[1]
+      const url = URL.createObjectURL(await response.blob())
+      const link = document.createElement("a")
+      link.href = url
+      link.download = filename || ""
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error("Error downloading export:", error)
+      setError(error instanceof Error ? error.message : "An unknown error occurred")
+    }
+  }
+
+  const cancelJob = async () => {
+    if (!activeJob) return
+    await fetch(`/api/jobs/${activeJob.id}`, { method: "DELETE" })
+  }
+
+  // Ask the server to infer an extraction schema for a page it doesn't recognise
+  const proposeSchema = async (url: string) => {
+    setScrapeProgress("Inferring an extraction schema...")
+    setMessages((prev) => [
+      ...prev,
+      { role: "assistant", content: "I don't recognise this page layout yet. Let me work out how to extract it..." },
+    ])
+
+    const response = await fetch("/api/scrape/infer", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ url }),
+    })
+    const data = await response.json()
+
+    setMessages((prev) => prev.slice(0, -1))
+    if (!response.ok) {
+      const details = Array.isArray(data.details) ? ` (${data.details.join("; ")})` : ""
+      throw new Error((data.error || "Could not infer an extraction schema") + details)
+    }
+
+    setSchemaProposal(data)
+    setMessages((prev) => [
+      ...prev,
+      {
+        role: "assistant",
+        content: `I proposed an extraction schema for ${data.domain} with the fields ${Object.keys(data.schema.fields).join(", ")}. It found ${data.totalItems} records on the first page. Check the preview below and confirm to scrape with it.`,
+      },
+    ])
+  }
+
+  // Scrape with the proposed schema, optionally saving it for the domain
+  const confirmSchema = async (save: boolean) => {
+    if (!schemaProposal) return
+
+    setIsLoading(true)
+    setError(null)
 
-      const response = await fetch(`${API_URL}/api/chat`, {
+    try {
+      const response = await fetch("/api/scrape", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
-          message: userMessage.content,
+          url: schemaProposal.url,
+          schema: schemaProposal.schema,
+          saveSchema: save,
           sessionId,
-          scrapedData: currentResults, // Use current results instead of state
         }),
       })
-
-      if (!response.ok) {
-        throw new Error(`Chat request failed: ${await response.text()}`)
-      }
-
       const data = await response.json()
-      console.log("Received response from API:", data)
 
-      if (data.error) {
-        throw new Error(data.error)
+      if (!response.ok) {
+        throw new Error(data.error || "An error occurred while scraping the website")
       }
 
-      setMessages((prev) => [...prev, { role: "assistant", content: data.content || "No response from AI" }])
+      setResults(data.results)
+      setDedupeReport(data.dedupe || null)
+      setDetailPagesReport(data.detailPages || null)
+      setSourcesReport(null)
       if (data.sessionId) {
         setSessionId(data.sessionId)
       }
-    } catch (error) {
-      console.error("Error:", error)
-      setError(error instanceof Error ? error.message : "An unknown error occurred")
       setMessages((prev) => [
         ...prev,
         {
           role: "assistant",
-          content: `Error: ${error instanceof Error ? error.message : "An unknown error occurred"}`,
+          content: `Scraped ${data.totalItems} records with the proposed schema.${
+            data.savedDomain ? ` I saved it for ${data.savedDomain}, so future scrapes of that site will use it.` : ""
+          }`,
         },
       ])
+      setSchemaProposal(null)
+    } catch (error) {
+      console.error("Error:", error)
+      setError(error instanceof Error ? error.message : "An unknown error occurred")
     } finally {
       setIsLoading(false)
-      setScrapeProgress(null)
-      if (requestTimeout) clearTimeout(requestTimeout)
     }
   }
 
-  // Clean up timeout on unmount
-  useEffect(() => {
-    return () => {
-      if (requestTimeout) clearTimeout(requestTimeout)
-    }
-  }, [requestTimeout])
-
   return (
-    <div className="flex flex-col min-h-screen bg-gray-50 p-4">
-      <div className="container mx-auto max-w-6xl flex-1 flex flex-col">
-        <h1 className="text-2xl font-bold text-center mb-6">AI Web Scraping Chat</h1>
-
-        {error && (
-          <Alert variant="destructive" className="mb-4">
-            <AlertTitle>Error</AlertTitle>
-            <AlertDescription>{error}</AlertDescription>
-          </Alert>
-        )}
-
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 flex-1">
-          <Card className="md:col-span-2 flex flex-col">
-            <CardHeader>
-              <CardTitle>Chat</CardTitle>
-            </CardHeader>
-            <CardContent className="flex-1 overflow-hidden">
-              <ScrollArea className="h-[60vh]">
-                <div className="space-y-4 pr-4">
-                  {messages.length === 0 ? (
-                    <div className="text-center text-muted-foreground py-8">
-                      <p>Start a conversation by sending a message.</p>
-                      <p className="text-sm mt-2">Try: "From the URL, get all breeder's name, phone, and location."</p>
-                    </div>
-                  ) : (
-                    messages.map((message, index) => (
-                      <div key={index} className={`flex ${message.role === "user" ? "justify-end" : "justify-start"}`}>
-                        <div
-                          className={`max-w-[80%] rounded-lg px-4 py-2 ${message.role === "user" ? "bg-primary text-primary-foreground" : "bg-muted"}`}
+    <SidebarProvider>
+      <Sidebar>
+        <SidebarHeader>
+          <Button variant="outline" onClick={startConversation} disabled={isLoading}>
+            <MessageSquarePlus className="h-4 w-4 mr-1" />
+            New conversation
+          </Button>
+        </SidebarHeader>
+        <SidebarContent>
+          <SidebarGroup>
+            <SidebarGroupLabel>Conversations</SidebarGroupLabel>
+            <SidebarGroupContent>
+              <SidebarMenu>
+                {sessions.length === 0 && (
+                  <p className="px-2 text-xs text-muted-foreground">Your conversations will be listed here.</p>
+                )}
+                {sessions.map((session) => (
+                  <SidebarMenuItem key={session.sessionId}>
+                    {renaming?.sessionId === session.sessionId ? (
+                      <SidebarInput
+                        autoFocus
+                        value={renaming.title}
+                        onChange={(e) => setRenaming({ ...renaming, title: e.target.value })}
+                        onBlur={() => setRenaming(null)}
+                        onKeyDown={(e) => {
+                          if (e.key === "Enter") renameSession(renaming.sessionId, renaming.title)
+                          if (e.key === "Escape") setRenaming(null)
+                        }}
+                      />
+                    ) : (
+                      <SidebarMenuButton
+                        isActive={session.sessionId === sessionId}
+                        disabled={isLoading}
+                        onClick={() => openSession(session.sessionId)}
+                        title={`${session.messageCount} messages, ${session.recordCount} records${
+                          session.lastUrl ? ` from ${session.lastUrl}` : ""
+                        }`}
+                      >
+                        {session.forkedFrom ? <GitFork /> : null}
+                        <span>{session.title}</span>
+                      </SidebarMenuButton>
+                    )}
+                    <DropdownMenu>
+                      <DropdownMenuTrigger asChild>
+                        <SidebarMenuAction showOnHover disabled={isLoading}>
+                          <Ellipsis />
+                          <span className="sr-only">Conversation actions</span>
+                        </SidebarMenuAction>
+                      </DropdownMenuTrigger>
+                      <DropdownMenuContent side="right" align="start">
+                        <DropdownMenuItem
+                          onClick={() => setRenaming({ sessionId: session.sessionId, title: session.title })}
                         >
-                          <p className="whitespace-pre-wrap">{message.content}</p>
+                          <Pencil className="h-4 w-4 mr-2" />
+                          Rename
+                        </DropdownMenuItem>
+                        <DropdownMenuItem onClick={() => forkSession(session.sessionId)}>
+                          <GitFork className="h-4 w-4 mr-2" />
+                          Fork
+                        </DropdownMenuItem>
+                        <DropdownMenuItem onClick={() => deleteSession(session.sessionId)}>
+                          <Trash2 className="h-4 w-4 mr-2" />
+                          Delete
+                        </DropdownMenuItem>
+                      </DropdownMenuContent>
+                    </DropdownMenu>
+                  </SidebarMenuItem>
+                ))}
+              </SidebarMenu>
+            </SidebarGroupContent>
+          </SidebarGroup>
+        </SidebarContent>
+      </Sidebar>
+      <SidebarInset>
+        <div className="flex flex-col min-h-screen bg-gray-50 p-4">
+          <div className="container mx-auto max-w-6xl flex-1 flex flex-col">
+            <div className="relative mb-6">
+              <SidebarTrigger className="absolute left-0 top-0" />
+              <h1 className="text-2xl font-bold text-center">AI Web Scraping Chat</h1>
+            </div>
+
+            {error && (
+              <Alert variant="destructive" className="mb-4">
+                <AlertTitle>Error</AlertTitle>
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 flex-1">
+              <Card className="md:col-span-2 flex flex-col">
+                <CardHeader className="flex flex-row items-center justify-between space-y-0">
+                  <CardTitle>Chat</CardTitle>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={startConversation}
+                    disabled={isLoading || (messages.length === 0 && !sessionId)}
+                  >
+                    <MessageSquarePlus className="h-4 w-4 mr-1" />
+                    New conversation
+                  </Button>
+                </CardHeader>
+                <CardContent className="flex-1 overflow-hidden">
+                  <ScrollArea className="h-[60vh]">
+                    <div className="space-y-4 pr-4">
+                      {messages.length === 0 ? (
+                        <div className="text-center text-muted-foreground py-8">
+                          <p>Start a conversation by sending a message.</p>
+                          <p className="text-sm mt-2">Try: "From the URL, get all breeder's name, phone, and location."</p>
                         </div>
-                      </div>
-                    ))
-                  )}
-                  <div ref={messagesEndRef} />
-                </div>
-              </ScrollArea>
-            </CardContent>
-            <CardFooter>
-              <form onSubmit={handleSubmit} className="flex w-full space-x-2">
-                <Input
-                  value={input}
-                  onChange={(e) => setInput(e.target.value)}
-                  placeholder="Try: From the URL, get breeder's data from page 1 to 2..."
-                  disabled={isLoading}
-                  className="flex-1"
-                />
-                <Button type="submit" disabled={isLoading || !input.trim()}>
-                  {isLoading ? <Loader2 className="h-4 w-4 animate-spin" /> : <Send className="h-4 w-4" />}
-                </Button>
-              </form>
-            </CardFooter>
-          </Card>
-
-          <Card className="md:col-span-1 flex flex-col">
-            <CardHeader>
-              <CardTitle>Scraped Data {results.length > 0 && `(${results.length} items)`}</CardTitle>
-            </CardHeader>
-            <CardContent className="flex-1 overflow-hidden">
-              <Tabs defaultValue="table">
-                <TabsList className="grid w-full grid-cols-2">
-                  <TabsTrigger value="table">Table</TabsTrigger>
-                  <TabsTrigger value="json">JSON</TabsTrigger>
-                </TabsList>
-                <TabsContent value="table" className="h-[60vh] overflow-auto">
-                  {results.length > 0 ? (
-                    <>
-                      <Table>
-                        <TableHeader>
-                          <TableRow>
-                            <TableHead>Name</TableHead>
-                            <TableHead>Phone</TableHead>
-                            <TableHead>Location</TableHead>
-                          </TableRow>
-                        </TableHeader>
-                        <TableBody>
-                          {results.map((item, index) => (
-                            <TableRow key={index}>
-                              <TableCell>{item.name}</TableCell>
-                              <TableCell>{item.phone}</TableCell>
-                              <TableCell>{item.location}</TableCell>
-                            </TableRow>
-                          ))}
-                        </TableBody>
-                      </Table>
-                      <div className="mt-4 flex flex-col items-center space-y-2">
+                      ) : (
+                        messages.map((message, index) =>
+                          // A reply stays hidden until its first tokens arrive
+                          !message.content ? null : (
+                            <div
+                              key={index}
+                              className={`flex ${message.role === "user" ? "justify-end" : "justify-start"}`}
+                            >
+                              <div
+                                className={`max-w-[80%] rounded-lg px-4 py-2 ${message.role === "user" ? "bg-primary text-primary-foreground" : "bg-muted"}`}
+                              >
+                                <p className="whitespace-pre-wrap">{message.content}</p>
+                              </div>
+                            </div>
+                          ),
+                        )
+                      )}
+                      {scrapeProgress && (
+                        <div className="rounded-lg border p-4 space-y-2">
+                          <p className="text-sm text-muted-foreground">{scrapeProgress}</p>
+                          {activeJob && (
+                            <>
+                              <Progress value={(activeJob.pagesDone / activeJob.pagesTotal) * 100} />
+                              <Button size="sm" variant="outline" onClick={cancelJob}>
+                                Cancel
+                              </Button>
+                            </>
+                          )}
+                        </div>
+                      )}
+                      {schemaProposal && (
+                        <div className="rounded-lg border p-4 space-y-3">
+                          <p className="text-sm font-medium">Proposed schema for {schemaProposal.domain}</p>
+                          <pre className="text-xs p-2 bg-muted rounded-md overflow-auto">
+                            {JSON.stringify(schemaProposal.schema, null, 2)}
+                          </pre>
+                          <Table>
+                            <TableHeader>
+                              <TableRow>
+                                {getColumns(schemaProposal.preview).map((column) => (
+                                  <TableHead key={column}>{formatColumnName(column)}</TableHead>
+                                ))}
+                              </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                              {schemaProposal.preview.map((item, index) => (
+                                <TableRow key={index}>
+                                  {getColumns(schemaProposal.preview).map((column) => (
+                                    <RecordCell key={column} record={item} column={column} />
+                                  ))}
+                                </TableRow>
+                              ))}
+                            </TableBody>
+                          </Table>
+                          <div className="flex flex-wrap gap-2">
+                            <Button size="sm" onClick={() => confirmSchema(false)} disabled={isLoading}>
+                              Use schema
+                            </Button>
+                            <Button size="sm" variant="outline" onClick={() => confirmSchema(true)} disabled={isLoading}>
+                              Use and save for {schemaProposal.domain}
+                            </Button>
+                            <Button size="sm" variant="ghost" onClick={() => setSchemaProposal(null)} disabled={isLoading}>
+                              Dismiss
+                            </Button>
+                          </div>
+                        </div>
+                      )}
+                      <div ref={messagesEndRef} />
+                    </div>
+                  </ScrollArea>
+                </CardContent>
+                <CardFooter>
+                  <form onSubmit={handleSubmit} className="flex w-full space-x-2">
+                    <Input
+                      value={input}
+                      onChange={(e) => setInput(e.target.value)}
+                      placeholder="Try: From the URL, get breeder's data from page 1 to 2..."
+                      disabled={isLoading}
+                      className="flex-1"
+                    />
+                    <Button type="submit" disabled={isLoading || !input.trim()}>
+                      {isLoading ? <Loader2 className="h-4 w-4 animate-spin" /> : <Send className="h-4 w-4" />}
+                    </Button>
+                  </form>
+                </CardFooter>
+              </Card>
+
+              <Card className="md:col-span-1 flex flex-col">
+                <CardHeader>
+                  <CardTitle>Scraped Data {results.length > 0 && `(${results.length} items)`}</CardTitle>
+                </CardHeader>
+                <CardContent className="flex-1 overflow-hidden">
+                  <Tabs defaultValue="table">
+                    <TabsList className="grid w-full grid-cols-2">
+                      <TabsTrigger value="table">Table</TabsTrigger>
+                      <TabsTrigger value="json">JSON</TabsTrigger>
+                    </TabsList>
+                    <TabsContent value="table" className="h-[60vh] overflow-auto">
+                      {results.length > 0 ? (
+                        <>
+                          {failedSources.length > 0 && (
+                            <Alert variant="destructive" className="mb-4">
+                              <AlertTitle>
+                                Problems with {failedSources.length} of {sourcesReport?.length} URLs
+                              </AlertTitle>
+                              <AlertDescription>
+                                <ul className="mt-1 list-disc pl-4 text-xs space-y-1">
+                                  {failedSources.map((source, index) => (
+                                    <li key={index}>
+                                      {source.url}: {describeSourceFailure(source)}
+                                    </li>
+                                  ))}
+                                </ul>
+                              </AlertDescription>
+                            </Alert>
+                          )}
+                          {detailPagesReport && detailPagesReport.failed.length > 0 && (
+                            <Alert variant="destructive" className="mb-4">
+                              <AlertTitle>
+                                Could not load {detailPagesReport.failed.length} of {detailPagesReport.followed} detail
+                                pages
+                              </AlertTitle>
+                              <AlertDescription>
+                                Those rows only have what the list shows.
+                                <ul className="mt-1 list-disc pl-4 text-xs space-y-1">
+                                  {detailPagesReport.failed.map((failure) => (
+                                    <li key={failure.url}>
+                                      {failure.url}: {failure.error}
+                                    </li>
+                                  ))}
+                                </ul>
+                              </AlertDescription>
+                            </Alert>
+                          )}
+                          {dedupeReport && dedupeReport.merged.length > 0 && (
+                            <Alert className="mb-4">
+                              <AlertTitle>
+                                Merged {dedupeReport.before - dedupeReport.after} duplicate records
+                              </AlertTitle>
+                              <AlertDescription>
+                                <ul className="mt-1 list-disc pl-4 text-xs space-y-1">
+                                  {dedupeReport.merged.map((merge, index) => (
+                                    <li key={index}>{describeMerge(merge)}</li>
+                                  ))}
+                                </ul>
+                              </AlertDescription>
+                            </Alert>
+                          )}
+                          <Table>
+                            <TableHeader>
+                              <TableRow>
+                                {columns.map((column) => (
+                                  <TableHead key={column}>{formatColumnName(column)}</TableHead>
+                                ))}
+                              </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                              {results.map((item, index) => (
+                                <TableRow key={index} title={describeSource(item)}>
+                                  {columns.map((column) => (
+                                    <RecordCell key={column} record={item} column={column} />
+                                  ))}
+                                </TableRow>
+                              ))}
+                            </TableBody>
+                          </Table>
+                          <div className="mt-4 flex flex-col items-center space-y-2">
+                            <Button
+                              variant="outline"
+                              onClick={() => {
+                                setInput("Show me the next page of results")
+                                handleSubmit(new Event("submit") as any)
+                              }}
+                              disabled={isLoading}
+                            >
+                              Load More Results
+                            </Button>
+                            <p className="text-xs text-muted-foreground">
+                              Tip: You can also request specific pages with "scrape page X to Y from URL"
+                            </p>
+                          </div>
+                        </>
+                      ) : (
+                        <div className="text-center text-muted-foreground py-8">
+                          <p>No data available yet.</p>
+                          <p className="text-sm mt-2">Ask the AI to scrape a website to see results here.</p>
+                        </div>
+                      )}
+                    </TabsContent>
+                    <TabsContent value="json" className="h-[60vh]">
+                      <ScrollArea className="h-full">
+                        <pre className="text-xs p-4 bg-muted rounded-md">
+                          {results.length > 0 ? JSON.stringify(results, null, 2) : "No data available yet."}
+                        </pre>
+                      </ScrollArea>
+                    </TabsContent>
+                  </Tabs>
+                </CardContent>
+                <CardFooter className="flex flex-wrap items-center justify-between gap-2">
+                  <div className="text-sm text-muted-foreground">
+                    {results.length > 0 ? `${results.length} items found` : "No data available"}
+                  </div>
+                  {sessionId && results.length > 0 && (
+                    <div className="flex flex-wrap gap-2">
+                      {EXPORT_FORMATS.map(({ format, label }) => (
                         <Button
+                          key={format}
                           variant="outline"
-                          onClick={() => {
-                            setInput("Show me the next page of results")
-                            handleSubmit(new Event("submit") as any)
-                          }}
-                          disabled={isLoading}
+                          size="sm"
+                          onClick={() => downloadExport(`/api/sessions/${sessionId}/export?format=${format}`)}
                         >
-                          Load More Results
+                          <Download className="mr-1 h-4 w-4" />
+                          {label}
                         </Button>
-                        <p className="text-xs text-muted-foreground">
-                          Tip: You can also request specific pages with "scrape page X to Y from URL"
-                        </p>
-                      </div>
-                    </>
-                  ) : (
-                    <div className="text-center text-muted-foreground py-8">
-                      <p>No data available yet.</p>
-                      <p className="text-sm mt-2">Ask the AI to scrape a website to see results here.</p>
+                      ))}
                     </div>
                   )}
-                </TabsContent>
-                <TabsContent value="json" className="h-[60vh]">
-                  <ScrollArea className="h-full">
-                    <pre className="text-xs p-4 bg-muted rounded-md">
-                      {results.length > 0 ? JSON.stringify(results, null, 2) : "No data available yet."}
-                    </pre>
-                  </ScrollArea>
-                </TabsContent>
-              </Tabs>
-            </CardContent>
-            <CardFooter>
-              <div className="text-sm text-muted-foreground">
-                {results.length > 0 ? `${results.length} items found` : "No data available"}
-              </div>
-            </CardFooter>
-          </Card>
+                </CardFooter>
+              </Card>
+            </div>
+          </div>
         </div>
-      </div>
-    </div>
+      </SidebarInset>
+    </SidebarProvider>
   )
 }
@@ -1,12 +1,26 @@
 "use client"
 
 import { useState, useEffect } from "react"
+import { readEventStream } from "@/lib/sse"
 
 interface Message {
   role: "user" | "assistant"
   content: string
 }
 
+// The events of a streamed reply this component shows; tool and progress events are ignored
+type ChatEvents = {
+  token: { content: string }
+  error: { error: string; message?: string }
+}
+
+// Time left before the quota resets, e.g. "45s", "12m" or "3h"
+function formatCooldown(seconds: number) {
+  if (seconds < 60) return `${seconds}s`
+  if (seconds < 60 * 60) return `${Math.ceil(seconds / 60)}m`
+  return `${Math.ceil(seconds / (60 * 60))}h`
+}
+
 export function ChatComponent() {
   const [messages, setMessages] = useState<Message[]>([])
   const [input, setInput] = useState("")
@@ -39,18 +53,35 @@ export function ChatComponent() {
         },
         body: JSON.stringify({
           message: input,
-          urls: [], // Add URLs here if needed
+          stream: true,
         }),
       })
 
       if (!response.ok) {
         const errorData = await response.json()
+        // Over quota or rate limited: wait until the server says the limit resets
+        if (response.status === 429) {
+          const retryAfter = Number(errorData.retryAfter || response.headers.get("Retry-After")) || 60
+          setCooldown(retryAfter)
+          throw new Error(`${errorData.error || "Too many requests"}. Try again in ${formatCooldown(retryAfter)}.`)
+        }
         throw new Error(errorData.message || "An error occurred while processing your request")
       }
 
-      const data = await response.json()
-      setMessages((prevMessages) => [...prevMessages, { role: "assistant", content: data.content }])
-      setCooldown(20) // Set a 20-second cooldown between requests
+      // Render the reply as it streams in
+      setMessages((prevMessages) => [...prevMessages, { role: "assistant", content: "" }])
+      await readEventStream<ChatEvents>(response, ({ event, data }) => {
+        if (event === "token") {
+          setMessages((prevMessages) => {
+            const updated = [...prevMessages]
+            const last = updated[updated.length - 1]
+            updated[updated.length - 1] = { ...last, content: last.content + data.content }
+            return updated
+          })
+        } else if (event === "error") {
+          throw new Error(data.message || data.error)
+        }
+      })
     } catch (error) {
       console.error("Error sending message:", error)
       if (error instanceof Error) {
@@ -74,7 +105,9 @@ export function ChatComponent() {
             {message.content}
           </div>
         ))}
-        {isLoading && <div className="message assistant">Loading...</div>}
+        {isLoading && messages[messages.length - 1]?.role !== "assistant" && (
+          <div className="message assistant">Loading...</div>
+        )}
         {error && <div className="error-message">{error}</div>}
       </div>
       <div className="chat-input">
@@ -86,7 +119,7 @@ export function ChatComponent() {
           disabled={isLoading || cooldown > 0}
         />
         <button onClick={sendMessage} disabled={isLoading || cooldown > 0}>
-          {isLoading ? "Sending..." : cooldown > 0 ? `Wait ${cooldown}s` : "Send"}
+          {isLoading ? "Sending..." : cooldown > 0 ? `Wait ${formatCooldown(cooldown)}` : "Send"}
         </button>
       </div>
     </div>
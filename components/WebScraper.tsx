@@ -3,18 +3,17 @@
 import { useState } from "react"
 import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
+import { Textarea } from "@/components/ui/textarea"
 import { Card, CardContent, CardFooter, CardHeader, CardTitle } from "@/components/ui/card"
 import { Loader2, Search } from "lucide-react"
 import { Alert, AlertDescription } from "@/components/ui/alert"
 
-type ScrapedData = {
-  name: string
-  phone: string
-  location: string
-}
+// Records take whatever shape the extractor or schema produced
+type ScrapedData = Record<string, string | number>
 
 export default function WebScraper({ onDataScraped }: { onDataScraped: (data: ScrapedData[]) => void }) {
   const [url, setUrl] = useState("")
+  const [schemaText, setSchemaText] = useState("")
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState<string | null>(null)
 
@@ -24,6 +23,16 @@ export default function WebScraper({ onDataScraped }: { onDataScraped: (data: Sc
       return
     }
 
+    let schema
+    if (schemaText.trim()) {
+      try {
+        schema = JSON.parse(schemaText)
+      } catch {
+        setError("The extraction schema is not valid JSON")
+        return
+      }
+    }
+
     setIsLoading(true)
     setError(null)
 
@@ -33,12 +42,13 @@ export default function WebScraper({ onDataScraped }: { onDataScraped: (data: Sc
         headers: {
           "Content-Type": "application/json",
         },
-        body: JSON.stringify({ url }),
+        body: JSON.stringify({ url, schema }),
       })
 
       if (!response.ok) {
         const errorData = await response.json()
-        throw new Error(errorData.message || "Failed to scrape the website")
+        const details = Array.isArray(errorData.details) ? `: ${errorData.details.join("; ")}` : ""
+        throw new Error((errorData.error || errorData.message || "Failed to scrape the website") + details)
       }
 
       const data = await response.json()
@@ -77,6 +87,15 @@ export default function WebScraper({ onDataScraped }: { onDataScraped: (data: Sc
             </Button>
           </div>
 
+          <Textarea
+            value={schemaText}
+            onChange={(e) => setSchemaText(e.target.value)}
+            placeholder='Optional extraction schema, e.g. {"rowSelector": "table tr", "fields": {"name": "td:nth-child(1)"}}'
+            disabled={isLoading}
+            className="font-mono text-xs"
+            rows={4}
+          />
+
           {error && (
             <Alert variant="destructive">
               <AlertDescription>{error}</AlertDescription>
@@ -85,6 +104,7 @@ export default function WebScraper({ onDataScraped }: { onDataScraped: (data: Sc
 
           <div className="text-sm text-muted-foreground">
             <p>Enter a URL to scrape breeder information (name, phone, location).</p>
+            <p>Add a schema to choose your own fields (types: string, number, url, phone).</p>
             <p>Example: https://herefordsondemand.com/find-a-breeder-detail/84050/</p>
           </div>
         </div>
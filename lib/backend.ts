@@ -0,0 +1,46 @@
+import type { NextRequest } from "next/server"
+
+// The Express backend, reached only from the Next.js server
+const BACKEND_URL = process.env.API_URL?.replace(/\/$/, "") || "https://scraping-ai-chat-production.up.railway.app"
+
+// Response headers the browser needs: downloads, record counts and when to retry after a quota error
+const PASSED_HEADERS = ["content-type", "content-disposition", "x-record-count", "retry-after", "cache-control"]
+
+// httpOnly cookie with the browser's owner ID, set by middleware.ts
+export const OWNER_COOKIE = "owner"
+export const OWNER_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+
+/**
+ * The header telling the backend which browser a request comes from. The backend keeps what each browser
+ * creates apart, and only believes the header from a request carrying the API key.
+ */
+export function ownerHeaders(request: NextRequest): Record<string, string> {
+  const owner = request.cookies.get(OWNER_COOKIE)?.value
+  return owner && OWNER_ID.test(owner) ? { "X-Owner-Id": owner } : {}
+}
+
+/**
+ * Forwards a browser request to the backend, adding the backend API key and the browser's owner ID. The key
+ * stays on the server; the browser never sees it. The response is passed through as it is, streams and downloads included.
+ */
+export async function proxyToBackend(request: NextRequest, path: string) {
+  const hasBody = !["GET", "HEAD"].includes(request.method)
+  const response = await fetch(`${BACKEND_URL}${path}${request.nextUrl.search}`, {
+    method: request.method,
+    headers: {
+      ...(hasBody ? { "Content-Type": request.headers.get("content-type") || "application/json" } : {}),
+      ...(request.headers.get("accept") ? { Accept: request.headers.get("accept") as string } : {}),
+      ...(process.env.API_KEY ? { "X-API-Key": process.env.API_KEY } : {}),
+      ...ownerHeaders(request),
+    },
+    body: hasBody ? await request.text() : undefined,
+    signal: request.signal,
+  })
+
+  const headers = new Headers()
+  PASSED_HEADERS.forEach((name) => {
+    const value = response.headers.get(name)
+    if (value) headers.set(name, value)
+  })
+  return new Response(response.body, { status: response.status, headers })
+}
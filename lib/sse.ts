@@ -0,0 +1,53 @@
+// One event of a stream, typed by its name: Events maps each event name to the shape of its JSON payload,
+// so checking `event` narrows `data`
+export type StreamEvent<Events> = { [Name in keyof Events]: { event: Name; data: Events[Name] } }[keyof Events]
+
+/**
+ * Reads a text/event-stream response body, calling onEvent for every complete event.
+ * Events lists the events the caller handles; the payloads aren't validated, and events it doesn't
+ * list still arrive under their own name. Errors thrown by onEvent stop reading and propagate to the caller.
+ */
+export async function readEventStream<Events extends Record<string, unknown>>(
+  response: Response,
+  onEvent: (message: StreamEvent<Events>) => void,
+) {
+  if (!response.body) {
+    throw new Error("Response has no body to stream")
+  }
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ""
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) break
+      buffer += decoder.decode(value, { stream: true })
+
+      // Events are separated by a blank line
+      let boundary = buffer.indexOf("\n\n")
+      while (boundary !== -1) {
+        const frame = buffer.slice(0, boundary)
+        buffer = buffer.slice(boundary + 2)
+        boundary = buffer.indexOf("\n\n")
+
+        let event = "message"
+        const dataLines: string[] = []
+        frame.split("\n").forEach((line) => {
+          if (line.startsWith("event:")) event = line.slice(6).trim()
+          else if (line.startsWith("data:")) dataLines.push(line.slice(5).trimStart())
+        })
+
+        // Comment-only frames (heartbeats) carry no data
+        if (dataLines.length > 0) {
+          onEvent({ event, data: JSON.parse(dataLines.join("\n")) } as StreamEvent<Events>)
+        }
+      }
+    }
+  } catch (error) {
+    // Stop the download if the caller bailed out mid-stream
+    await reader.cancel().catch(() => {})
+    throw error
+  }
+}
@@ -0,0 +1,32 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { OWNER_COOKIE, OWNER_ID } from "@/lib/backend"
+
+// How long a browser keeps its conversations
+const OWNER_MAX_AGE_S = 365 * 24 * 60 * 60
+
+/**
+ * Gives each browser a random owner ID in an httpOnly cookie when it first opens the page. The API routes
+ * forward it to the backend, so a visitor only sees the conversations and jobs started from their own browser,
+ * although every request is made with the same API_KEY.
+ */
+export function middleware(request: NextRequest) {
+  if (OWNER_ID.test(request.cookies.get(OWNER_COOKIE)?.value || "")) {
+    return NextResponse.next()
+  }
+
+  const owner = crypto.randomUUID()
+  // The route handling this very request reads the cookie too
+  request.cookies.set(OWNER_COOKIE, owner)
+  const response = NextResponse.next({ request: { headers: request.headers } })
+  response.cookies.set(OWNER_COOKIE, owner, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: request.nextUrl.protocol === "https:",
+    path: "/",
+    maxAge: OWNER_MAX_AGE_S,
+  })
+  return response
+}
+
+// The page sets the cookie before its first API call, so those calls don't each make up a different owner
+export const config = { matcher: ["/", "/api/:path*"] }
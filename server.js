@@ -1,12 +1,64 @@
 import express from "express"
 import cors from "cors"
 import { createClient } from "@supabase/supabase-js"
-import OpenAI from "openai"
 import dotenv from "dotenv"
 import rateLimit from "express-rate-limit"
-import fetch from "node-fetch"
-import * as cheerio from "cheerio"
-import { v4 as uuidv4 } from "uuid"
+import {
+  findExtractor,
+  getExtractor,
+  listExtractors,
+  loadExtractors,
+  matchExtractor,
+} from "./server/extractors/index.js"
+import { checkUrl, fetchPage, scrapePage } from "./server/scraper.js"
+import { crawlPages } from "./server/crawler.js"
+import { cancelJob, describeJob, enqueueJob, getJob, recordPage, subscribeToJob, waitForJob } from "./server/jobs.js"
+import { openEventStream, wantsEventStream } from "./server/sse.js"
+import { createSessionStore } from "./server/session-store/index.js"
+import { createPagingState } from "./server/pagination.js"
+import { inferSchema } from "./server/inference.js"
+import {
+  deleteDomainSchema,
+  getDomainSchema,
+  listDomainSchemas,
+  saveDomainSchema,
+  toDomain,
+} from "./server/domain-schemas.js"
+import { parseExtractionSchema, parsePagination, parseRender, schemaToExtractor } from "./server/schema.js"
+import { EXPORT_FORMATS, exportRecords } from "./server/export.js"
+import { applyActiveFilter, parseQuery, runQuery } from "./server/query.js"
+import { createChatTools, runToolLoop } from "./server/chat-tools.js"
+import { analyzeDataset, describeAnalysis } from "./server/analysis.js"
+import { createLLMEmbedder, createRetriever, DEFAULT_TOP_K } from "./server/retrieval.js"
+import { createLLMFromEnv, withUsage } from "./server/llm.js"
+import { fillBlanks } from "./server/normalize.js"
+import { citeRecord } from "./server/provenance.js"
+import {
+  describeMemory,
+  forkSession,
+  parseFork,
+  parseSessionUpdate,
+  pinnedFacts,
+  recentMessages,
+  updateMemory,
+} from "./server/conversation.js"
+import { dedupeRecords, parseDedupeRules } from "./server/dedupe.js"
+import { enrichRecords, parseDetailOptions, planDetails, withDetailLink } from "./server/details.js"
+import { batchStatus, parseBatch } from "./server/batch.js"
+import { forEachWithConcurrency } from "./server/concurrency.js"
+import {
+  diffRecords,
+  describePages,
+  findSnapshot,
+  listSnapshots,
+  loadSnapshotRecords,
+  samePages,
+  saveSnapshot,
+  toSnapshotUrl,
+} from "./server/snapshots.js"
+import { checkWebhookUrl, createScheduler, parseSchedule } from "./server/scheduler.js"
+import { createAuth } from "./server/auth.js"
+import { createQuotas } from "./server/quotas.js"
 
 dotenv.config()
 
@@ -19,20 +71,69 @@ const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY
 const supabase = createClient(supabaseUrl, supabaseKey)
 console.log("✅ Supabase client initialized successfully")
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
+// Initialize the LLM adapter (OpenAI, an OpenAI-compatible server or the mock provider, see LLM_PROVIDER)
+const llm = createLLMFromEnv()
+console.log(`✅ LLM initialized successfully (${llm.provider}, ${llm.model})`)
+
+// Finds the records relevant to a chat question; embeds with the LLM when RETRIEVAL_EMBEDDER=llm, else BM25.
+// The embedder is picked per question, so the tokens are charged to whoever asked
+const embedWithLLM = process.env.RETRIEVAL_EMBEDDER === "llm"
+const retriever = createRetriever()
+
+// Load site extractors from EXTRACTORS_DIR in addition to the built-in ones
+if (process.env.EXTRACTORS_DIR) {
+  try {
+    const loaded = await loadExtractors(process.env.EXTRACTORS_DIR)
+    console.log(`✅ Loaded ${loaded} extractor(s) from ${process.env.EXTRACTORS_DIR}`)
+  } catch (error) {
+    console.error("❌ Error loading extractors:", error)
+  }
+}
+
+// Session storage; SESSION_STORE picks the backend (memory, file or supabase)
+const sessionStore = createSessionStore({
+  backend: process.env.SESSION_STORE || "memory",
+  ttlMs: (Number(process.env.SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000,
+  dir: process.env.SESSION_DIR,
+  supabase,
 })
-console.log("✅ OpenAI client initialized successfully")
+console.log(`✅ Session store initialized (${sessionStore.backend})`)
+
+// API keys and JWTs (API_KEYS, JWT_SECRET); without either the API is open and rate limited per IP instead
+const auth = createAuth()
+console.log(
+  auth.enabled
+    ? `✅ Authentication enabled (${auth.methods.join(", ")})`
+    : "Authentication is off, set API_KEYS or JWT_SECRET to require API keys",
+)
 
-// In-memory session storage (replace with a database in production)
-const sessions = new Map()
+// Per-key quotas of pages and LLM tokens
+const quotas = createQuotas()
 
-// Rate limiting middleware
+// Rate limiting middleware, for the open API; keys have quotas instead
 const apiLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
   max: 3, // limit each IP to 3 requests per windowMs
   message: "Too many requests, please try again later.",
+  // Job progress polling, downloads and the session list are cheap and must not eat into the budget for real work
+  skip: (req) =>
+    Boolean(req.account) ||
+    (req.method === "GET" &&
+      (req.path.startsWith("/api/jobs/") || req.path.endsWith("/export") || req.path === "/api/sessions")),
+  // Same shape as quota errors, so clients can count down to the reset
+  handler: (req, res, next, options) => {
+    const { limit, used, resetTime } = req.rateLimit
+    const resetAt = resetTime || new Date(Date.now() + options.windowMs)
+    const retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000))
+    sendResult(res, {
+      status: options.statusCode,
+      body: {
+        error: options.message,
+        quota: { kind: "requests", limit, used, remaining: 0, resetAt: resetAt.toISOString() },
+        retryAfter,
+      },
+    })
+  },
 })
 
 // Middleware
@@ -40,12 +141,15 @@ app.use(express.json())
 app.use(
   cors({
     origin: ["https://scraping-ai-chat.vercel.app", "http://localhost:3000"],
-    methods: ["GET", "POST", "OPTIONS"],
+    methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"],
     credentials: true,
   }),
 )
 
-// Apply rate limiting to all requests
+// Every API route needs a key once authentication is on
+app.use("/api", auth.middleware)
+
+// Apply rate limiting to requests made without a key
 app.use(apiLimiter)
 
 // Logging middleware
@@ -66,86 +170,664 @@ app.get("/health", (req, res) => {
   res.status(200).json({ status: "ok" })
 })
 
-// Helper function to filter data
-function filterData(data, filterCriteria) {
-  return data.filter((item) => {
-    return Object.entries(filterCriteria).every(([key, value]) => {
-      return item[key].toLowerCase().includes(value.toLowerCase())
-    })
-  })
+// What the request's API key has used of its quotas
+app.get("/api/quota", (req, res) => {
+  if (!req.account) {
+    return res.json({ account: null, quota: null })
+  }
+  const { name, method } = req.account
+  res.json({ account: { name, method }, quota: quotas.usage(req.account) })
+})
+
+// List the registered site extractors
+app.get("/api/extractors", (req, res) => {
+  res.json({ extractors: listExtractors() })
+})
+
+/**
+ * Sends a { status, body } result, with a Retry-After header when the body says when to retry
+ * @param {Object} res - Express response
+ * @param {Object} result - { status, body }
+ */
+function sendResult(res, { status, body }) {
+  if (body.retryAfter) {
+    res.setHeader("Retry-After", String(body.retryAfter))
+  }
+  res.status(status).json(body)
+}
+
+/**
+ * The owner of what an account creates: sessions, jobs and schedules. A key's requests naming an owner
+ * (X-Owner-Id) keep what they create apart from the key's other owners
+ * @param {Object|null} account - Authenticated account, null when authentication is off
+ * @returns {string|null} - Account ID, followed by "/" and the owner when there is one
+ */
+function accountId(account) {
+  if (!account) return null
+  return account.owner ? `${account.id}/${account.owner}` : account.id
+}
+
+/**
+ * The account a stored owner stands for, the reverse of accountId, so work done for it later is charged to
+ * the key's quotas
+ * @param {string|null} owner - Owner from accountId
+ * @returns {Object|null} - { id, owner }, or null for no owner
+ */
+function accountOf(owner) {
+  if (!owner) return null
+  // Key names have no "/", JWT subjects might
+  const separator = owner.startsWith("key:") ? owner.indexOf("/") : -1
+  if (separator < 0) return { id: owner, owner: null }
+  return { id: owner.slice(0, separator), owner: owner.slice(separator + 1) }
+}
+
+/**
+ * The LLM adapter for work done for an account, charging the tokens it uses to the account's quota
+ * @param {Object|null} account - Authenticated account, null when authentication is off
+ * @returns {Object} - LLM adapter
+ */
+function llmFor(account) {
+  return account ? withUsage(llm, ({ totalTokens }) => quotas.charge(account, "tokens", totalTokens)) : llm
+}
+
+/**
+ * Validates the options of a scrape request that don't depend on the session: extraction schema, pagination
+ * strategy, dedupe rules, render mode and detail pages
+ * @param {Object} body - Request body
+ * @returns {Object} - { options: { schema, paginationStrategy, dedupeRules, render, detailOptions } }, each null
+ *   (detailOptions undefined) when not given, or { status, error, details }
+ */
+function parseScrapeOptions(body) {
+  const {
+    schema: rawSchema,
+    paginationStrategy: rawPaginationStrategy,
+    dedupe: rawDedupe,
+    render: rawRender,
+    details: rawDetails,
+  } = body
+
+  // Validate a request-supplied extraction schema before doing any work
+  let schema = null
+  if (rawSchema) {
+    const { schema: parsedSchema, errors } = parseExtractionSchema(rawSchema)
+    if (errors) {
+      return { status: 400, error: "Invalid extraction schema", details: errors }
+    }
+    schema = parsedSchema
+  }
+
+  // An explicit pagination strategy overrides the extractor's and automatic detection
+  let paginationStrategy = null
+  if (rawPaginationStrategy) {
+    const { pagination: parsedPagination, errors } = parsePagination(rawPaginationStrategy)
+    if (errors) {
+      return { status: 400, error: "Invalid pagination strategy", details: errors }
+    }
+    paginationStrategy = parsedPagination
+  }
+
+  // Duplicate matching rules apply to this scrape and the session's later pages
+  let dedupeRules = null
+  if (rawDedupe !== undefined) {
+    const { rules, errors } = parseDedupeRules(rawDedupe)
+    if (errors) {
+      return { status: 400, error: "Invalid dedupe rules", details: errors }
+    }
+    dedupeRules = rules
+  }
+
+  // How pages are loaded: static HTML, headless Chromium, or static with the browser as a fallback
+  let render = null
+  if (rawRender !== undefined) {
+    const { render: parsedRender, errors } = parseRender(rawRender)
+    if (errors) {
+      return { status: 400, error: "Invalid render option", details: errors }
+    }
+    render = parsedRender
+  }
+
+  // Detail-page options apply to this scrape and the session's later pages; false turns them off
+  let detailOptions
+  if (rawDetails !== undefined) {
+    const { details, errors } = parseDetailOptions(rawDetails)
+    if (errors) {
+      return { status: 400, error: "Invalid detail options", details: errors }
+    }
+    detailOptions = details
+  }
+
+  return { options: { schema, paginationStrategy, dedupeRules, render, detailOptions } }
+}
+
+/**
+ * Picks the extractor of a URL when the request and session don't name one: a site extractor matching the URL,
+ * then a schema saved for the domain, then the default extractor
+ * @param {string} url - URL to scrape
+ * @returns {Promise<Object>} - Extractor definition
+ */
+async function extractorForUrl(url) {
+  const matched = matchExtractor(url)
+  if (matched) {
+    return matched
+  }
+  const domainSchema = await getDomainSchema(supabase, url)
+  return domainSchema ? schemaToExtractor(domainSchema, `domain-schema:${toDomain(url)}`) : findExtractor(url)
+}
+
+/**
+ * Validates the scrape options of a request and resolves the session, target URL,
+ * extractor and pagination state shared by /api/scrape and /api/jobs
+ * @param {Object} body - Request body
+ * @param {Object|null} account - Account making the request; the session must be its own
+ * @returns {Promise<Object>} - { session, sessionId, targetUrl, extractor, dedupeRules, detailPlan }
+ *   or { status, error, details }
+ */
+async function prepareScrape(body, account) {
+  const { url, sessionId, extractor: extractorName } = body
+
+  const parsed = parseScrapeOptions(body)
+  if (parsed.error) {
+    return parsed
+  }
+  const { schema, paginationStrategy, dedupeRules, render, detailOptions } = parsed.options
+
+  if (extractorName && !getExtractor(extractorName)) {
+    return { status: 400, error: `Unknown extractor: ${extractorName}` }
+  }
+
+  // Get or create session
+  const { session, sessionId: newSessionId } = await sessionStore.getOrCreate(sessionId, accountId(account))
+
+  // Store the URL in the session
+  const targetUrl = url || session.lastUrl
+  if (!targetUrl) {
+    return { status: 400, error: "No URL provided and no previous URL in session" }
+  }
+  try {
+    await checkUrl(targetUrl)
+  } catch (error) {
+    const { status, body: failure } = fetchFailure(error.message, error.code || null)
+    return { status, ...failure }
+  }
+  session.lastUrl = targetUrl
+  if (dedupeRules) {
+    session.dedupe = dedupeRules
+  }
+  if (detailOptions !== undefined) {
+    session.details = detailOptions
+  }
+
+  // Pick the extractor: request schema, explicit name, whatever this session used before, then URL matching,
+  // then a schema saved for the domain, then the default extractor
+  if (schema) {
+    session.schema = schema
+    session.extractorName = null
+  } else if (extractorName) {
+    session.schema = null
+    session.extractorName = extractorName
+  } else if (url) {
+    session.schema = null
+    session.extractorName = null
+  }
+  let extractor = session.schema
+    ? schemaToExtractor(session.schema)
+    : (session.extractorName && getExtractor(session.extractorName)) || (await extractorForUrl(targetUrl))
+
+  // Pagination state (detected strategy, discovered "next" links) carries over to follow-up page requests
+  if (url || schema || extractorName || paginationStrategy || render || session.paging?.extractor !== extractor.name) {
+    session.paging = {
+      ...createPagingState(targetUrl, paginationStrategy || extractor.pagination),
+      extractor: extractor.name,
+      render: render || { mode: "auto" },
+    }
+  }
+
+  // Rows carry their detail link from extraction to enrichment
+  let detailPlan = null
+  if (session.details) {
+    const { plan, error } = planDetails(session.details, extractor)
+    if (error) {
+      return { status: 400, error: "Invalid detail options", details: [error] }
+    }
+    detailPlan = plan
+    extractor = withDetailLink(extractor, plan)
+  }
+
+  return {
+    session,
+    sessionId: newSessionId,
+    targetUrl,
+    extractor,
+    dedupeRules: session.dedupe || undefined,
+    detailPlan,
+  }
 }
 
-// Update the scrapeBreederPage function to better handle pagination
-async function scrapeBreederPage(url, pageNum) {
+/**
+ * Stores a scrape's results in the database, as the URL's latest content, and the pages just scraped as a
+ * new snapshot for change tracking; failures are logged and otherwise ignored
+ * @param {string} url - Scraped URL
+ * @param {Array} results - Scraped records
+ * @param {number} pageCount - Number of pages the results cover
+ * @param {Object} snapshot - { records, start, end }: the pages just scraped and their records
+ */
+async function storeScrapedContent(url, results, pageCount, { records, start, end }) {
+  await saveSnapshot(supabase, url, records, { start, end })
+
   try {
-    // For this specific website, construct the pagination URL
-    // First page doesn't need a page parameter
-    const baseUrl = url.split("?")[0] // Remove any existing query parameters
-    const pageUrl = pageNum === 1 ? baseUrl : `${baseUrl}?page=${pageNum}`
-
-    console.log(`Scraping page ${pageNum} from: ${pageUrl}`)
-
-    const response = await fetch(pageUrl, {
-      timeout: 10000, // 10 second timeout
-      headers: {
-        "User-Agent":
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
+    const { error: upsertError } = await supabase.from("scraped_content").upsert([
+      {
+        url,
+        content: JSON.stringify(results),
+        scraped_at: new Date().toISOString(),
+        page_count: pageCount,
       },
+    ])
+
+    if (upsertError) {
+      console.error("❌ Error storing scraped content:", upsertError)
+    }
+  } catch (dbError) {
+    console.error("Database storage error:", dbError)
+    // Continue even if database storage fails
+  }
+}
+
+/**
+ * Removes the temporary deduplication ID from scraped records
+ * @param {Array} records - Records from the scraper
+ * @returns {Array} - Records without `id`
+ */
+function stripRecordIds(records) {
+  return records.map((item) => {
+    const { id, ...rest } = item
+    return rest
+  })
+}
+
+/**
+ * Builds the response for a page that could not be loaded
+ * @param {string} error - Error message from the scraper
+ * @param {string|null} errorCode - "URL_BLOCKED" when the server's URL policy rejects the page (the message
+ *   names the rule), "ROBOTS_DISALLOWED" when robots.txt forbids it, "BROWSER_UNAVAILABLE" when it needs a
+ *   browser this server doesn't have
+ * @returns {Object} - { status, body } with the HTTP status and response body
+ */
+function fetchFailure(error, errorCode) {
+  if (errorCode === "URL_BLOCKED") {
+    return { status: 403, body: { error: "The server's URL policy does not allow this page", details: error } }
+  }
+  if (errorCode === "ROBOTS_DISALLOWED") {
+    return { status: 403, body: { error: "The site's robots.txt does not allow scraping this page", details: error } }
+  }
+  if (errorCode === "BROWSER_UNAVAILABLE") {
+    return { status: 503, body: { error: "Browser rendering is not available on this server", details: error } }
+  }
+  return { status: 502, body: { error: "Could not fetch the page", details: error } }
+}
+
+// Pages a synchronous /api/scrape range request may cover; larger ranges belong in /api/jobs
+const MAX_SYNC_PAGES = 6
+
+// Pages a single background job may cover
+const MAX_JOB_PAGES = Number(process.env.MAX_JOB_PAGES) || 200
+
+/**
+ * Scrapes the first page, the next page or a short page range and stores the results in the session; with
+ * `urls`, scrapes several URLs (see runBatchScrape). Shared by /api/scrape and the chat's scraping tools
+ * @param {Object} body - Scrape options as posted to /api/scrape
+ * @param {Object|null} [account] - Account the pages are charged to
+ * @returns {Promise<Object>} - { status, body } with the HTTP status and response body
+ */
+async function runScrape(body, account = null) {
+  const { pagination, pageRange, saveSchema } = body
+  if (body.urls !== undefined) {
+    return runBatchScrape(body, account)
+  }
+
+  const prepared = await prepareScrape(body, account)
+  if (prepared.error) {
+    const { status, ...errorBody } = prepared
+    return { status, body: errorBody }
+  }
+  const { session, sessionId: newSessionId, targetUrl, extractor, dedupeRules, detailPlan } = prepared
+
+  const isRange = pageRange && pageRange.start && pageRange.end
+  const pagesNeeded = isRange ? Math.min(MAX_SYNC_PAGES, Math.max(1, pageRange.end - pageRange.start + 1)) : 1
+  const overQuota = quotas.check(account, "pages", pagesNeeded)
+  if (overQuota) {
+    return overQuota
+  }
+
+  // Initialize results array
+  let results = []
+  // Data scraped before, which "next page" requests add to
+  let previous = []
+  // Pages of a range that failed to load
+  let rangeFailures = []
+  // Pages this request scrapes, which its snapshot covers
+  let pages = { start: 1, end: 1 }
+
+  // Handle page range requests (e.g., "page 1 to 2")
+  if (isRange) {
+    console.log(`Processing page range request: pages ${pageRange.start} to ${pageRange.end}`)
+
+    // Validate page range
+    const start = Math.max(1, pageRange.start)
+    const end = Math.min(start + MAX_SYNC_PAGES - 1, pageRange.end) // Longer ranges run as background jobs
+
+    const { records, lastPage, entriesPerPage, failedPages, pagesLoaded } = await crawlPages({
+      url: targetUrl,
+      start,
+      end,
+      extractor,
+      paging: session.paging,
     })
+    quotas.charge(account, "pages", pagesLoaded)
 
-    if (!response.ok) {
-      console.error(`Failed to fetch page ${pageNum}: ${response.status} ${response.statusText}`)
-      return { data: [], hasMorePages: false, totalEntries: 0 }
-    }
-
-    const html = await response.text()
-    const $ = cheerio.load(html)
-
-    // Extract total entries from the page
-    const showingText = $("body")
-      .text()
-      .match(/Showing .* of (\d+) entries/)
-    const totalEntries = showingText ? Number.parseInt(showingText[1]) : 0
-    const entriesPerPage = 25 // This website shows 25 entries per page
-
-    // Extract data from the table
-    const breeders = []
-    $("table tr").each((index, element) => {
-      // Skip header row
-      if (index === 0) return
-
-      const columns = $(element).find("td")
-      if (columns.length >= 3) {
-        const name = $(columns[0]).text().trim() || "-"
-        const phone = $(columns[1]).text().trim() || "-"
-        const location = $(columns[2]).text().trim() || "-"
-
-        // Create a unique ID from the data to help with deduplication
-        const uniqueId = `${name}-${phone}-${location}`.toLowerCase().replace(/\s+/g, "")
-
-        breeders.push({
-          id: uniqueId,
-          name,
-          phone,
-          location,
-        })
+    if (records.length === 0 && failedPages.length > 0) {
+      await sessionStore.save(newSessionId, session)
+      return fetchFailure(failedPages[0].error, failedPages[0].errorCode)
+    }
+    rangeFailures = failedPages
+
+    // Limit results to the expected number of entries for the requested pages
+    results = stripRecordIds(records).slice(0, entriesPerPage ? (end - start + 1) * entriesPerPage : undefined)
+
+    session.currentPage = Math.max(lastPage, start)
+    pages = { start, end }
+    console.log(`Returning ${results.length} results for pages ${start} to ${end}`)
+  }
+  // Handle "next page" requests
+  else if (pagination) {
+    const nextPage = session.currentPage + 1
+    console.log(`Processing pagination request for page ${nextPage}`)
+
+    const { data: pageData, error, errorCode } = await scrapePage(targetUrl, nextPage, extractor, session.paging)
+    quotas.charge(account, "pages", 1)
+
+    if (error) {
+      await sessionStore.save(newSessionId, session)
+      return fetchFailure(error, errorCode)
+    }
+    if (pageData.length === 0) {
+      await sessionStore.save(newSessionId, session)
+      return {
+        status: 404,
+        body: { error: `No more data found on page ${nextPage}. You might have reached the end of the results.` },
       }
-    })
+    }
+
+    // The new page is added to the data we already have below
+    previous = Array.isArray(session.scrapedData) ? session.scrapedData : []
+    results = stripRecordIds(pageData)
+
+    session.currentPage = nextPage
+    pages = { start: nextPage, end: nextPage }
+  }
+  // Initial request (just page 1)
+  else {
+    console.log(`Processing initial request for page 1`)
 
-    // Check if there are more pages
-    const currentEntries = (pageNum - 1) * entriesPerPage + breeders.length
-    const hasMorePages = currentEntries < totalEntries
+    const { data: pageData, error, errorCode } = await scrapePage(targetUrl, 1, extractor, session.paging)
+    quotas.charge(account, "pages", 1)
+
+    if (error) {
+      await sessionStore.save(newSessionId, session)
+      return fetchFailure(error, errorCode)
+    }
+    if (pageData.length === 0) {
+      await sessionStore.save(newSessionId, session)
+      return {
+        status: 404,
+        body: {
+          error: "No breeder information found on the provided URL. Please check the URL and try again.",
+          // The client can ask /api/scrape/infer for a schema proposal
+          canInfer: true,
+        },
+      }
+    }
+
+    // Remove the temporary ID field
+    results = stripRecordIds(pageData)
+
+    session.currentPage = 1
+    session.activeFilter = null
+  }
+
+  // Follow the new rows' detail links and merge in what the detail pages add
+  let detailPages = null
+  if (detailPlan) {
+    const enriched = await enrichRecords(results, detailPlan)
+    results = enriched.records
+    detailPages = enriched.report
+    quotas.charge(account, "pages", detailPages.followed)
+  }
+
+  // A next page is snapshotted on its own, so it is compared with earlier scrapes of the same page
+  const scraped = previous.length > 0 ? dedupeRecords(results, dedupeRules).records : null
+
+  // Merge records that describe the same thing, within the new page(s) and with the data we already had
+  results = [...previous, ...results]
+  const { records: deduped, report: dedupe } = dedupeRecords(results, dedupeRules)
+  results = deduped
+
+  // Update session data
+  session.scrapedData = results
+  await sessionStore.save(newSessionId, session)
+
+  // Remember a confirmed schema for the next scrape of this domain
+  let savedDomain = null
+  if (saveSchema && session.schema) {
+    savedDomain = await saveDomainSchema(supabase, targetUrl, session.schema)
+  }
+
+  // Store the scraped content in the database
+  await storeScrapedContent(
+    targetUrl,
+    results,
+    pageRange ? pageRange.end - pageRange.start + 1 : session.currentPage,
+    { records: scraped || results, ...pages },
+  )
+
+  return {
+    status: 200,
+    body: {
+      message: pageRange
+        ? `Pages ${pageRange.start} to ${pageRange.end} scraped successfully` +
+          (pageRange.end - pageRange.start + 1 > MAX_SYNC_PAGES
+            ? ` (only the first ${MAX_SYNC_PAGES} pages; use /api/jobs for longer ranges)`
+            : "")
+        : `Page ${session.currentPage} scraped successfully`,
+      results: results,
+      sessionId: newSessionId,
+      pageRange: pageRange,
+      page: session.currentPage,
+      extractor: extractor.name,
+      fields: Object.keys(extractor.fields),
+      paginationStrategy: session.paging.settings,
+      render: session.paging.render?.mode || "static",
+      savedDomain,
+      totalItems: results.length,
+      dedupe,
+      ...(detailPages ? { detailPages } : {}),
+      ...(rangeFailures.length > 0 ? { failedPages: rangeFailures } : {}),
+    },
+  }
+}
+
+/**
+ * Scrapes one URL of a batch: its page range, then its detail pages, and stores its snapshot
+ * @param {Object} target - { url, extractor } from the batch
+ * @param {Object} range - { start, end } pages to scrape
+ * @param {Object} options - { extractorName, schema, paginationStrategy, render, details, account } of the request
+ * @returns {Promise<Object>} - { report, records, failure }: the URL's line of the `sources` report, its records
+ *   tagged with their source, and the { status, body } of the first error when it failed
+ */
+async function scrapeBatchUrl(target, range, { extractorName, schema, paginationStrategy, render, details, account }) {
+  const { url } = target
+  const pageRange = { start: range.start, end: range.end }
+  const fail = (failure) => ({
+    report: { url, status: "failed", pageRange, records: 0, error: failure.body.error, details: failure.body.details },
+    records: [],
+    failure,
+  })
+
+  try {
+    await checkUrl(url)
+  } catch (error) {
+    return fail(fetchFailure(error.message, error.code || null))
+  }
+
+  // The URL's own extractor, then the request's schema or extractor, then the usual lookup
+  let extractor =
+    (target.extractor && getExtractor(target.extractor)) ||
+    (schema && schemaToExtractor(schema)) ||
+    (extractorName && getExtractor(extractorName)) ||
+    (await extractorForUrl(url))
+  const paging = {
+    ...createPagingState(url, paginationStrategy || extractor.pagination),
+    extractor: extractor.name,
+    render: render || { mode: "auto" },
+  }
+
+  let detailPlan = null
+  if (details) {
+    const { plan, error } = planDetails(details, extractor)
+    if (error) {
+      return fail({ status: 400, body: { error: "Invalid detail options", details: [error] } })
+    }
+    detailPlan = plan
+    extractor = withDetailLink(extractor, plan)
+  }
+
+  try {
+    const { records, lastPage, failedPages, pagesLoaded } = await crawlPages({ url, ...range, extractor, paging })
+    quotas.charge(account, "pages", pagesLoaded)
+    if (records.length === 0 && failedPages.length > 0) {
+      return fail(fetchFailure(failedPages[0].error, failedPages[0].errorCode))
+    }
+
+    let results = stripRecordIds(records)
+    let detailPages = null
+    if (detailPlan && results.length > 0) {
+      const enriched = await enrichRecords(results, detailPlan)
+      results = enriched.records
+      detailPages = enriched.report
+      quotas.charge(account, "pages", detailPages.followed)
+    }
+    if (results.length > 0) {
+      await storeScrapedContent(url, results, lastPage - range.start + 1, { records: results, ...range })
+    }
 
-    console.log(`Found ${breeders.length} breeders on page ${pageNum}, total entries: ${totalEntries}`)
     return {
-      data: breeders,
-      hasMorePages,
-      totalEntries,
-      entriesPerPage,
+      report: {
+        url,
+        status: batchStatus({ records: results.length, failedPages }),
+        pageRange,
+        lastPage,
+        extractor: extractor.name,
+        records: results.length,
+        ...(failedPages.length > 0 ? { failedPages } : {}),
+        ...(detailPages ? { detailPages } : {}),
+      },
+      records: results,
     }
   } catch (error) {
-    console.error(`Error scraping page ${pageNum}:`, error)
-    return { data: [], hasMorePages: false, totalEntries: 0, entriesPerPage: 25 }
+    console.error(`❌ Error scraping ${url} of a batch:`, error)
+    return fail({ status: 500, body: { error: "An error occurred while scraping this URL", details: error.message } })
+  }
+}
+
+/**
+ * Scrapes several URLs, each with its own page range and extractor, a few at a time. Their records are tagged
+ * with the URL and page they came from and added to the session's data, duplicates merged. A URL that fails
+ * doesn't fail the others: the `sources` report says how each one went
+ * @param {Object} body - Scrape options as posted to /api/scrape, with `urls` and optionally `concurrency`
+ * @param {Object|null} account - Account the pages are charged to
+ * @returns {Promise<Object>} - { status, body } with the HTTP status and response body
+ */
+async function runBatchScrape(body, account) {
+  const { urls, concurrency, sessionId, extractor: extractorName } = body
+
+  const { batch, errors } = parseBatch({ urls, concurrency })
+  if (errors) {
+    return { status: 400, body: { error: "Invalid urls", details: errors } }
+  }
+  const parsed = parseScrapeOptions(body)
+  if (parsed.error) {
+    const { status, ...errorBody } = parsed
+    return { status, body: errorBody }
+  }
+  const { schema, paginationStrategy, dedupeRules, render, detailOptions } = parsed.options
+
+  const unknown = [extractorName, ...batch.urls.map((target) => target.extractor)].find(
+    (name) => name && !getExtractor(name),
+  )
+  if (unknown) {
+    return { status: 400, body: { error: `Unknown extractor: ${unknown}` } }
+  }
+
+  // Each URL covers its own range, up to what a synchronous scrape may
+  const ranges = batch.urls.map(({ pageRange }) => {
+    const start = pageRange?.start || 1
+    return { start, end: Math.min(start + MAX_SYNC_PAGES - 1, pageRange?.end || start) }
+  })
+  const pagesNeeded = ranges.reduce((sum, { start, end }) => sum + end - start + 1, 0)
+  const overQuota = quotas.check(account, "pages", pagesNeeded)
+  if (overQuota) {
+    return overQuota
+  }
+
+  const { session, sessionId: newSessionId } = await sessionStore.getOrCreate(sessionId, accountId(account))
+  if (dedupeRules) {
+    session.dedupe = dedupeRules
+  }
+  if (detailOptions !== undefined) {
+    session.details = detailOptions
+  }
+
+  console.log(`Processing batch request: ${batch.urls.length} URLs, ${batch.concurrency} at a time`)
+  const sources = []
+  const collected = []
+  const failures = []
+  const options = { extractorName, schema, paginationStrategy, render, details: session.details, account }
+  await forEachWithConcurrency(batch.urls, batch.concurrency, async (target, index) => {
+    const { report, records, failure } = await scrapeBatchUrl(target, ranges[index], options)
+    sources[index] = report
+    collected[index] = records
+    if (failure) failures[index] = failure
+  })
+
+  const added = collected.flat()
+  const failed = sources.filter((source) => source.status === "failed").length
+  if (added.length === 0) {
+    await sessionStore.save(newSessionId, session)
+    const failure = failures.find(Boolean)
+    return failure
+      ? { status: failure.status, body: { ...failure.body, sessionId: newSessionId, sources } }
+      : { status: 404, body: { error: "No records found on any of the URLs", sessionId: newSessionId, sources } }
+  }
+
+  // Merge records that describe the same thing, across the URLs and with the data we already had
+  const previous = Array.isArray(session.scrapedData) ? session.scrapedData : []
+  const { records: results, report: dedupe } = dedupeRecords([...previous, ...added], session.dedupe || undefined)
+  session.scrapedData = results
+  await sessionStore.save(newSessionId, session)
+
+  const scraped = sources.filter((source) => source.records > 0).length
+  return {
+    status: 200,
+    body: {
+      message:
+        `Scraped ${scraped} of ${sources.length} URLs` + (failed > 0 ? ` (${failed} failed, see sources)` : ""),
+      results,
+      sessionId: newSessionId,
+      totalItems: results.length,
+      added: added.length,
+      dedupe,
+      sources,
+    },
   }
 }
 
@@ -153,193 +835,364 @@ async function scrapeBreederPage(url, pageNum) {
 app.post("/api/scrape", async (req, res) => {
   try {
     console.log("Received scrape request:", req.body)
-    const { url, pagination, pageRange, sessionId } = req.body
-
-    // Get or create session
-    let session
-    let newSessionId = sessionId
-    if (sessionId && sessions.has(sessionId)) {
-      session = sessions.get(sessionId)
-    } else {
-      newSessionId = uuidv4()
-      session = { messages: [], scrapedData: null, currentPage: 1, lastUrl: null }
-      sessions.set(newSessionId, session)
-    }
-
-    // Store the URL in the session
-    const targetUrl = url || session.lastUrl
-    if (!targetUrl) {
-      return res.status(400).json({
-        error: "No URL provided and no previous URL in session",
+    sendResult(res, await runScrape(req.body, req.account))
+  } catch (error) {
+    console.error("❌ Error processing scrape request:", error)
+    res.status(500).json({
+      error: "An error occurred while processing your request",
+      details: error.message,
+    })
+  }
+})
+
+/**
+ * Validates a page range and queues its crawl as a background job. Shared by /api/jobs and the chat's
+ * page range tool
+ * @param {Object} body - Scrape options with a pageRange, as posted to /api/jobs
+ * @param {Object|null} [account] - Account the job belongs to and its pages are charged to
+ * @returns {Promise<Object>} - { status, body, job } with the HTTP status and response body
+ */
+async function startScrapeJob(body, account = null) {
+  const { pageRange } = body
+  if (body.urls !== undefined) {
+    return { status: 400, body: { error: "A job crawls one URL; scrape several URLs with /api/scrape" } }
+  }
+  const start = Math.max(1, Number(pageRange?.start) || 1)
+  const end = Number(pageRange?.end) || start
+  if (end < start) {
+    return { status: 400, body: { error: "pageRange.end must not be before pageRange.start" } }
+  }
+  if (end - start + 1 > MAX_JOB_PAGES) {
+    return { status: 400, body: { error: `A job may cover at most ${MAX_JOB_PAGES} pages` } }
+  }
+
+  const prepared = await prepareScrape(body, account)
+  if (prepared.error) {
+    const { status, ...errorBody } = prepared
+    return { status, body: errorBody }
+  }
+  const { session, sessionId, targetUrl, extractor, dedupeRules, detailPlan } = prepared
+
+  // The whole range has to fit in what is left; detail pages are charged as they are followed
+  const overQuota = quotas.check(account, "pages", end - start + 1)
+  if (overQuota) {
+    return overQuota
+  }
+
+  const job = enqueueJob(
+    { sessionId, owner: accountId(account), url: targetUrl, pageRange: { start, end }, extractor: extractor.name },
+    async (job, signal) => {
+      const seen = new Set()
+      const { records, lastPage, pagesLoaded } = await crawlPages({
+        url: targetUrl,
+        start,
+        end,
+        extractor,
+        paging: session.paging,
+        signal,
+        onPage: ({ page, records: pageRecords, error }) => {
+          pageRecords.forEach((record) => seen.add(record.id))
+          recordPage(job, { page, rowsCollected: seen.size, error })
+        },
       })
-    }
-    session.lastUrl = targetUrl
+      quotas.charge(account, "pages", pagesLoaded)
+
+      let collected = stripRecordIds(records)
+      let detailPages = null
+      if (detailPlan) {
+        const enriched = await enrichRecords(collected, detailPlan, { signal })
+        collected = enriched.records
+        detailPages = enriched.report
+        quotas.charge(account, "pages", detailPages.followed)
+      }
 
-    // Initialize results array
-    let results = []
+      // Completed and cancelled crawls both hand what they collected to the session,
+      // reloaded in case the chat changed it while the crawl was running
+      const { records: results, report: dedupe } = dedupeRecords(collected, dedupeRules)
+      if (results.length > 0) {
+        const latestSession = (await sessionStore.get(sessionId)) || session
+        latestSession.scrapedData = results
+        latestSession.currentPage = lastPage
+        latestSession.activeFilter = null
+        latestSession.paging = session.paging
+        await sessionStore.save(sessionId, latestSession)
+        // A cancelled crawl only covers the pages it got to
+        const pages = { start, end: signal.aborted ? lastPage : end }
+        await storeScrapedContent(targetUrl, results, lastPage - start + 1, { records: results, ...pages })
+      }
 
-    // Then update the scrape endpoint to handle page ranges correctly
-    // Replace the page range handling section in the /api/scrape endpoint with this:
+      return { results, lastPage, dedupe, detailPages }
+    },
+  )
 
-    // Handle page range requests (e.g., "page 1 to 2")
-    if (pageRange && pageRange.start && pageRange.end) {
-      console.log(`Processing page range request: pages ${pageRange.start} to ${pageRange.end}`)
+  return { status: 202, body: describeJob(job), job }
+}
 
-      // Validate page range
-      const start = Math.max(1, pageRange.start)
-      const end = Math.min(start + 5, pageRange.end) // Limit to 5 pages max
+// Queue a page-range crawl as a background job
+app.post("/api/jobs", async (req, res) => {
+  try {
+    const { status, body } = await startScrapeJob(req.body, req.account)
+    sendResult(res, { status, body })
+  } catch (error) {
+    console.error("❌ Error creating job:", error)
+    res.status(500).json({
+      error: "An error occurred while processing your request",
+      details: error.message,
+    })
+  }
+})
 
-      // Use a Map to deduplicate results
-      const resultsMap = new Map()
-      let totalEntries = 0
-      let entriesPerPage = 25
+/**
+ * Looks up a job of the request's account
+ * @param {Object} req - Express request with the job ID in params
+ * @returns {Object|null} - The job record, or null if unknown or someone else's
+ */
+function getOwnJob(req) {
+  const job = getJob(req.params.id)
+  return job && job.owner === accountId(req.account) ? job : null
+}
 
-      // Scrape each page in the range
-      for (let page = start; page <= end; page++) {
-        const {
-          data: pageData,
-          hasMorePages,
-          totalEntries: total,
-          entriesPerPage: perPage,
-        } = await scrapeBreederPage(targetUrl, page)
+app.get("/api/jobs/:id", (req, res) => {
+  const job = getOwnJob(req)
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" })
+  }
+  res.json(describeJob(job))
+})
 
-        if (pageData.length === 0) {
-          console.log(`No data found on page ${page}, stopping pagination`)
-          break
-        }
+// Stream a job's progress as Server-Sent Events: "progress" after every page, then "done" with the results
+app.get("/api/jobs/:id/events", (req, res) => {
+  const job = getOwnJob(req)
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" })
+  }
 
-        // Update our pagination info
-        totalEntries = total
-        entriesPerPage = perPage
+  const stream = openEventStream(res)
+  stream.send("progress", describeJob(job))
+  if (job.finishedAt) {
+    stream.send("done", describeJob(job))
+    return stream.close()
+  }
 
-        // Add to results map for deduplication
-        pageData.forEach((item) => {
-          if (item.id && !resultsMap.has(item.id)) {
-            resultsMap.set(item.id, item)
-          }
-        })
+  const unsubscribe = subscribeToJob(job.id, (event) => {
+    if (event.type === "page") {
+      const { results, ...progress } = describeJob(job)
+      stream.send("progress", { ...progress, page: event.page, pageError: event.error })
+    } else if (event.type === "done") {
+      stream.send("done", describeJob(job))
+      unsubscribe()
+      stream.close()
+    }
+  })
+  res.on("close", unsubscribe)
+})
 
-        // If we've reached the end of available pages, break
-        if (!hasMorePages && page < end) {
-          console.log(`No more pages available after page ${page}`)
-          break
-        }
+app.delete("/api/jobs/:id", (req, res) => {
+  if (!getOwnJob(req)) {
+    return res.status(404).json({ error: "Job not found" })
+  }
+  res.json(describeJob(cancelJob(req.params.id)))
+})
 
-        // Add a small delay between requests
-        if (page < end) {
-          await new Promise((resolve) => setTimeout(resolve, 500))
-        }
-      }
+/**
+ * Describes a session for the session list
+ * @param {Object} record - Session record from the store
+ * @returns {Object} - { sessionId, title, messageCount, recordCount, lastUrl, forkedFrom, createdAt, updatedAt,
+ *   expiresAt }
+ */
+function describeSession(record) {
+  const { title, messageCount, recordCount, lastUrl, forkedFrom } = record.summary
+  return {
+    sessionId: record.id,
+    title,
+    messageCount,
+    recordCount,
+    lastUrl,
+    forkedFrom,
+    createdAt: new Date(record.createdAt).toISOString(),
+    updatedAt: new Date(record.updatedAt).toISOString(),
+    expiresAt: new Date(record.expiresAt).toISOString(),
+  }
+}
 
-      // Convert map back to array and remove the temporary ID field
-      results = Array.from(resultsMap.values())
-        .map((item) => {
-          const { id, ...rest } = item
-          return rest
-        })
-        // Limit results to the expected number of entries for the requested pages
-        .slice(0, (end - start + 1) * entriesPerPage)
+// The caller's conversations, most recent first
+app.get("/api/sessions", async (req, res) => {
+  try {
+    const records = await sessionStore.list(accountId(req.account))
+    res.json({ sessions: records.map(describeSession) })
+  } catch (error) {
+    console.error("❌ Error listing sessions:", error)
+    res.status(500).json({ error: "An error occurred while processing your request", details: error.message })
+  }
+})
 
-      session.currentPage = end
-      console.log(`Returning ${results.length} results for pages ${start} to ${end}`)
+// Resume a conversation: messages, scraped data, scrape position and what the chat remembers
+app.get("/api/sessions/:id", async (req, res) => {
+  try {
+    const record = await sessionStore.getRecord(req.params.id, accountId(req.account))
+    if (!record) {
+      return res.status(404).json({ error: "Session not found or expired" })
     }
-    // Handle "next page" requests
-    else if (pagination) {
-      const nextPage = session.currentPage + 1
-      console.log(`Processing pagination request for page ${nextPage}`)
 
-      const { data: pageData, hasMorePages } = await scrapeBreederPage(targetUrl, nextPage)
+    const { messages, scrapedData, currentPage, lastUrl, memory } = record.data
+    res.json({
+      ...describeSession(record),
+      messages,
+      scrapedData,
+      currentPage,
+      lastUrl,
+      memory: { summary: memory?.summary || "", summarized: memory?.summarized || 0, pinned: pinnedFacts(record.data) },
+    })
+  } catch (error) {
+    console.error("❌ Error loading session:", error)
+    res.status(500).json({ error: "An error occurred while processing your request", details: error.message })
+  }
+})
+
+// Rename a conversation
+app.patch("/api/sessions/:id", async (req, res) => {
+  const { update, errors } = parseSessionUpdate(req.body)
+  if (errors) {
+    return res.status(400).json({ error: "Invalid session update", details: errors })
+  }
 
-      if (pageData.length === 0) {
-        return res.status(404).json({
-          error: `No more data found on page ${nextPage}. You might have reached the end of the results.`,
-        })
-      }
+  try {
+    const record = await sessionStore.getRecord(req.params.id, accountId(req.account))
+    if (!record) {
+      return res.status(404).json({ error: "Session not found or expired" })
+    }
+    record.data.title = update.title
+    await sessionStore.save(record.id, record.data)
+    res.json(describeSession((await sessionStore.getRecord(record.id)) || record))
+  } catch (error) {
+    console.error("❌ Error updating session:", error)
+    res.status(500).json({ error: "An error occurred while processing your request", details: error.message })
+  }
+})
 
-      // If we already have data, combine it with the new data (with deduplication)
-      if (session.scrapedData && Array.isArray(session.scrapedData)) {
-        // Create a map of existing items by a unique key
-        const existingItems = new Map()
-        session.scrapedData.forEach((item) => {
-          const uniqueId = `${item.name}-${item.phone}-${item.location}`.toLowerCase().replace(/\s+/g, "")
-          existingItems.set(uniqueId, item)
-        })
+// Branch a conversation into a new session, optionally from an earlier message
+app.post("/api/sessions/:id/fork", async (req, res) => {
+  const { fork, errors } = parseFork(req.body)
+  if (errors) {
+    return res.status(400).json({ error: "Invalid fork", details: errors })
+  }
 
-        // Add new items, avoiding duplicates
-        pageData.forEach((item) => {
-          if (item.id && !existingItems.has(item.id)) {
-            const { id, ...rest } = item
-            existingItems.set(item.id, rest)
-          }
-        })
+  try {
+    const session = await sessionStore.get(req.params.id, accountId(req.account))
+    if (!session) {
+      return res.status(404).json({ error: "Session not found or expired" })
+    }
+    const sessionId = await sessionStore.create(forkSession(session, req.params.id, fork))
+    res.status(201).json(describeSession(await sessionStore.getRecord(sessionId)))
+  } catch (error) {
+    console.error("❌ Error forking session:", error)
+    res.status(500).json({ error: "An error occurred while processing your request", details: error.message })
+  }
+})
 
-        results = Array.from(existingItems.values())
-      } else {
-        // Just use the new data if we don't have existing data
-        results = pageData.map((item) => {
-          const { id, ...rest } = item
-          return rest
-        })
-      }
+// Filter, sort, group and count the session's scraped data
+app.post("/api/sessions/:id/query", async (req, res) => {
+  const { query, errors } = parseQuery(req.body?.query ?? req.body)
+  if (errors) {
+    return res.status(400).json({ error: "Invalid query", details: errors })
+  }
 
-      session.currentPage = nextPage
+  try {
+    const session = await sessionStore.get(req.params.id, accountId(req.account))
+    if (!session) {
+      return res.status(404).json({ error: "Session not found or expired" })
     }
-    // Initial request (just page 1)
-    else {
-      console.log(`Processing initial request for page 1`)
+    res.json(runQuery(session.scrapedData || [], query))
+  } catch (error) {
+    console.error("❌ Error running query:", error)
+    res.status(500).json({ error: "An error occurred while processing your request", details: error.message })
+  }
+})
 
-      const { data: pageData } = await scrapeBreederPage(targetUrl, 1)
+// Download the session's scraped data, narrowed by the active chat filter unless ?all=true
+app.get("/api/sessions/:id/export", async (req, res) => {
+  const format = String(req.query.format || "csv").toLowerCase()
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      error: `Unsupported export format "${format}"`,
+      details: [`Use one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`],
+    })
+  }
 
-      if (pageData.length === 0) {
-        return res.status(404).json({
-          error: "No breeder information found on the provided URL. Please check the URL and try again.",
-        })
-      }
+  try {
+    const session = await sessionStore.get(req.params.id, accountId(req.account))
+    if (!session) {
+      return res.status(404).json({ error: "Session not found or expired" })
+    }
+    if (!session.scrapedData || session.scrapedData.length === 0) {
+      return res.status(404).json({ error: "This session has no scraped data to export" })
+    }
 
-      // Remove the temporary ID field
-      results = pageData.map((item) => {
-        const { id, ...rest } = item
-        return rest
-      })
+    const records = req.query.all === "true" ? session.scrapedData : applyActiveFilter(session)
+    const { contentType, extension } = EXPORT_FORMATS[format]
+    const body = await exportRecords(records, format)
 
-      session.currentPage = 1
+    res.setHeader("Content-Type", contentType)
+    res.setHeader("Content-Disposition", `attachment; filename="scraped-results.${extension}"`)
+    res.setHeader("X-Record-Count", String(records.length))
+    res.send(body)
+  } catch (error) {
+    console.error("❌ Error exporting session:", error)
+    res.status(500).json({ error: "An error occurred while processing your request", details: error.message })
+  }
+})
+
+// Wipe a conversation
+app.delete("/api/sessions/:id", async (req, res) => {
+  try {
+    const owned = await sessionStore.getRecord(req.params.id, accountId(req.account))
+    const deleted = owned && (await sessionStore.delete(req.params.id))
+    if (!deleted) {
+      return res.status(404).json({ error: "Session not found" })
     }
+    res.status(204).end()
+  } catch (error) {
+    console.error("❌ Error deleting session:", error)
+    res.status(500).json({ error: "An error occurred while processing your request", details: error.message })
+  }
+})
 
-    // Update session data
-    session.scrapedData = results
+// Propose an extraction schema for a page whose layout isn't known
+app.post("/api/scrape/infer", async (req, res) => {
+  try {
+    const { url } = req.body
+    if (!url) {
+      return res.status(400).json({ error: "URL is required for schema inference" })
+    }
+    const overQuota = quotas.check(req.account, "pages") || quotas.check(req.account, "tokens")
+    if (overQuota) {
+      return sendResult(res, overQuota)
+    }
 
-    // Store the scraped content in the database
+    let html
     try {
-      const { error: upsertError } = await supabase.from("scraped_content").upsert([
-        {
-          url: targetUrl,
-          content: JSON.stringify(results),
-          scraped_at: new Date().toISOString(),
-          page_count: pageRange ? pageRange.end - pageRange.start + 1 : session.currentPage,
-        },
-      ])
+      quotas.charge(req.account, "pages", 1)
+      html = await fetchPage(url)
+    } catch (fetchError) {
+      const { status, body } = fetchFailure(fetchError.message, fetchError.code)
+      return res.status(status).json(body)
+    }
 
-      if (upsertError) {
-        console.error("❌ Error storing scraped content:", upsertError)
-      }
-    } catch (dbError) {
-      console.error("Database storage error:", dbError)
-      // Continue even if database storage fails
+    const { schema, preview, errors } = await inferSchema(llmFor(req.account), html, url)
+    if (errors) {
+      return res.status(422).json({ error: "Could not infer an extraction schema for this page", details: errors })
     }
 
-    // Return the results
     return res.json({
-      message: pageRange
-        ? `Pages ${pageRange.start} to ${pageRange.end} scraped successfully`
-        : `Page ${session.currentPage} scraped successfully`,
-      results: results,
-      sessionId: newSessionId,
-      pageRange: pageRange,
-      page: session.currentPage,
-      totalItems: results.length,
+      message: "Proposed extraction schema. Confirm it to scrape with it, optionally saving it for the domain.",
+      url,
+      domain: toDomain(url),
+      schema,
+      preview: preview.slice(0, 5),
+      totalItems: preview.length,
     })
   } catch (error) {
-    console.error("❌ Error processing scrape request:", error)
+    console.error("❌ Error inferring schema:", error)
     res.status(500).json({
       error: "An error occurred while processing your request",
       details: error.message,
@@ -347,6 +1200,316 @@ app.post("/api/scrape", async (req, res) => {
   }
 })
 
+// Saved per-domain extraction schemas
+app.get("/api/schemas", async (req, res) => {
+  res.json({ schemas: await listDomainSchemas(supabase) })
+})
+
+app.post("/api/schemas", async (req, res) => {
+  const { url, domain, schema: rawSchema } = req.body
+  if (!url && !domain) {
+    return res.status(400).json({ error: "A url or domain is required" })
+  }
+
+  const { schema, errors } = parseExtractionSchema(rawSchema)
+  if (errors) {
+    return res.status(400).json({ error: "Invalid extraction schema", details: errors })
+  }
+
+  const savedDomain = await saveDomainSchema(supabase, url || domain, schema)
+  res.json({ domain: savedDomain, schema })
+})
+
+app.delete("/api/schemas/:domain", async (req, res) => {
+  await deleteDomainSchema(supabase, req.params.domain)
+  res.status(204).end()
+})
+
+/**
+ * Compares two snapshots of a URL. Shared by /api/diff and the chat's what's-new tool
+ * @param {Object} params - Comparison
+ * @param {string} params.url - Scraped URL
+ * @param {string} [params.from] - Snapshot id, date or phrase like "last month"; defaults to the snapshot before `to`
+ * @param {string} [params.to] - Snapshot id, date or phrase; defaults to the latest snapshot
+ * @returns {Promise<Object>} - { status, body } with the HTTP status and response body
+ */
+async function diffSnapshots({ url, from, to }) {
+  if (!url) {
+    return { status: 400, body: { error: "A url is required" } }
+  }
+
+  const list = await listSnapshots(supabase, url)
+  if (list.length < 2) {
+    return {
+      status: 404,
+      body: {
+        error: list.length
+          ? "This URL has only been scraped once so far. Scrape it again to see what changed."
+          : "This URL hasn't been scraped yet",
+      },
+    }
+  }
+
+  let toSnapshot = list[list.length - 1]
+  if (to) {
+    const { snapshot, error } = findSnapshot(list, to)
+    if (error) {
+      return { status: 400, body: { error: "Invalid to", details: [error] } }
+    }
+    if (!snapshot) {
+      return { status: 404, body: { error: `No snapshot of this URL was taken by ${to}` } }
+    }
+    toSnapshot = snapshot
+  }
+
+  // Only snapshots of the same pages are compared, so pages scraped once don't show up as added or removed
+  const comparable = list.filter((snapshot) => samePages(snapshot, toSnapshot))
+  let fromSnapshot = comparable[comparable.indexOf(toSnapshot) - 1]
+  if (from) {
+    const other = list.find((snapshot) => snapshot.id === from && !samePages(snapshot, toSnapshot))
+    if (other) {
+      return {
+        status: 400,
+        body: {
+          error: "The snapshots cover different pages",
+          details: [`from covers ${describePages(other)} and to covers ${describePages(toSnapshot)}`],
+        },
+      }
+    }
+    const { snapshot, error } = findSnapshot(comparable, from)
+    if (error) {
+      return { status: 400, body: { error: "Invalid from", details: [error] } }
+    }
+    // First scraped after `from`: everything since the first snapshot is new
+    fromSnapshot = snapshot || comparable[0]
+  }
+  if (!fromSnapshot) {
+    const pages = describePages(toSnapshot)
+    return {
+      status: 404,
+      body: { error: `No earlier snapshot covers ${pages} of this URL. Scrape it again to see what changed.` },
+    }
+  }
+  if (new Date(fromSnapshot.takenAt) > new Date(toSnapshot.takenAt)) {
+    return { status: 400, body: { error: "from must be earlier than to" } }
+  }
+
+  const [before, after] = await Promise.all([
+    loadSnapshotRecords(supabase, fromSnapshot),
+    loadSnapshotRecords(supabase, toSnapshot),
+  ])
+  if (!before || !after) {
+    return { status: 404, body: { error: "The records of a snapshot could not be loaded" } }
+  }
+
+  const { added, removed, modified, unchanged } = diffRecords(before, after)
+  return {
+    status: 200,
+    body: {
+      url: toSnapshotUrl(url),
+      from: fromSnapshot,
+      to: toSnapshot,
+      summary: { added: added.length, removed: removed.length, modified: modified.length, unchanged },
+      added,
+      removed,
+      modified,
+    },
+  }
+}
+
+/**
+ * Runs one scheduled scrape through the same code as /api/scrape, or /api/jobs for page ranges,
+ * and compares the result with the previous snapshot of the URL. Runs count against the quota of the
+ * key that created the schedule
+ * @param {Object} schedule - Schedule from the scheduler
+ * @returns {Promise<Object>} - { sessionId, totalItems, diff }; diff is null on the first run
+ */
+async function runScheduledScrape(schedule) {
+  const { url, pageRange, extractor, schema, paginationStrategy, dedupe, render, details, sessionId } = schedule
+  const body = { url, extractor, schema, paginationStrategy, dedupe, render, details, sessionId }
+  const account = accountOf(schedule.owner)
+
+  let outcome
+  if (pageRange) {
+    const { status, body: jobBody, job } = await startScrapeJob({ ...body, pageRange }, account)
+    if (status !== 202) {
+      throw new Error(jobBody.error)
+    }
+    await waitForJob(job.id)
+    const { status: jobStatus, error, results } = describeJob(job)
+    if (jobStatus === "failed") {
+      throw new Error(error || "The crawl failed")
+    }
+    outcome = { sessionId: job.sessionId, totalItems: results.length }
+  } else {
+    const { status, body: scrapeBody } = await runScrape(body, account)
+    if (status !== 200) {
+      throw new Error(scrapeBody.error)
+    }
+    outcome = { sessionId: scrapeBody.sessionId, totalItems: scrapeBody.totalItems }
+  }
+
+  const { status, body: diff } = await diffSnapshots({ url })
+  return { ...outcome, diff: status === 200 ? diff : null }
+}
+
+// Recurring scrapes, run on their cron schedule
+const scheduler = createScheduler({
+  supabase,
+  run: runScheduledScrape,
+  webhookUrl: process.env.SCHEDULE_WEBHOOK_URL,
+})
+
+/**
+ * Looks up a schedule of the request's account
+ * @param {Object} req - Express request with the schedule ID in params
+ * @returns {Object|null} - The schedule, or null if unknown or someone else's
+ */
+function getOwnSchedule(req) {
+  const schedule = scheduler.get(req.params.id)
+  return schedule && (schedule.owner ?? null) === accountId(req.account) ? schedule : null
+}
+
+app.get("/api/schedules", (req, res) => {
+  const owner = accountId(req.account)
+  res.json({ schedules: scheduler.list().filter((schedule) => (schedule.owner ?? null) === owner) })
+})
+
+app.post("/api/schedules", async (req, res) => {
+  const { schedule, errors } = parseSchedule(req.body)
+  if (errors) {
+    return res.status(400).json({ error: "Invalid schedule", details: errors })
+  }
+  const webhookErrors = schedule.webhookUrl ? await checkWebhookUrl(schedule.webhookUrl) : []
+  if (webhookErrors.length > 0) {
+    return res.status(400).json({ error: "Invalid schedule", details: webhookErrors })
+  }
+  res.status(201).json(await scheduler.create({ ...schedule, owner: accountId(req.account) }))
+})
+
+app.get("/api/schedules/:id", (req, res) => {
+  const schedule = getOwnSchedule(req)
+  if (!schedule) {
+    return res.status(404).json({ error: "Schedule not found" })
+  }
+  res.json(schedule)
+})
+
+app.post("/api/schedules/:id/:action(pause|resume)", async (req, res) => {
+  if (!getOwnSchedule(req)) {
+    return res.status(404).json({ error: "Schedule not found" })
+  }
+  res.json(await scheduler.setPaused(req.params.id, req.params.action === "pause"))
+})
+
+// Run a schedule now, e.g. to check its webhook
+app.post("/api/schedules/:id/run", (req, res) => {
+  if (!getOwnSchedule(req)) {
+    return res.status(404).json({ error: "Schedule not found" })
+  }
+  res.status(202).json(scheduler.runNow(req.params.id))
+})
+
+app.delete("/api/schedules/:id", async (req, res) => {
+  if (!getOwnSchedule(req)) {
+    return res.status(404).json({ error: "Schedule not found" })
+  }
+  await scheduler.remove(req.params.id)
+  res.status(204).end()
+})
+
+// Snapshots of a URL, one per scrape
+app.get("/api/snapshots", async (req, res) => {
+  if (!req.query.url) {
+    return res.status(400).json({ error: "A url is required" })
+  }
+  res.json({ snapshots: await listSnapshots(supabase, String(req.query.url)) })
+})
+
+// What changed on a URL between two scrapes: added, removed and modified records
+app.get("/api/diff", async (req, res) => {
+  try {
+    const { url, from, to } = req.query
+    const { status, body } = await diffSnapshots({ url, from, to })
+    res.status(status).json(body)
+  } catch (error) {
+    console.error("❌ Error comparing snapshots:", error)
+    res.status(500).json({ error: "An error occurred while processing your request", details: error.message })
+  }
+})
+
+/**
+ * Turns an LLM provider error into a message suitable for the user
+ * @param {Error} llmError - Error thrown by the LLM adapter
+ * @returns {string} - User-facing message
+ */
+function describeLLMError(llmError) {
+  if (llmError.status === 429 || llmError.response?.status === 429) {
+    return "Rate limit exceeded. Please try again later."
+  } else if (llmError.status === 404 || llmError.message.includes("does not exist")) {
+    return "The requested AI model is currently unavailable. Please try again later."
+  } else if (/connection error/i.test(llmError.message)) {
+    return "The AI provider could not be reached. Please try again later."
+  }
+  return "An error occurred while processing your request."
+}
+
+/**
+ * Summarizes text with the model, for the dataset analysis and the conversation memory
+ * @param {Array} messages - Chat messages
+ * @param {Object|null} account - Account the tokens are charged to
+ * @returns {Promise<string>} - The model's reply
+ */
+async function summarize(messages, account) {
+  const { content } = await llmFor(account).chat({ messages })
+  return content || ""
+}
+
+/**
+ * Describes all of a session's scraped data for the model: exact statistics plus either every record
+ * or, for large datasets, a map-reduce summary that is cached on the session until the data changes,
+ * together with the records most relevant to the question
+ * @param {Object} session - Session data; `analysis` is updated
+ * @param {Object} [options] - Analysis options
+ * @param {string} [options.question] - What the user asked; defaults to their last message
+ * @param {Object|null} [options.account] - Account the summary's tokens are charged to
+ * @returns {Promise<string>} - Prompt text
+ */
+async function analyzeSessionData(session, { question, account = null } = {}) {
+  // Process data to replace empty values with '-', with a citation of where each record came from
+  const processedData = session.scrapedData.map((record) => citeRecord(fillBlanks(record)))
+
+  const analysis = await analyzeDataset(processedData, {
+    summarize: (messages) => summarize(messages, account),
+    cached: session.analysis,
+  })
+  if (analysis.mode === "map-reduce") {
+    const { key, mode, summary, chunks } = analysis
+    session.analysis = { key, mode, summary, chunks }
+  }
+  if (analysis.mode === "direct") {
+    return describeAnalysis(analysis)
+  }
+
+  const lastQuestion = question ?? session.messages.findLast((message) => message.role === "user")?.content
+  const hits = await retriever.retrieve(processedData, lastQuestion, {
+    embedder: embedWithLLM ? createLLMEmbedder(llmFor(account)) : undefined,
+  })
+  if (hits.length === 0) {
+    return describeAnalysis(analysis, processedData.slice(0, DEFAULT_TOP_K))
+  }
+  return describeAnalysis(analysis, hits.map(({ record }) => record), { relevant: true })
+}
+
+// Tools the chat model can call; scraping goes through the same code as /api/scrape and /api/jobs
+const chatTools = createChatTools({
+  scrape: runScrape,
+  startJob: startScrapeJob,
+  diff: diffSnapshots,
+  describeData: analyzeSessionData,
+  sessionStore,
+})
+
 // Update the chat endpoint to better handle sessions and data
 app.all("/api/chat", async (req, res) => {
   if (req.method === "GET") {
@@ -355,135 +1518,133 @@ app.all("/api/chat", async (req, res) => {
     try {
       console.log("Received request body:", JSON.stringify(req.body, null, 2))
 
-      let { message, sessionId, scrapedData, isFollowUp, originalQuery } = req.body
+      const { message, sessionId, scrapedData } = req.body
 
-      // Create a new session if it doesn't exist
-      let newSessionId = sessionId
-      if (!sessionId || !sessions.has(sessionId)) {
-        newSessionId = uuidv4()
-        sessions.set(newSessionId, { messages: [], scrapedData: null, currentPage: 1, lastUrl: null })
+      const overQuota = quotas.check(req.account, "tokens")
+      if (overQuota) {
+        return sendResult(res, overQuota)
       }
 
-      const session = sessions.get(newSessionId)
+      // Create a new session if it doesn't exist
+      const { session, sessionId: newSessionId } = await sessionStore.getOrCreate(sessionId, accountId(req.account))
 
       // Update session with the latest scraped data
       if (scrapedData && Array.isArray(scrapedData)) {
         session.scrapedData = scrapedData
       }
 
-      // For follow-up requests, use the original query for better context
-      if (isFollowUp && originalQuery) {
-        console.log("Follow-up analysis request for original query:", originalQuery)
-        message = originalQuery
-      }
-
       // Add user message to session
       session.messages.push({ role: "user", content: message })
 
       let scrapedDataContext = ""
       if (session.scrapedData && session.scrapedData.length > 0) {
-        // Process data to replace empty values with '-'
-        const processedData = session.scrapedData.map((item) => {
-          const processedItem = { ...item }
-          Object.keys(processedItem).forEach((key) => {
-            if (!processedItem[key] || processedItem[key].trim() === "") {
-              processedItem[key] = "-"
-            }
-          })
-          return processedItem
-        })
-
-        scrapedDataContext = `You have access to the following scraped data (${processedData.length} items). DO NOT say you don't have access to this data or that you will analyze it in the next response - provide a complete analysis now:\n${JSON.stringify(processedData.slice(0, 20), null, 2)}\n\n`
-
-        if (processedData.length > 20) {
-          scrapedDataContext += `Note: This is a sample of the data. There are ${processedData.length} total items.\n\n`
-        }
-
-        // Add a summary of the data
-        scrapedDataContext += "Data summary:\n"
-        const locations = new Set(processedData.map((item) => item.location).filter((loc) => loc && loc !== "-"))
-        scrapedDataContext += `- Available locations: ${Array.from(locations).join(", ")}\n`
-        scrapedDataContext += `- Total breeders found: ${processedData.length}\n\n`
+        const description = await analyzeSessionData(session, { question: message, account: req.account })
+        scrapedDataContext = `You have access to the following scraped data (${session.scrapedData.length} items):\n${description}\n\n`
+        scrapedDataContext += "Use filter_results for questions about specific records or counts.\n\n"
       } else {
-        scrapedDataContext =
-          "No data has been scraped yet. If the user asks to scrape a URL, inform them that the data will be scraped and you'll analyze it in the next response.\n\n"
+        scrapedDataContext = "No data has been scraped yet.\n\n"
       }
 
-      // Check if the message contains a filtering request
-      const filterMatch = message.match(/filter\s+data\s+that\s+have\s+(\w+)\s+(\w+.*)/i)
-      if (filterMatch && session.scrapedData) {
-        const [, filterKey, filterValue] = filterMatch
-        const filteredData = session.scrapedData.filter(
-          (item) =>
-            item[filterKey.toLowerCase()] &&
-            item[filterKey.toLowerCase()].toLowerCase().includes(filterValue.toLowerCase()),
-        )
-
-        scrapedDataContext += `Filtered data (${filteredData.length} items):\n${JSON.stringify(filteredData, null, 2)}\n\n`
+      // Older turns live on in the rolling summary; a failed summary only costs the oldest turns
+      try {
+        await updateMemory(session, (summaryMessages) => summarize(summaryMessages, req.account))
+      } catch (memoryError) {
+        console.error("❌ Error summarizing the conversation:", memoryError.message)
       }
 
-      // Customize the system message for follow-up requests
-      let systemPrompt = ""
-      if (isFollowUp) {
-        systemPrompt = `You are an AI assistant that helps users analyze scraped data. 
-        ${scrapedDataContext}
-        
-        IMPORTANT: The user has just scraped this data and is waiting for your analysis. 
-        DO NOT say you will analyze the data in the next response. 
-        You MUST provide a complete analysis now based on their original query: "${originalQuery}".
-        
-        Your analysis should include:
-        1. A summary of what was scraped (number of items, types of data)
-        2. Key information extracted from the data
-        3. Sample entries that showcase the data
-        4. Suggestions for what the user might want to do with this data`
-      } else {
-        systemPrompt = `You are an AI assistant that helps users understand web content and analyze scraped data. 
-        ${scrapedDataContext}
+      const systemPrompt = `You are an AI assistant that helps users scrape web pages and analyze the scraped data. 
+        ${describeMemory(session)}${scrapedDataContext}
         Instructions:
-        1. Always use the scraped or filtered data provided above when answering questions.
-        2. If the user asks to scrape a new URL, inform them that the data will be scraped and you'll analyze it in the next response.
-        3. For filtering requests, explain the filtering process and show the matching results with their details.
+        1. Use the tools to act on requests: scrape_url for a new URL, scrape_urls when the user gives several, next_page for more results, scrape_page_range for specific pages, filter_results for filtering, sorting and counting, export_results for downloads, compare_snapshots for what changed since an earlier scrape.
+        2. After scraping, give a complete analysis of the new data right away; never say you will analyze it later.
+        3. For filtering, sorting or counting requests, report the exact numbers returned by filter_results and show the matching results with their details.
         4. Always replace empty values with '-' in your responses.
         5. When reporting on scraped or filtered data, always include specific examples from the data.
-        6. If asked for more results or the next page, instruct the user to ask for "next page", "more results", or "scrape page X to Y".
+        6. If a tool returns an error, explain it to the user plainly.
+        7. Records carry a _cite field saying where they were scraped; cite it for the data you quote, e.g. "(row 12 on page 3)".
         
         Format your responses like this:
         1. Acknowledge the user's request
         2. Provide a summary of the data or action taken
         3. Show specific examples or details from the data
         4. Offer suggestions for further analysis or actions the user can take`
-      }
 
       const systemMessage = {
         role: "system",
         content: systemPrompt,
       }
 
-      try {
-        const completion = await openai.chat.completions.create({
-          model: "gpt-4o-mini",
-          messages: [systemMessage, ...session.messages.slice(-5)], // Only use the last 5 messages to save tokens
-          stream: false,
-        })
+      const messages = [systemMessage, ...recentMessages(session)]
 
-        const aiResponse = completion.choices[0].message
-        session.messages.push(aiResponse)
+      // Tools load and save the session themselves, so it is stored before they run and reloaded afterwards
+      await sessionStore.save(newSessionId, session)
 
-        res.json({ ...aiResponse, sessionId: newSessionId })
-      } catch (openaiError) {
-        console.error("OpenAI API Error:", openaiError)
+      // Stop tool calls and generation when the client disconnects
+      const controller = new AbortController()
+      res.on("close", () => {
+        if (!res.writableEnded) controller.abort()
+      })
 
-        let errorMessage = "An error occurred while processing your request."
-        if (openaiError.response && openaiError.response.status === 429) {
-          errorMessage = "Rate limit exceeded. Please try again later."
-        } else if (openaiError.message.includes("does not exist")) {
-          errorMessage = "The requested AI model is currently unavailable. Please try again later."
+      try {
+        // Streaming mode: send tokens and tool activity as Server-Sent Events while the model works
+        if (wantsEventStream(req)) {
+          const stream = openEventStream(res)
+          try {
+            const content = await runToolLoop({
+              llm: llmFor(req.account),
+              messages,
+              tools: chatTools,
+              context: { sessionId: newSessionId, account: req.account, signal: controller.signal, emit: stream.send },
+              onToken: (token) => stream.send("token", { content: token }),
+            })
+
+            if (!stream.closed) {
+              const aiResponse = { role: "assistant", content }
+              const latestSession = (await sessionStore.get(newSessionId)) || session
+              latestSession.messages.push(aiResponse)
+              await sessionStore.save(newSessionId, latestSession)
+              stream.send("done", { ...aiResponse, sessionId: newSessionId })
+            }
+          } catch (streamError) {
+            console.error("LLM stream error:", streamError)
+            stream.send("error", {
+              error: "Service temporarily unavailable",
+              message: describeLLMError(streamError),
+            })
+          }
+          return stream.close()
         }
 
+        // Without streaming, tool side effects are collected into the response
+        const effects = {}
+        const content = await runToolLoop({
+          llm: llmFor(req.account),
+          messages,
+          tools: chatTools,
+          context: {
+            sessionId: newSessionId,
+            account: req.account,
+            signal: controller.signal,
+            emit: (event, data) => {
+              if (event === "results") effects.results = data.results
+              if (event === "infer") effects.inferSchema = data
+              if (event === "export") effects.exports = [...(effects.exports || []), data]
+            },
+          },
+        })
+
+        const aiResponse = { role: "assistant", content }
+        const latestSession = (await sessionStore.get(newSessionId)) || session
+        latestSession.messages.push(aiResponse)
+        await sessionStore.save(newSessionId, latestSession)
+
+        res.json({ ...aiResponse, ...effects, sessionId: newSessionId })
+      } catch (llmError) {
+        console.error("LLM API Error:", llmError)
+
         res.status(503).json({
           error: "Service temporarily unavailable",
-          message: errorMessage,
+          message: describeLLMError(llmError),
         })
       }
     } catch (error) {
@@ -502,4 +1663,5 @@ app.all("/api/chat", async (req, res) => {
 // Start server
 app.listen(PORT, "0.0.0.0", () => {
   console.log(`🚀 Server is running on http://0.0.0.0:${PORT}`)
+  scheduler.start()
 })
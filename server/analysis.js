@@ -0,0 +1,246 @@
+import crypto from "crypto"
+import { getColumns } from "./export.js"
+
+// Records are sent to the model as they are while they fit in this many tokens
+const DIRECT_TOKEN_BUDGET = Number(process.env.ANALYSIS_DIRECT_TOKENS) || 6000
+
+// Size of each chunk summarized in the map step
+const CHUNK_TOKEN_BUDGET = Number(process.env.ANALYSIS_CHUNK_TOKENS) || 3000
+
+// Partial summaries are merged in groups that fit in this many tokens
+const MERGE_TOKEN_BUDGET = 4000
+
+// Chunks summarized at the same time
+const SUMMARY_CONCURRENCY = 3
+
+// Most frequent values listed per field
+const TOP_VALUES = 10
+
+const MAP_PROMPT = `You summarize one chunk of a scraped dataset for a later analysis of the whole dataset.
+Describe the records in at most 150 words: what they are, recurring values and patterns, outliers and anything
+notable, naming specific records as examples. Don't count records or compute totals; exact statistics are
+computed separately.`
+
+const REDUCE_PROMPT = `You merge partial summaries of chunks of one scraped dataset into a single summary of at most
+250 words. Keep the patterns, outliers and example records that matter across the whole dataset and drop repetition.
+Don't invent counts; exact statistics are computed separately.`
+
+/**
+ * Estimates how many tokens a text takes; about four characters per token for English and JSON
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4)
+}
+
+const isEmpty = (value) => value === null || value === undefined || ["", "-"].includes(String(value).trim())
+
+/**
+ * Computes exact statistics over every record: per field, how many records fill it, how many
+ * distinct values it has, its most frequent values and, for numeric fields, min/max/mean
+ * @param {Array<Object>} records - Scraped records
+ * @returns {Object} - { totalRecords, fields }
+ */
+export function computeStatistics(records) {
+  const fieldNames = getColumns(records)
+
+  const fields = Object.fromEntries(
+    fieldNames.map((field) => {
+      const counts = new Map()
+      const numbers = []
+      records.forEach((record) => {
+        const value = record[field]
+        if (isEmpty(value)) return
+        const text = String(value).trim()
+        counts.set(text, (counts.get(text) || 0) + 1)
+        const number = typeof value === "number" ? value : Number(text.replace(/[,$]/g, ""))
+        if (Number.isFinite(number)) numbers.push(number)
+      })
+
+      const filled = Array.from(counts.values()).reduce((sum, count) => sum + count, 0)
+      const stats = {
+        filled,
+        empty: records.length - filled,
+        distinct: counts.size,
+        topValues: Array.from(counts.entries())
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, TOP_VALUES)
+          .map(([value, count]) => ({ value, count })),
+      }
+      // Only fields that are numeric throughout get numeric statistics
+      if (numbers.length > 0 && numbers.length === filled) {
+        stats.min = Math.min(...numbers)
+        stats.max = Math.max(...numbers)
+        stats.mean = Math.round((numbers.reduce((sum, number) => sum + number, 0) / numbers.length) * 100) / 100
+      }
+      return [field, stats]
+    }),
+  )
+
+  return { totalRecords: records.length, fields }
+}
+
+/**
+ * Splits records into chunks that each fit in a token budget
+ * @param {Array<Object>} records - Scraped records
+ * @param {number} budget - Tokens per chunk
+ * @returns {Array<Array<Object>>} - Chunks in record order
+ */
+export function chunkRecords(records, budget = CHUNK_TOKEN_BUDGET) {
+  const chunks = []
+  let current = []
+  let tokens = 0
+
+  records.forEach((record) => {
+    const recordTokens = estimateTokens(JSON.stringify(record))
+    if (current.length > 0 && tokens + recordTokens > budget) {
+      chunks.push(current)
+      current = []
+      tokens = 0
+    }
+    current.push(record)
+    tokens += recordTokens
+  })
+  if (current.length > 0) chunks.push(current)
+
+  return chunks
+}
+
+/**
+ * Runs an async function over items with bounded concurrency, keeping the order of the results
+ * @param {Array} items - Inputs
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} - Results in input order
+ */
+async function mapWithConcurrency(items, fn) {
+  const results = new Array(items.length)
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index], index)
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(SUMMARY_CONCURRENCY, items.length) }, worker))
+  return results
+}
+
+/**
+ * Merges partial summaries until one is left, in groups that fit the merge budget
+ * @param {Array<string>} summaries - Partial summaries
+ * @param {Function} summarize - async (messages) => text
+ * @returns {Promise<string>} - Merged summary
+ */
+async function reduceSummaries(summaries, summarize) {
+  let level = summaries
+  while (level.length > 1) {
+    const groups = []
+    let group = []
+    let tokens = 0
+    level.forEach((summary) => {
+      const summaryTokens = estimateTokens(summary)
+      if (group.length > 1 && tokens + summaryTokens > MERGE_TOKEN_BUDGET) {
+        groups.push(group)
+        group = []
+        tokens = 0
+      }
+      group.push(summary)
+      tokens += summaryTokens
+    })
+    groups.push(group)
+
+    level = await mapWithConcurrency(groups, (parts) =>
+      parts.length === 1
+        ? parts[0]
+        : summarize([
+            { role: "system", content: REDUCE_PROMPT },
+            { role: "user", content: parts.map((part, index) => `Summary ${index + 1}:\n${part}`).join("\n\n") },
+          ]),
+    )
+  }
+  return level[0] || ""
+}
+
+/**
+ * Fingerprints a dataset so its summary can be reused until the data changes
+ * @param {Array<Object>} records - Scraped records
+ * @returns {string} - SHA-1 of the records
+ */
+export function datasetKey(records) {
+  return crypto.createHash("sha1").update(JSON.stringify(records)).digest("hex")
+}
+
+/**
+ * Prepares a whole dataset for the model. Small datasets are passed through as they are; larger
+ * ones are chunked, each chunk is summarized and the summaries are merged. Exact statistics are
+ * computed in code either way
+ * @param {Array<Object>} records - Scraped records
+ * @param {Object} options - Analysis options
+ * @param {Function} options.summarize - async (messages) => text, calls the model
+ * @param {Object} [options.cached] - Previous result for the same session, reused if the data is unchanged
+ * @returns {Promise<Object>} - { key, mode: "direct" | "map-reduce", statistics, records?, summary?, chunks? }
+ */
+export async function analyzeDataset(records, { summarize, cached }) {
+  const key = datasetKey(records)
+  const statistics = computeStatistics(records)
+
+  if (estimateTokens(JSON.stringify(records)) <= DIRECT_TOKEN_BUDGET) {
+    return { key, mode: "direct", statistics, records }
+  }
+  if (cached?.key === key && cached.summary) {
+    return { ...cached, statistics }
+  }
+
+  const chunks = chunkRecords(records)
+  console.log(`Summarizing ${records.length} records in ${chunks.length} chunks`)
+  const partials = await mapWithConcurrency(chunks, (chunk, index) =>
+    summarize([
+      { role: "system", content: MAP_PROMPT },
+      {
+        role: "user",
+        content: `Chunk ${index + 1} of ${chunks.length} (${chunk.length} records):\n${JSON.stringify(chunk)}`,
+      },
+    ]),
+  )
+  const summary = await reduceSummaries(partials, summarize)
+
+  return { key, mode: "map-reduce", statistics, summary, chunks: chunks.length }
+}
+
+/**
+ * Describes an analysis for a system prompt
+ * @param {Object} analysis - Result of analyzeDataset
+ * @param {Array<Object>} sample - Records included alongside a summary
+ * @param {Object} [options] - Description options
+ * @param {boolean} [options.relevant] - The sample holds the records most relevant to the question
+ * @returns {string} - Prompt text
+ */
+export function describeAnalysis(analysis, sample = [], { relevant = false } = {}) {
+  const lines = [`Exact statistics computed over all ${analysis.statistics.totalRecords} records:`]
+  Object.entries(analysis.statistics.fields).forEach(([field, stats]) => {
+    let line = `- ${field}: ${stats.filled} filled, ${stats.empty} empty, ${stats.distinct} distinct`
+    // Most common values only say something when values repeat
+    if (stats.distinct < stats.filled) {
+      line += `; most common: ${stats.topValues.map(({ value, count }) => `${value} (${count})`).join(", ")}`
+    }
+    if (stats.mean !== undefined) {
+      line += `; min ${stats.min}, max ${stats.max}, mean ${stats.mean}`
+    }
+    lines.push(line)
+  })
+
+  if (analysis.mode === "direct") {
+    lines.push(`All ${analysis.records.length} records:`, JSON.stringify(analysis.records, null, 2))
+  } else {
+    const sampleLabel = relevant ? "Records most relevant to the question" : "Example records"
+    lines.push(
+      `Summary of all records, merged from ${analysis.chunks} chunk summaries:`,
+      analysis.summary,
+      `${sampleLabel} (${sample.length} of ${analysis.statistics.totalRecords}):`,
+      JSON.stringify(sample, null, 2),
+    )
+  }
+
+  return lines.join("\n")
+}
@@ -0,0 +1,155 @@
+import crypto from "crypto"
+
+// API key names become account IDs, so keep them readable
+const KEY_NAME = /^[A-Za-z0-9_.-]+$/
+
+// X-Owner-Id values: the UUIDs the Next.js app gives each browser
+const OWNER_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+
+/**
+ * Reads API_KEYS: comma-separated `name:key` pairs, the name identifying the key in logs and quotas
+ * @param {string} value - Environment variable
+ * @returns {Array<Object>} - [{ name, hash }] with a SHA-256 hash of each key
+ * @throws {Error} - When an entry is malformed or a name is used twice
+ */
+export function parseApiKeys(value) {
+  const keys = []
+  value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const separator = entry.indexOf(":")
+      const name = entry.slice(0, separator)
+      const key = entry.slice(separator + 1)
+      if (separator < 1 || !KEY_NAME.test(name) || key.length < 16) {
+        throw new Error(
+          `Invalid API_KEYS entry "${name || entry.slice(0, 8)}...": use name:key with a key of 16+ characters`,
+        )
+      }
+      if (keys.some((existing) => existing.name === name)) {
+        throw new Error(`API key name used twice: ${name}`)
+      }
+      keys.push({ name, hash: hashSecret(key) })
+    })
+  return keys
+}
+
+/**
+ * Hashes a secret so keys are compared in constant time, whatever their length
+ * @param {string} secret - API key
+ * @returns {Buffer} - SHA-256 digest
+ */
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest()
+}
+
+/**
+ * Verifies an HS256 JSON Web Token
+ * @param {string} token - Compact JWT
+ * @param {string} secret - Shared secret
+ * @returns {Object} - { claims } when the token is valid, else { error }
+ */
+export function verifyJwt(token, secret) {
+  const [header, payload, signature] = token.split(".")
+  if (!header || !payload || !signature) {
+    return { error: "Malformed token" }
+  }
+
+  let claims
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, "base64url").toString("utf8"))
+    if (alg !== "HS256") {
+      return { error: `Unsupported token algorithm: ${alg}` }
+    }
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"))
+  } catch {
+    return { error: "Malformed token" }
+  }
+
+  const expected = crypto.createHmac("sha256", secret).update(`${header}.${payload}`).digest()
+  const actual = Buffer.from(signature, "base64url")
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { error: "Invalid token signature" }
+  }
+
+  const now = Date.now() / 1000
+  if (typeof claims.exp === "number" && claims.exp <= now) {
+    return { error: "Token expired" }
+  }
+  if (typeof claims.nbf === "number" && claims.nbf > now) {
+    return { error: "Token not valid yet" }
+  }
+  if (typeof claims.sub !== "string" || !claims.sub) {
+    return { error: "Token has no subject (sub)" }
+  }
+  return { claims }
+}
+
+/**
+ * Creates the authentication middleware. Requests identify with an API key, in the X-API-Key header or as a
+ * bearer token, or with a JWT signed with JWT_SECRET as a bearer token. Authentication is off when neither
+ * API_KEYS nor JWT_SECRET is set, for local development. A request made with an API key may name, in the
+ * X-Owner-Id header, which of the key holder's users it is for, as the Next.js app does with its browsers
+ * sharing one key; the header is ignored without a key, since anyone could send it
+ * @param {Object} [options] - Auth options, each defaulting to its environment variable
+ * @param {string} [options.apiKeys] - `name:key` pairs, see parseApiKeys
+ * @param {string} [options.jwtSecret] - HS256 secret of accepted JWTs
+ * @returns {Object} - { enabled, methods, middleware(req, res, next) }; the middleware sets req.account to
+ *   { id, name, method, owner }, or null when authentication is off; owner is the X-Owner-Id or null
+ */
+export function createAuth({ apiKeys = process.env.API_KEYS || "", jwtSecret = process.env.JWT_SECRET || "" } = {}) {
+  const keys = parseApiKeys(apiKeys)
+  const methods = [...(keys.length > 0 ? ["api-key"] : []), ...(jwtSecret ? ["jwt"] : [])]
+
+  const findKey = (secret) => {
+    const hash = hashSecret(secret)
+    // Compare with every key so timing doesn't tell how many there are or which one almost matched
+    let found = null
+    keys.forEach((key) => {
+      if (crypto.timingSafeEqual(key.hash, hash)) found = key
+    })
+    return found
+  }
+
+  const reject = (res, error, details) => {
+    res.setHeader("WWW-Authenticate", 'Bearer realm="api"')
+    res.status(401).json({ error, details })
+  }
+
+  return {
+    enabled: methods.length > 0,
+    methods,
+
+    middleware(req, res, next) {
+      if (methods.length === 0) {
+        req.account = null
+        return next()
+      }
+
+      const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "")?.[1]
+      const credential = req.headers["x-api-key"] || bearer
+      if (!credential) {
+        return reject(res, "Authentication required", [
+          `Send ${methods.includes("api-key") ? "an API key in the X-API-Key header or " : ""}a bearer token`,
+        ])
+      }
+
+      const key = keys.length > 0 ? findKey(String(credential)) : null
+      if (key) {
+        const owner = OWNER_ID.test(req.headers["x-owner-id"] || "") ? req.headers["x-owner-id"] : null
+        req.account = { id: `key:${key.name}`, name: key.name, method: "api-key", owner }
+        return next()
+      }
+      if (jwtSecret && bearer && bearer.includes(".")) {
+        const { claims, error } = verifyJwt(bearer, jwtSecret)
+        if (error) {
+          return reject(res, "Invalid token", [error])
+        }
+        req.account = { id: `jwt:${claims.sub}`, name: claims.sub, method: "jwt", owner: null }
+        return next()
+      }
+      reject(res, "Invalid API key")
+    },
+  }
+}
@@ -0,0 +1,66 @@
+import { z } from "zod"
+import { formatIssues } from "./schema.js"
+
+// URLs one batch may cover
+export const MAX_BATCH_URLS = Number(process.env.MAX_BATCH_URLS) || 10
+
+// URLs scraped at once; the fetcher's per-host limits apply on top
+const MAX_BATCH_CONCURRENCY = 5
+
+const pageRangeSchema = z
+  .object({
+    start: z.number().int().min(1),
+    end: z.number().int().min(1),
+  })
+  .strict()
+  .refine((range) => range.end >= range.start, { message: "end must not be before start", path: ["end"] })
+
+// A bare URL is shorthand for its first page with the request's extractor
+const targetSchema = z.preprocess(
+  (target) => (typeof target === "string" ? { url: target } : target),
+  z
+    .object({
+      url: z
+        .string()
+        .url()
+        .refine((url) => /^https?:\/\//i.test(url), "Only http and https URLs can be scraped"),
+      pageRange: pageRangeSchema.optional(),
+      extractor: z.string().min(1).optional(),
+    })
+    .strict(),
+)
+
+export const batchSchema = z
+  .object({
+    urls: z
+      .array(targetSchema)
+      .min(1, "Give at least one URL")
+      .max(MAX_BATCH_URLS, `A batch may cover at most ${MAX_BATCH_URLS} URLs`),
+    concurrency: z.number().int().min(1).max(MAX_BATCH_CONCURRENCY).default(3),
+  })
+  .strict()
+
+/**
+ * Validates the URLs of a batch scrape and how many are scraped at once
+ * @param {Object} input - { urls, concurrency } from the request
+ * @returns {Object} - { batch: { urls: [{ url, pageRange, extractor }], concurrency } } on success or { errors }
+ *   with one message per problem
+ */
+export function parseBatch(input) {
+  const result = batchSchema.safeParse(input)
+  if (!result.success) {
+    return { errors: formatIssues(result.error.issues) }
+  }
+  return { batch: result.data }
+}
+
+/**
+ * Works out how a URL of a batch went
+ * @param {Object} report - { records, failedPages, error }
+ * @returns {string} - "ok", "partial" when some pages failed, "empty" when nothing was found, "failed"
+ */
+export function batchStatus({ records, failedPages = [], error }) {
+  if (error) return "failed"
+  if (records === 0) return failedPages.length > 0 ? "failed" : "empty"
+  return failedPages.length > 0 ? "partial" : "ok"
+}
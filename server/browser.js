@@ -0,0 +1,360 @@
+// Time a page gets to load and settle, unless the request sets its own
+const RENDER_TIMEOUT_MS = Number(process.env.RENDER_TIMEOUT_MS) || 30000
+
+// Pages rendered at the same time; each one is a Chromium tab
+const BROWSER_CONCURRENCY = Number(process.env.BROWSER_CONCURRENCY) || 2
+
+// The browser is closed after this long without open tabs
+const BROWSER_IDLE_MS = 60 * 1000
+
+// A crawl's tab is kept open this long waiting for its next page
+const TAB_IDLE_MS = 60 * 1000
+
+// Redirects followed by hand, so every hop goes through the tab's load function
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308]
+const MAX_REDIRECTS = 5
+
+// Chromium is given no way to reach the network itself: it resolves no host name, and whatever it would send
+// rather than hand to the route handler (WebSockets, service workers, WebRTC) goes to a proxy that doesn't exist.
+// Loopback is proxied too, Playwright's bypass list only keeps Chromium's default loopback exception off
+const ISOLATED_LAUNCH_OPTIONS = {
+  proxy: { server: "http://proxy.invalid:9" },
+  args: ["--host-resolver-rules=MAP * ~NOTFOUND", "--force-webrtc-ip-handling-policy=disable_non_proxied_udp"],
+}
+
+// Request headers left for the load function to set, and response headers that no longer match the body
+// it returns, which is already decompressed
+const HOP_REQUEST_HEADERS = ["host", "connection", "content-length", "accept-encoding"]
+const HOP_RESPONSE_HEADERS = ["connection", "content-encoding", "content-length", "transfer-encoding"]
+
+let browserPromise = null
+let openTabs = 0
+let idleTimer = null
+
+let rendering = 0
+const waiting = []
+
+// Open tabs of client-side paginated crawls, by pagination state, so page N+1 costs one more click
+// rather than reloading the page and clicking N times
+const clickTabs = new WeakMap()
+
+/**
+ * Error for a missing Playwright package or Chromium build
+ * @param {Error} cause - Original error
+ * @returns {Error} - Error with code "BROWSER_UNAVAILABLE"
+ */
+function unavailable(cause) {
+  const error = new Error(
+    "Browser rendering needs Playwright and Chromium " +
+      `(npm install playwright && npx playwright install chromium): ${cause.message.split("\n")[0]}`,
+  )
+  error.code = "BROWSER_UNAVAILABLE"
+  return error
+}
+
+/**
+ * Starts headless Chromium on first use and reuses it afterwards
+ * @returns {Promise<Object>} - Playwright browser
+ */
+async function getBrowser() {
+  if (!browserPromise) {
+    browserPromise = (async () => {
+      let playwright
+      try {
+        playwright = await import("playwright")
+      } catch (error) {
+        throw unavailable(error)
+      }
+      try {
+        // Playwright's own SIGTERM and SIGHUP handlers would keep the server from shutting down
+        const browser = await playwright.chromium.launch({
+          ...ISOLATED_LAUNCH_OPTIONS,
+          headless: true,
+          handleSIGTERM: false,
+          handleSIGHUP: false,
+        })
+        browser.on("disconnected", () => {
+          browserPromise = null
+        })
+        console.log("✅ Headless Chromium started")
+        return browser
+      } catch (error) {
+        throw unavailable(error)
+      }
+    })()
+    // Let a later request try again
+    browserPromise.catch(() => {
+      browserPromise = null
+    })
+  }
+  return browserPromise
+}
+
+/**
+ * Turns the headers of a loaded response into the form route.fulfill takes
+ * @param {Object} headers - name => list of values
+ * @returns {Object} - name => value
+ */
+function fulfillHeaders(headers) {
+  const result = {}
+  for (const [name, values] of Object.entries(headers)) {
+    if (HOP_RESPONSE_HEADERS.includes(name.toLowerCase())) continue
+    result[name] = values.join(name.toLowerCase() === "set-cookie" ? "\n" : ", ")
+  }
+  return result
+}
+
+/**
+ * Loads a request of a tab with the tab's load function, following its redirects by hand so each hop is
+ * loaded, and so checked, the same way
+ * @param {Object} request - Playwright request
+ * @param {Function} load - async (url, { method, headers, body }) => { status, headers, body }, see openTab
+ * @returns {Promise<Object>} - { response, url } with the final response and the URL it came from
+ * @throws {Error} - The load function's error when it stops the request or one of its redirects
+ */
+async function loadFollowing(request, load) {
+  const requestHeaders = Object.entries(await request.allHeaders()).filter(
+    ([name]) => !name.startsWith(":") && !HOP_REQUEST_HEADERS.includes(name),
+  )
+  let url = request.url()
+  let options = {
+    method: request.method(),
+    headers: Object.fromEntries(requestHeaders),
+    body: request.postDataBuffer(),
+  }
+  for (let redirects = 0; ; redirects++) {
+    const response = await load(url, options)
+    const location = response.headers.location?.[0]
+    if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+      return { response, url }
+    }
+    if (redirects >= MAX_REDIRECTS) {
+      throw new Error(`Stopped after ${MAX_REDIRECTS} redirects loading ${request.url()}`)
+    }
+    url = new URL(location, url).href
+    // As browsers do: a 303, or a 301 or 302 answering a POST, is followed with a GET
+    if (response.status === 303 || (response.status < 303 && options.method === "POST")) {
+      const headers = { ...options.headers }
+      delete headers["content-type"]
+      options = { method: "GET", headers, body: null }
+    }
+  }
+}
+
+/**
+ * Opens a tab in a fresh browser context, so cookies and storage don't leak between crawls. Chromium makes no
+ * connection of its own: every http(s) request the tab makes, including documents, frames, scripts, images
+ * and XHR, is loaded by the load function and fulfilled with its response, and so is every redirect they get.
+ * Any other request is aborted
+ * @param {string} userAgent - User agent the tab identifies with
+ * @param {number} timeoutMs - Default timeout of the tab's actions
+ * @param {Function} load - async (url, { method, headers, body }) => { status, headers, body }, loading one
+ *   request without following redirects, with the response headers as name => list of values, and throwing
+ *   when the URL may not be loaded
+ * @returns {Promise<Object>} - { page, close, url(), blocked() }; url() is the address of the page shown
+ *   after redirects, blocked() the error of the first navigation that was stopped or failed to load
+ */
+async function openTab(userAgent, timeoutMs, load) {
+  const browser = await getBrowser()
+  const context = await browser.newContext({ userAgent, serviceWorkers: "block" })
+  let blockedNavigation = null
+  // Where the main frame's last document came from. A redirected document is shown under the URL that was
+  // requested, since the redirects were followed here rather than by Chromium
+  let documentUrl = null
+  await context.route("**/*", async (route) => {
+    const request = route.request()
+    if (!/^https?:/i.test(request.url())) {
+      return route.abort("blockedbyclient").catch(() => {})
+    }
+    try {
+      const { response, url } = await loadFollowing(request, load)
+      if (request.isNavigationRequest() && !request.frame().parentFrame()) documentUrl = url
+      await route.fulfill({ status: response.status, headers: fulfillHeaders(response.headers), body: response.body })
+    } catch (error) {
+      if (request.isNavigationRequest()) blockedNavigation ||= error
+      await route.abort(error.code === "URL_BLOCKED" ? "blockedbyclient" : "failed").catch(() => {})
+    }
+  })
+  const page = await context.newPage()
+  page.setDefaultTimeout(timeoutMs)
+  openTabs++
+  clearTimeout(idleTimer)
+
+  let closed = false
+  const close = async () => {
+    if (closed) return
+    closed = true
+    await context.close().catch(() => {})
+    openTabs--
+    if (openTabs === 0) {
+      clearTimeout(idleTimer)
+      idleTimer = setTimeout(closeBrowser, BROWSER_IDLE_MS)
+      idleTimer.unref()
+    }
+  }
+  return { page, close, url: () => documentUrl || page.url(), blocked: () => blockedNavigation }
+}
+
+/**
+ * Navigates a tab to a URL
+ * @param {Object} tab - Tab from openTab
+ * @param {string} url - URL to load
+ * @throws {Error} - The load function's error when it stops the page or one of its redirects
+ */
+async function navigate(tab, url) {
+  try {
+    await tab.page.goto(url, { waitUntil: "domcontentloaded" })
+  } catch (error) {
+    throw tab.blocked() || error
+  }
+}
+
+/**
+ * Closes the browser when no tab is open
+ */
+async function closeBrowser() {
+  if (!browserPromise || openTabs > 0) return
+  const browser = await browserPromise.catch(() => null)
+  browserPromise = null
+  await browser?.close().catch(() => {})
+  console.log("Headless Chromium closed after being idle")
+}
+
+/**
+ * Runs a rendering task once fewer than BROWSER_CONCURRENCY are running
+ * @param {Function} task - async () => result
+ * @returns {Promise<*>} - The task's result
+ */
+async function withRenderSlot(task) {
+  while (rendering >= BROWSER_CONCURRENCY) {
+    await new Promise((resolve) => waiting.push(resolve))
+  }
+  rendering++
+  try {
+    return await task()
+  } finally {
+    rendering--
+    waiting.shift()?.()
+  }
+}
+
+/**
+ * Waits until a page has rendered: for the waitFor element when given, else for the network to go idle
+ * @param {Object} page - Playwright page
+ * @param {Object} render - Render settings
+ */
+async function settle(page, { waitFor }) {
+  if (waitFor) {
+    await page.waitForSelector(waitFor, { state: "attached" })
+  } else {
+    await page.waitForLoadState("networkidle")
+  }
+}
+
+/**
+ * Tells whether a page has a next button that can be clicked
+ * @param {Object} page - Playwright page
+ * @param {string} selector - Next button selector
+ * @returns {Promise<boolean>} - True when the button is there and enabled
+ */
+async function hasNextButton(page, selector) {
+  const button = page.locator(selector).first()
+  return (await button.count()) > 0 && (await button.isVisible()) && (await button.isEnabled())
+}
+
+/**
+ * Clicks the next button and waits for the page's content to change and settle
+ * @param {Object} page - Playwright page
+ * @param {Object} render - Render settings with a nextButton
+ */
+async function clickNext(page, render) {
+  const before = await page.evaluate(() => document.body.innerHTML)
+  await page.locator(render.nextButton).first().click()
+  await page.waitForFunction((previous) => document.body.innerHTML !== previous, before)
+  await page.waitForLoadState("networkidle")
+  await settle(page, render)
+}
+
+/**
+ * Loads a page in headless Chromium and returns the DOM once scripts have rendered it
+ * @param {string} url - Page URL
+ * @param {Object} options - Render options
+ * @param {string} [options.waitFor] - Element to wait for; network idle otherwise
+ * @param {number} [options.timeoutMs] - Time the page gets to load and settle
+ * @param {string} options.userAgent - User agent to identify with
+ * @param {Function} options.load - async (url, { method, headers, body }) => { status, headers, body }, loading
+ *   every request of the page, see openTab
+ * @returns {Promise<Object>} - { html, url } with the rendered HTML and the URL after redirects
+ * @throws {Error} - With code "BROWSER_UNAVAILABLE" when Playwright or Chromium is missing, or the load
+ *   function's error when it stops the page
+ */
+export async function renderPage(url, { waitFor, timeoutMs = RENDER_TIMEOUT_MS, userAgent, load }) {
+  return withRenderSlot(async () => {
+    const tab = await openTab(userAgent, timeoutMs, load)
+    try {
+      await navigate(tab, url)
+      await settle(tab.page, { waitFor })
+      return { html: await tab.page.content(), url: tab.url() }
+    } finally {
+      await tab.close()
+    }
+  })
+}
+
+/**
+ * Renders page N of a client-side paginated listing by clicking its next button N - 1 times. The tab stays
+ * open between calls with the same pagination state, so a crawl clicks once per page
+ * @param {Object} key - Pagination state of the crawl
+ * @param {string} url - Listing URL
+ * @param {number} pageNum - 1-based page number
+ * @param {Object} options - Render options with a nextButton, plus userAgent and load as for renderPage
+ * @returns {Promise<Object>} - { html, hasNext }; html is null when the listing has fewer pages
+ * @throws {Error} - With code "BROWSER_UNAVAILABLE" when Playwright or Chromium is missing, or the load
+ *   function's error when it stops the page
+ */
+export async function renderClickedPage(
+  key,
+  url,
+  pageNum,
+  { timeoutMs = RENDER_TIMEOUT_MS, userAgent, load, ...render },
+) {
+  return withRenderSlot(async () => {
+    let tab = clickTabs.get(key)
+    clickTabs.delete(key)
+    if (tab) clearTimeout(tab.timer)
+    // Going back means starting over
+    if (tab && tab.pageNum > pageNum) {
+      await tab.close()
+      tab = null
+    }
+
+    try {
+      if (!tab) {
+        tab = { ...(await openTab(userAgent, timeoutMs, load)), pageNum: 1 }
+        await navigate(tab, url)
+        await settle(tab.page, render)
+      }
+      while (tab.pageNum < pageNum) {
+        if (!(await hasNextButton(tab.page, render.nextButton))) {
+          await tab.close()
+          return { html: null, hasNext: false }
+        }
+        await clickNext(tab.page, render)
+        tab.pageNum++
+      }
+
+      const result = { html: await tab.page.content(), hasNext: await hasNextButton(tab.page, render.nextButton) }
+      const kept = tab
+      kept.timer = setTimeout(() => {
+        if (clickTabs.get(key) === kept) clickTabs.delete(key)
+        kept.close()
+      }, TAB_IDLE_MS)
+      kept.timer.unref()
+      clickTabs.set(key, kept)
+      return result
+    } catch (error) {
+      await tab?.close()
+      throw error
+    }
+  })
+}
@@ -0,0 +1,429 @@
+import { cancelJob, describeJob, waitForJob } from "./jobs.js"
+import { applyActiveFilter, parseQuery, QUERY_OPERATORS, runQuery } from "./query.js"
+import { EXPORT_FORMATS } from "./export.js"
+import { MAX_BATCH_URLS } from "./batch.js"
+import { citeRecord } from "./provenance.js"
+
+// Rounds of tool calls the model may make for one chat message before it has to answer
+const MAX_TOOL_ROUNDS = 5
+
+// Rows of a filter result sent back to the model
+const MAX_QUERY_ROWS = 50
+
+// Added, removed and modified records of a comparison sent back to the model, each
+const MAX_DIFF_ROWS = 20
+
+// Failed detail pages listed to the model
+const MAX_DETAIL_FAILURES = 10
+
+const QUERY_DESCRIPTION = `Query over the scraped records. Every key is optional:
+{
+  "where": condition,
+  "groupBy": ["field"] or [{ "field": "field", "pattern": "regex whose first group is the key", "as": "name" }],
+  "distinct": ["field"],
+  "sort": [{ "field": "field or count", "direction": "asc" | "desc" }],
+  "select": ["field"],
+  "limit": 10
+}
+A condition is { "field": "name", "op": "operator", "value": value }, { "and": [conditions] },
+{ "or": [conditions] } or { "not": condition }. Operators: ${QUERY_OPERATORS.join(", ")}.
+Text comparisons ignore case, "in" takes a list, "exists" takes true or false, gt/gte/lt/lte compare numbers.
+Grouping returns each group with its count; sort groups by "count" or by the group field.
+To group by part of a field use a pattern, e.g. the state of "Austin, TX" is
+{ "field": "location", "pattern": ",\\\\s*([A-Za-z]{2})\\\\s*$", "as": "state" }.`
+
+export const TOOL_DEFINITIONS = [
+  {
+    type: "function",
+    function: {
+      name: "scrape_url",
+      description: "Scrape the first page of a URL. Replaces the data scraped so far.",
+      parameters: {
+        type: "object",
+        properties: {
+          url: { type: "string", description: "Page URL, as given by the user" },
+          extractor: {
+            type: "string",
+            description: "Name of a registered site extractor, only if the user asks for one",
+          },
+          render: {
+            type: "string",
+            enum: ["browser"],
+            description: "Load the page in a headless browser, only if the user says it needs JavaScript",
+          },
+          details: {
+            type: "boolean",
+            description: "Also open each row's detail page for more fields (email, website...), if the user asks",
+          },
+        },
+        required: ["url"],
+        additionalProperties: false,
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "scrape_urls",
+      description:
+        "Scrape several URLs at once, when the user gives more than one. Adds their records to the data " +
+        "scraped so far, each tagged with its source URL and page. Reports how every URL went.",
+      parameters: {
+        type: "object",
+        properties: {
+          urls: {
+            type: "array",
+            minItems: 1,
+            maxItems: MAX_BATCH_URLS,
+            items: {
+              type: "object",
+              properties: {
+                url: { type: "string", description: "Page URL, as given by the user" },
+                start: { type: "integer", minimum: 1, description: "First page, if the user asked for a range" },
+                end: { type: "integer", minimum: 1, description: "Last page, inclusive" },
+                extractor: { type: "string", description: "Registered site extractor, only if the user names one" },
+              },
+              required: ["url"],
+              additionalProperties: false,
+            },
+          },
+          render: {
+            type: "string",
+            enum: ["browser"],
+            description: "Load the pages in a headless browser, only if the user says they need JavaScript",
+          },
+          details: {
+            type: "boolean",
+            description: "Also open each row's detail page for more fields, if the user asks",
+          },
+        },
+        required: ["urls"],
+        additionalProperties: false,
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "next_page",
+      description: "Scrape the page after the last one scraped and add its records to the data.",
+      parameters: { type: "object", properties: {}, additionalProperties: false },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "scrape_page_range",
+      description:
+        "Scrape a range of pages, e.g. pages 3 to 4 for 'the third and fourth pages'. " +
+        "Replaces the data scraped so far. Uses the last scraped URL unless a url is given.",
+      parameters: {
+        type: "object",
+        properties: {
+          start: { type: "integer", minimum: 1, description: "First page, 1-based" },
+          end: { type: "integer", minimum: 1, description: "Last page, inclusive" },
+          url: { type: "string", description: "Page URL, if the user gave a new one" },
+        },
+        required: ["start", "end"],
+        additionalProperties: false,
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "filter_results",
+      description:
+        "Filter, sort, group or count the scraped records. Use it for any question about specific rows, " +
+        "totals or counts per value, and report its numbers as they are. A query without groupBy also " +
+        "becomes the filter applied to exports.",
+      parameters: {
+        type: "object",
+        properties: {
+          query: { type: "object", description: QUERY_DESCRIPTION },
+        },
+        required: ["query"],
+        additionalProperties: false,
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "export_results",
+      description: "Offer the scraped records to the user as a file download. Respects the active filter.",
+      parameters: {
+        type: "object",
+        properties: {
+          format: { type: "string", enum: Object.keys(EXPORT_FORMATS), description: "vcf exports contacts" },
+          all: { type: "boolean", description: "Export every record, ignoring the active filter" },
+        },
+        required: ["format"],
+        additionalProperties: false,
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "compare_snapshots",
+      description:
+        "Report what changed on a URL between two earlier scrapes: records added, removed and modified, " +
+        "field by field. Use it for questions like 'what's new since last month'. Every scrape is kept as a " +
+        "snapshot; scrape the URL first if the user wants it compared with its current state.",
+      parameters: {
+        type: "object",
+        properties: {
+          url: { type: "string", description: "Page URL; defaults to the last scraped URL" },
+          since: {
+            type: "string",
+            description: "Start of the period: a date such as 2024-05-01, or 'last month', '2 weeks ago'...",
+          },
+          until: { type: "string", description: "End of the period, in the same form; defaults to the latest scrape" },
+        },
+        additionalProperties: false,
+      },
+    },
+  },
+]
+
+/**
+ * Creates the tools the chat model can call. Scraping goes through the same functions as
+ * /api/scrape and /api/jobs
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.scrape - async (body, account) => { status, body }, the /api/scrape logic
+ * @param {Function} deps.startJob - async (body, account) => { status, body, job }, the /api/jobs logic
+ * @param {Function} deps.diff - async ({ url, from, to }) => { status, body }, the /api/diff logic
+ * @param {Function} deps.describeData - async (session, { account }) => text describing all of the session's
+ *   scraped data
+ * @param {Object} deps.sessionStore - Session store
+ * @returns {Object} - { definitions, execute(name, args, context) }
+ */
+export function createChatTools({ scrape, startJob, diff, describeData, sessionStore }) {
+  // Tells the model what a scrape collected, covering the whole dataset rather than a sample
+  const summarizeScrape = async ({ sessionId, account }, { message, page, results, dedupe, detailPages }) => {
+    const duplicatesMerged = dedupe ? dedupe.before - dedupe.after : 0
+    const summary = { message, page, totalItems: results.length, duplicatesMerged }
+    if (detailPages) {
+      summary.detailPages = { ...detailPages, failed: detailPages.failed.slice(0, MAX_DETAIL_FAILURES) }
+    }
+    const session = await sessionStore.get(sessionId)
+    if (!session?.scrapedData?.length) {
+      return summary
+    }
+    const data = await describeData(session, { account })
+    await sessionStore.save(sessionId, session) // Keeps the cached summary
+    return { ...summary, data }
+  }
+
+  const handlers = {
+    async scrape_url({ url, extractor, render, details }, context) {
+      const { sessionId, account, emit } = context
+      const { status, body } = await scrape({ url, extractor, render, details, sessionId }, account)
+      if (status !== 200) {
+        if (body.canInfer) {
+          emit("infer", { url })
+          return { error: body.error, note: "The user has been offered an extraction schema proposal for this page" }
+        }
+        return { error: body.error, details: body.details }
+      }
+      emit("results", { results: body.results, dedupe: body.dedupe, detailPages: body.detailPages })
+      return summarizeScrape(context, body)
+    },
+
+    async scrape_urls({ urls, render, details }, context) {
+      const { sessionId, account, emit } = context
+      const targets = urls.map(({ url, start, end, extractor }) => ({
+        url,
+        ...(start ? { pageRange: { start, end: end || start } } : {}),
+        ...(extractor ? { extractor } : {}),
+      }))
+      const { status, body } = await scrape({ urls: targets, render, details, sessionId }, account)
+      if (status !== 200) {
+        return { error: body.error, details: body.details, ...(body.sources ? { sources: body.sources } : {}) }
+      }
+      emit("results", { results: body.results, dedupe: body.dedupe, sources: body.sources })
+      // Failed URLs are part of the answer, so the user hears which ones and why
+      return { ...(await summarizeScrape(context, body)), sources: body.sources }
+    },
+
+    async next_page(args, context) {
+      const { sessionId, account, emit } = context
+      const { status, body } = await scrape({ pagination: true, sessionId }, account)
+      if (status !== 200) {
+        return { error: body.error, details: body.details }
+      }
+      emit("results", { results: body.results, dedupe: body.dedupe, detailPages: body.detailPages })
+      return summarizeScrape(context, body)
+    },
+
+    async scrape_page_range({ start, end, url }, context) {
+      const { sessionId, account, signal, emit } = context
+      const { status, body, job } = await startJob({ url, pageRange: { start, end }, sessionId }, account)
+      if (status !== 202) {
+        return { error: body.error, details: body.details }
+      }
+
+      // Stop the crawl if the user goes away
+      const cancel = () => cancelJob(job.id)
+      signal?.addEventListener("abort", cancel)
+      emit("progress", describeJob(job))
+      await waitForJob(job.id, () => {
+        const { results, ...progress } = describeJob(job)
+        emit("progress", progress)
+      })
+      signal?.removeEventListener("abort", cancel)
+
+      const { results, ...finished } = describeJob(job)
+      emit("progress", finished)
+      if (finished.status === "failed") {
+        return { error: finished.error || "The crawl failed" }
+      }
+      if (results.length > 0) {
+        emit("results", { results, dedupe: finished.dedupe, detailPages: finished.detailPages })
+      }
+      const message = `Scraped pages ${start} to ${finished.lastPage}`
+      return {
+        ...(await summarizeScrape(context, {
+          message,
+          results,
+          dedupe: finished.dedupe,
+          detailPages: finished.detailPages,
+        })),
+        status: finished.status,
+        pageErrors: finished.errors,
+      }
+    },
+
+    async filter_results({ query: rawQuery }, { sessionId }) {
+      const { query, errors } = parseQuery(rawQuery)
+      if (errors) {
+        return { error: "Invalid query", details: errors }
+      }
+
+      const session = await sessionStore.get(sessionId)
+      if (!session?.scrapedData?.length) {
+        return { error: "No data has been scraped yet" }
+      }
+
+      const result = runQuery(session.scrapedData, query)
+      if (!query.groupBy) {
+        session.activeFilter = query.where || null
+        await sessionStore.save(sessionId, session)
+      }
+      if (!result.records) {
+        return result
+      }
+      // Citations instead of the full provenance, so the answer can say where each row came from
+      const records = result.records.slice(0, MAX_QUERY_ROWS).map(citeRecord)
+      return { ...result, records, ...(result.records.length > MAX_QUERY_ROWS ? { truncated: true } : {}) }
+    },
+
+    async export_results({ format, all = false }, { sessionId, emit }) {
+      if (!EXPORT_FORMATS[format]) {
+        return { error: `Unsupported export format "${format}"` }
+      }
+
+      const session = await sessionStore.get(sessionId)
+      if (!session?.scrapedData?.length) {
+        return { error: "No data has been scraped yet" }
+      }
+
+      const records = all ? session.scrapedData.length : applyActiveFilter(session).length
+      const path = `/api/sessions/${sessionId}/export?format=${format}${all ? "&all=true" : ""}`
+      emit("export", { format, path, records })
+      return { format, records, message: "The download has been offered to the user" }
+    },
+
+    async compare_snapshots({ url, since, until }, { sessionId }) {
+      const session = await sessionStore.get(sessionId)
+      const target = url || session?.lastUrl
+      if (!target) {
+        return { error: "No URL given and nothing has been scraped yet" }
+      }
+
+      const { status, body } = await diff({ url: target, from: since, to: until })
+      if (status !== 200) {
+        return { error: body.error, details: body.details }
+      }
+      const { added, removed, modified, ...comparison } = body
+      const truncated = [added, removed, modified].some((records) => records.length > MAX_DIFF_ROWS)
+      return {
+        ...comparison,
+        added: added.slice(0, MAX_DIFF_ROWS),
+        removed: removed.slice(0, MAX_DIFF_ROWS),
+        modified: modified.slice(0, MAX_DIFF_ROWS),
+        ...(truncated ? { truncated: true } : {}),
+      }
+    },
+  }
+
+  return {
+    definitions: TOOL_DEFINITIONS,
+
+    /**
+     * Runs one tool call; failures are returned to the model as { error }
+     * @param {string} name - Tool name
+     * @param {Object} args - Parsed arguments
+     * @param {Object} context - { sessionId, account, signal, emit(event, data) }
+     * @returns {Promise<Object>} - Tool result
+     */
+    async execute(name, args, context) {
+      const handler = handlers[name]
+      if (!handler) {
+        return { error: `Unknown tool: ${name}` }
+      }
+      try {
+        return await handler(args, context)
+      } catch (error) {
+        console.error(`❌ Tool ${name} failed:`, error)
+        return { error: error.message }
+      }
+    },
+  }
+}
+
+/**
+ * Runs the model, executing its tool calls and feeding the results back until it answers
+ * @param {Object} options - Loop options
+ * @param {Object} options.llm - LLM adapter
+ * @param {Array} options.messages - Conversation so far; tool calls and results are appended
+ * @param {Object} options.tools - Tools from createChatTools
+ * @param {Object} options.context - { sessionId, account, signal, emit(event, data) } passed to the tools
+ * @param {Function} [options.onToken] - Streams the answer when given
+ * @returns {Promise<string>} - The model's answer
+ */
+export async function runToolLoop({ llm, messages, tools, context, onToken }) {
+  for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+    // The last round has no tools so the model has to answer
+    const message = await llm.chat({
+      messages,
+      tools: round < MAX_TOOL_ROUNDS ? tools.definitions : undefined,
+      signal: context.signal,
+      onToken,
+    })
+
+    if (!message.tool_calls?.length || context.signal?.aborted) {
+      return message.content || ""
+    }
+
+    messages.push(message)
+    for (const call of message.tool_calls) {
+      let args
+      try {
+        args = JSON.parse(call.function.arguments || "{}")
+      } catch {
+        args = null
+      }
+
+      context.emit("tool", { name: call.function.name, arguments: args, status: "running" })
+      const result = args
+        ? await tools.execute(call.function.name, args, context)
+        : { error: "Tool arguments must be valid JSON" }
+      context.emit("tool", { name: call.function.name, status: result.error ? "failed" : "done" })
+      messages.push({ role: "tool", tool_call_id: call.id, content: JSON.stringify(result) })
+    }
+  }
+
+  return ""
+}
@@ -0,0 +1,16 @@
+/**
+ * Runs a task for every item, with at most `limit` running at once
+ * @param {Array} items - Items
+ * @param {number} limit - Tasks running at once
+ * @param {Function} task - async (item, index) => void
+ */
+export async function forEachWithConcurrency(items, limit, task) {
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      await task(items[index], index)
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+}
@@ -0,0 +1,191 @@
+import { z } from "zod"
+import { formatIssues } from "./schema.js"
+import { describeCondition } from "./query.js"
+
+// Latest messages sent to the model word for word; older ones are folded into the rolling summary
+const RECENT_MESSAGES = Math.max(2, Number(process.env.CHAT_RECENT_MESSAGES) || 10)
+
+// Characters of one message given to the summarizer; long analyses are cut
+const MAX_SUMMARIZED_MESSAGE_CHARS = 2000
+
+// Characters of the first user message used as a session's title until it is renamed
+const DEFAULT_TITLE_LENGTH = 60
+
+const SUMMARY_PROMPT = `You keep the memory of a conversation between a user and an assistant that scrapes web pages
+and analyzes the scraped data. Update the summary of the conversation so far with the new messages, in at most
+200 words. Keep what the user asked for and decided (URLs, fields, filters, page ranges, formats, preferences), what
+was found and what is still open; drop greetings and repetition. Don't list scraped records.`
+
+const titleSchema = z.string().trim().min(1, "title must not be empty").max(100, "title must be at most 100 characters")
+
+const sessionUpdateSchema = z.object({ title: titleSchema.nullable() }).strict()
+
+const forkSchema = z
+  .object({
+    at: z.number().int().min(0).optional(),
+    title: titleSchema.optional(),
+  })
+  .strict()
+
+/**
+ * Creates the memory of a new conversation
+ * @returns {Object} - { summary, summarized }: the rolling summary and how many messages it covers
+ */
+export function createMemory() {
+  return { summary: "", summarized: 0 }
+}
+
+/**
+ * Folds the messages that no longer fit in the recent window into the session's rolling summary. The
+ * summary is only rewritten once the window overflows, and then down to half of it, so most turns cost
+ * no extra model call
+ * @param {Object} session - Session data; `memory` is updated
+ * @param {Function} summarize - async (messages) => text, calls the model
+ * @returns {Promise<Object>} - The session's memory
+ */
+export async function updateMemory(session, summarize) {
+  const memory = session.memory || createMemory()
+  if (session.messages.length - memory.summarized <= RECENT_MESSAGES) {
+    return memory
+  }
+
+  const end = session.messages.length - Math.ceil(RECENT_MESSAGES / 2)
+  const transcript = session.messages
+    .slice(memory.summarized, end)
+    .map(({ role, content }) => `${role}: ${String(content).slice(0, MAX_SUMMARIZED_MESSAGE_CHARS)}`)
+    .join("\n\n")
+  console.log(`Summarizing messages ${memory.summarized + 1} to ${end} of the conversation`)
+  const summary = await summarize([
+    { role: "system", content: SUMMARY_PROMPT },
+    { role: "user", content: `Summary so far:\n${memory.summary || "(none)"}\n\nNew messages:\n${transcript}` },
+  ])
+
+  session.memory = { summary: summary.trim() || memory.summary, summarized: end }
+  return session.memory
+}
+
+/**
+ * Picks the messages sent to the model word for word: those the summary doesn't cover, at most the
+ * recent window even when summarizing failed
+ * @param {Object} session - Session data
+ * @returns {Array<Object>} - Chat messages
+ */
+export function recentMessages(session) {
+  const summarized = session.memory?.summarized || 0
+  return session.messages.slice(Math.max(summarized, session.messages.length - RECENT_MESSAGES))
+}
+
+/**
+ * Lists the facts that stay true however long ago they were set: the URL being scraped, the pages scraped
+ * (read from the records' provenance), the active filter and the session's scrape settings
+ * @param {Object} session - Session data
+ * @returns {Array<string>} - One line per fact
+ */
+export function pinnedFacts(session) {
+  const facts = []
+  if (session.lastUrl) {
+    facts.push(`Active URL: ${session.lastUrl}`)
+  }
+
+  const records = Array.isArray(session.scrapedData) ? session.scrapedData : []
+  const pages = records
+    .flatMap((record) => record._sources || (record._source ? [record._source] : []))
+    .map((source) => source.page)
+    .filter(Number.isInteger)
+  if (pages.length > 0) {
+    const first = Math.min(...pages)
+    const last = Math.max(...pages)
+    facts.push(first === last ? `Page scraped: ${first}` : `Pages scraped: ${first} to ${last}`)
+  }
+  if (records.length > 0) {
+    facts.push(`Records in the session: ${records.length}`)
+  }
+  if (session.activeFilter) {
+    facts.push(`Active filter (exports respect it): ${describeCondition(session.activeFilter)}`)
+  }
+  if (session.dedupe) {
+    facts.push(`Duplicate rules: ${JSON.stringify(session.dedupe)}`)
+  }
+  if (session.details) {
+    facts.push("Detail pages are followed for new rows")
+  }
+  return facts
+}
+
+/**
+ * Describes the conversation's memory for the system prompt
+ * @param {Object} session - Session data
+ * @returns {string} - Prompt text, empty for a new conversation
+ */
+export function describeMemory(session) {
+  const sections = []
+  const facts = pinnedFacts(session)
+  if (facts.length > 0) {
+    sections.push(`Pinned facts:\n${facts.map((fact) => `- ${fact}`).join("\n")}`)
+  }
+  if (session.memory?.summary) {
+    sections.push(`Summary of the earlier conversation:\n${session.memory.summary}`)
+  }
+  return sections.length > 0 ? `${sections.join("\n\n")}\n\n` : ""
+}
+
+/**
+ * Names a session: its title, else the start of its first user message
+ * @param {Object} session - Session data
+ * @returns {string} - Title
+ */
+export function sessionTitle(session) {
+  if (session.title) return session.title
+  const first = session.messages.find((message) => message.role === "user")?.content?.trim()
+  if (!first) return "New conversation"
+  return first.length > DEFAULT_TITLE_LENGTH ? `${first.slice(0, DEFAULT_TITLE_LENGTH - 1)}…` : first
+}
+
+/**
+ * Validates a session update
+ * @param {Object} input - { title } from the request; a null title goes back to the default
+ * @returns {Object} - { update } on success or { errors } with one message per problem
+ */
+export function parseSessionUpdate(input) {
+  const result = sessionUpdateSchema.safeParse(input ?? {})
+  if (!result.success) {
+    return { errors: formatIssues(result.error.issues) }
+  }
+  return { update: result.data }
+}
+
+/**
+ * Validates a fork request
+ * @param {Object} input - { at, title } from the request
+ * @returns {Object} - { fork } on success or { errors } with one message per problem
+ */
+export function parseFork(input) {
+  const result = forkSchema.safeParse(input ?? {})
+  if (!result.success) {
+    return { errors: formatIssues(result.error.issues) }
+  }
+  return { fork: result.data }
+}
+
+/**
+ * Copies a session to branch the conversation, keeping its first `at` messages (all by default). The
+ * scraped data and settings are copied as they are now. A summary covering dropped messages is dropped
+ * too and rebuilt from the kept ones when needed
+ * @param {Object} session - Session data
+ * @param {string} sessionId - Its ID
+ * @param {Object} options - Fork options from parseFork
+ * @param {number} [options.at] - Messages to keep
+ * @param {string} [options.title] - Title of the copy; the original's with "(fork)" by default
+ * @returns {Object} - Session data of the copy
+ */
+export function forkSession(session, sessionId, { at, title }) {
+  const copy = structuredClone(session)
+  const keep = Math.min(at ?? copy.messages.length, copy.messages.length)
+  copy.messages = copy.messages.slice(0, keep)
+  if ((copy.memory?.summarized || 0) > keep) {
+    copy.memory = createMemory()
+  }
+  copy.title = title || `${sessionTitle(session)} (fork)`
+  copy.forkedFrom = { sessionId, at: keep }
+  return copy
+}
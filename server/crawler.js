@@ -0,0 +1,98 @@
+import { scrapePage } from "./scraper.js"
+
+// Failed pages in a row after which the site is considered down. Pacing between pages is up to the fetcher
+const MAX_CONSECUTIVE_FAILURES = 2
+
+/**
+ * Scrapes a range of pages in order, deduplicating records by ID and stopping early when a page
+ * is empty, the site runs out of pages, robots.txt forbids a page, pages keep failing or the crawl
+ * is cancelled. A page that fails to load is recorded and skipped
+ * @param {Object} options - Crawl options
+ * @param {string} options.url - The URL the user asked to scrape
+ * @param {number} options.start - First page (1-based)
+ * @param {number} options.end - Last page, inclusive
+ * @param {Object} options.extractor - Extractor definition
+ * @param {Object} options.paging - Pagination state shared with later requests
+ * @param {AbortSignal} [options.signal] - Aborts the crawl between pages
+ * @param {Function} [options.onPage] - Called after each page with { page, records, error }
+ * @returns {Promise<Object>} - { records, lastPage, totalEntries, entriesPerPage, failedPages, pagesLoaded,
+ *   cancelled }; failedPages lists { page, error, errorCode } and pagesLoaded counts the pages tried, failed ones
+ *   included
+ */
+export async function crawlPages({ url, start, end, extractor, paging, signal, onPage }) {
+  // Use a Map to deduplicate results
+  const resultsMap = new Map()
+  let totalEntries = 0
+  let entriesPerPage = null
+  let lastPage = start - 1
+  const failedPages = []
+  let failuresInRow = 0
+  let pagesLoaded = 0
+
+  for (let page = start; page <= end; page++) {
+    if (signal?.aborted) {
+      console.log(`Crawl of ${url} cancelled before page ${page}`)
+      break
+    }
+
+    const {
+      data: pageData,
+      hasMorePages,
+      totalEntries: total,
+      entriesPerPage: perPage,
+      error,
+      errorCode,
+    } = await scrapePage(url, page, extractor, paging)
+    pagesLoaded++
+
+    if (onPage) {
+      onPage({ page, records: pageData, error })
+    }
+
+    if (error) {
+      failedPages.push({ page, error, errorCode })
+      failuresInRow++
+      // Pages the site or the URL policy forbid won't be allowed on the next try either
+      const forbidden = errorCode === "ROBOTS_DISALLOWED" || errorCode === "URL_BLOCKED"
+      if (forbidden || failuresInRow >= MAX_CONSECUTIVE_FAILURES) {
+        console.log(`Stopping the crawl of ${url} after page ${page} failed: ${error}`)
+        break
+      }
+      continue
+    }
+    failuresInRow = 0
+
+    if (pageData.length === 0) {
+      console.log(`No data found on page ${page}, stopping pagination`)
+      break
+    }
+
+    // Update our pagination info
+    lastPage = page
+    totalEntries = total
+    entriesPerPage = perPage
+
+    // Add to results map for deduplication
+    pageData.forEach((item) => {
+      if (item.id && !resultsMap.has(item.id)) {
+        resultsMap.set(item.id, item)
+      }
+    })
+
+    // If we've reached the end of available pages, break
+    if (!hasMorePages && page < end) {
+      console.log(`No more pages available after page ${page}`)
+      break
+    }
+  }
+
+  return {
+    records: Array.from(resultsMap.values()),
+    lastPage,
+    totalEntries,
+    entriesPerPage,
+    failedPages,
+    pagesLoaded,
+    cancelled: Boolean(signal?.aborted),
+  }
+}
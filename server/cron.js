@@ -0,0 +1,140 @@
+// Allowed values of the five cron fields
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: "jan feb mar apr may jun jul aug sep oct nov dec".split(" ") },
+  { name: "day of week", min: 0, max: 7, names: "sun mon tue wed thu fri sat".split(" ") },
+]
+
+const CRON_MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+}
+
+// How far ahead nextRun looks before deciding an expression never fires, e.g. "0 0 30 2 *"
+const MAX_LOOKAHEAD_YEARS = 5
+
+/**
+ * Reads one value of a cron field: a number or, for months and weekdays, a name like "mon"
+ * @param {string} text - Value
+ * @param {Object} field - Field from CRON_FIELDS
+ * @returns {number} - The value, or NaN
+ */
+function parseValue(text, field) {
+  const named = field.names?.indexOf(text.toLowerCase()) ?? -1
+  if (named >= 0) return named + field.min
+  return /^\d+$/.test(text) ? Number(text) : NaN
+}
+
+/**
+ * Expands one cron field into the values it allows
+ * @param {string} text - Field, e.g. "*", "1-5", "mon,wed,fri" or a range with a step like "0-30/10"
+ * @param {Object} field - Field from CRON_FIELDS
+ * @returns {Object} - { values: Set<number> } or { error }
+ */
+function parseField(text, field) {
+  const values = new Set()
+  for (const part of text.split(",")) {
+    const [range, stepText, extra] = part.split("/")
+    const step = stepText === undefined ? 1 : Number(stepText)
+    if (extra !== undefined || !Number.isInteger(step) || step < 1) {
+      return { error: `Invalid step in ${field.name} "${part}"` }
+    }
+
+    let start = field.min
+    let end = field.max
+    if (range !== "*") {
+      const [first, last] = range.split("-")
+      start = parseValue(first, field)
+      // "5/15" means from 5 to the end in steps of 15
+      end = last !== undefined ? parseValue(last, field) : stepText !== undefined ? field.max : start
+    }
+    if (Number.isNaN(start) || Number.isNaN(end) || start < field.min || end > field.max || start > end) {
+      return { error: `Invalid ${field.name} "${part}": use ${field.min}-${field.max}` }
+    }
+    for (let value = start; value <= end; value += step) values.add(value)
+  }
+  return { values }
+}
+
+/**
+ * Parses a five-field cron expression ("minute hour day-of-month month day-of-week") or a macro like "@weekly"
+ * @param {string} expression - e.g. "0 6 * * mon" for every Monday at 6:00
+ * @returns {Object} - { cron } on success or { errors } with one message per problem
+ */
+export function parseCron(expression) {
+  const text = String(expression ?? "").trim()
+  const fields = (CRON_MACROS[text.toLowerCase()] || text).split(/\s+/)
+  if (fields.length !== CRON_FIELDS.length) {
+    return { errors: [`A cron expression has ${CRON_FIELDS.length} fields, got "${text}"`] }
+  }
+
+  const cron = { expression: text }
+  const errors = []
+  const keys = ["minutes", "hours", "daysOfMonth", "months", "daysOfWeek"]
+  fields.forEach((fieldText, index) => {
+    const { values, error } = parseField(fieldText, CRON_FIELDS[index])
+    if (error) errors.push(error)
+    cron[keys[index]] = values
+  })
+  if (errors.length > 0) return { errors }
+
+  // Sunday is 0 or 7
+  if (cron.daysOfWeek.has(7)) cron.daysOfWeek.add(0)
+  // When both day fields are restricted, either one matching is enough, as in standard cron
+  cron.anyDay = fields[2] !== "*" && fields[4] !== "*"
+
+  if (!nextRun(cron)) {
+    return { errors: [`"${text}" never runs`] }
+  }
+  return { cron }
+}
+
+/**
+ * Tells whether a cron expression allows a date, ignoring the time of day
+ * @param {Object} cron - Parsed expression
+ * @param {Date} date - Date in the server's time zone
+ * @returns {boolean} - True when the date matches
+ */
+function matchesDay(cron, date) {
+  const dayOfMonth = cron.daysOfMonth.has(date.getDate())
+  const dayOfWeek = cron.daysOfWeek.has(date.getDay())
+  return cron.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek
+}
+
+/**
+ * Finds the next time a cron expression fires, in the server's time zone
+ * @param {Object} cron - Parsed expression from parseCron
+ * @param {Date} [after] - Start looking after this time
+ * @returns {Date|null} - The next run, or null when there is none within a few years
+ */
+export function nextRun(cron, after = new Date()) {
+  const date = new Date(after.getTime())
+  date.setSeconds(0, 0)
+  date.setMinutes(date.getMinutes() + 1)
+  const limit = new Date(date.getTime())
+  limit.setFullYear(limit.getFullYear() + MAX_LOOKAHEAD_YEARS)
+
+  while (date <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1)
+      date.setHours(0, 0)
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1)
+      date.setHours(0, 0)
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0)
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1)
+    } else {
+      return date
+    }
+  }
+  return null
+}
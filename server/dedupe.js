@@ -0,0 +1,312 @@
+import { z } from "zod"
+import { formatIssues } from "./schema.js"
+import { isBlank, normalizePhone, parseLocation, resolveFieldKinds } from "./normalize.js"
+
+// Words that don't tell businesses apart, e.g. "Double R Ranch" and "Double R Ranch LLC"
+const NAME_NOISE = new Set(["llc", "inc", "co", "corp", "corporation", "company", "ltd", "lp", "llp", "the"])
+
+export const dedupeRulesSchema = z
+  .object({
+    // Records sharing a phone number are the same
+    phone: z.boolean().default(true),
+    // Records with similar names are the same...
+    name: z.boolean().default(true),
+    nameSimilarity: z.number().min(0.5, "nameSimilarity must be between 0.5 and 1").max(1).default(0.85),
+    // ...when they are in the same city (a missing city matches any)
+    sameCity: z.boolean().default(true),
+    // Fields to compare; detected from the field names when missing
+    fields: z
+      .object({
+        name: z.string().min(1).optional(),
+        phone: z.array(z.string().min(1)).optional(),
+        city: z.string().min(1).optional(),
+      })
+      .strict()
+      .default({}),
+  })
+  .strict()
+
+/**
+ * Validates deduplication rules from a request body. `false` keeps only exact duplicates out
+ * @param {Object|boolean} [input] - Rules, false, or nothing for the defaults
+ * @returns {Object} - { rules } on success or { errors } with one message per problem
+ */
+export function parseDedupeRules(input) {
+  if (input === false) {
+    return { rules: dedupeRulesSchema.parse({ phone: false, name: false }) }
+  }
+  const result = dedupeRulesSchema.safeParse(input ?? {})
+  if (!result.success) {
+    return { errors: formatIssues(result.error.issues) }
+  }
+  return { rules: result.data }
+}
+
+/**
+ * Reduces a name to what identifies it: lowercase letters and digits, without accents or legal suffixes
+ * @param {string} name - Business or person name
+ * @returns {string} - e.g. "doublerranch" for "The Double-R Ranch, LLC"
+ */
+function cleanName(name) {
+  return String(name)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word && !NAME_NOISE.has(word))
+    .join("")
+}
+
+/**
+ * Character bigrams of a cleaned name
+ * @param {string} text - Cleaned name
+ * @returns {Set<string>} - Bigrams
+ */
+function bigrams(text) {
+  if (text.length < 2) return new Set(text ? [text] : [])
+  const grams = new Set()
+  for (let i = 0; i < text.length - 1; i++) grams.add(text.slice(i, i + 2))
+  return grams
+}
+
+/**
+ * Dice similarity of two names, from 0 (nothing in common) to 1 (the same once cleaned)
+ * @param {string} a - Name
+ * @param {string} b - Name
+ * @returns {number} - Similarity
+ */
+export function nameSimilarity(a, b) {
+  const gramsA = bigrams(cleanName(a))
+  const gramsB = bigrams(cleanName(b))
+  if (gramsA.size === 0 || gramsB.size === 0) return 0
+  let shared = 0
+  gramsA.forEach((gram) => gramsB.has(gram) && shared++)
+  return (2 * shared) / (gramsA.size + gramsB.size)
+}
+
+/**
+ * Works out which fields hold the name, phones and city of the records
+ * @param {Array<Object>} records - Records
+ * @param {Object} fields - Fields named in the rules
+ * @returns {Object} - { name, phone: [], city, location }
+ */
+function resolveFields(records, fields) {
+  const fieldNames = Array.from(new Set(records.flatMap((record) => Object.keys(record)))).filter(
+    (field) => !field.startsWith("_"),
+  )
+  const kinds = resolveFieldKinds(null, fieldNames)
+  const ofKind = (kind) => fieldNames.filter((field) => kinds[field] === kind)
+
+  return {
+    name: fields.name ?? ofKind("name")[0],
+    phone: fields.phone ?? ofKind("phone"),
+    city: fields.city ?? (fieldNames.includes("city") ? "city" : undefined),
+    location: ofKind("location")[0],
+  }
+}
+
+/**
+ * Reads the phone numbers of a record as digit strings, whatever their formatting
+ * @param {Object} record - Record
+ * @param {Array<string>} phoneFields - Phone fields
+ * @returns {Array<string>} - Digits of each valid number
+ */
+function phoneKeys(record, phoneFields) {
+  return phoneFields.flatMap((field) => {
+    const value = record[field]
+    if (isBlank(value)) return []
+    const { value: normalized, error } = normalizePhone(String(value))
+    if (error && normalized === String(value)) return []
+    return normalized.split(",").map((number) => number.replace(/\D/g, ""))
+  })
+}
+
+/**
+ * Reads the city of a record, from its city field or by parsing its location
+ * @param {Object} record - Record
+ * @param {Object} fields - Resolved fields
+ * @returns {string} - Lowercase city, or "" when unknown
+ */
+function cityOf(record, fields) {
+  if (fields.city && !isBlank(record[fields.city])) return String(record[fields.city]).trim().toLowerCase()
+  if (fields.location && !isBlank(record[fields.location])) {
+    return parseLocation(String(record[fields.location])).city.toLowerCase()
+  }
+  return ""
+}
+
+/**
+ * Identity of a record for exact matching: its values, lowercased and without whitespace
+ * @param {Object} record - Record
+ * @returns {string} - Key
+ */
+function exactKey(record) {
+  return Object.entries(record)
+    .filter(([key]) => !key.startsWith("_"))
+    .map(([, value]) => String(value ?? ""))
+    .join("-")
+    .toLowerCase()
+    .replace(/\s+/g, "")
+}
+
+/**
+ * Describes what identifies each record, so the same business can be found again in a later scrape
+ * @param {Array<Object>} records - Records
+ * @param {Object} [fields] - Fields named in dedupe rules; detected from the field names when missing
+ * @returns {Array<Object>} - { key, phones } per record: the cleaned name and city, or all values for
+ *   records without a name, and the digits of each phone number
+ */
+export function identifyRecords(records, fields = {}) {
+  const resolved = resolveFields(records, fields)
+  return records.map((record) => {
+    const name = resolved.name && !isBlank(record[resolved.name]) ? cleanName(record[resolved.name]) : ""
+    return {
+      key: name ? `${name}|${cityOf(record, resolved)}` : exactKey(record),
+      phones: phoneKeys(record, resolved.phone),
+    }
+  })
+}
+
+/**
+ * Merges the records of one cluster. Each field keeps its most complete value: filled in rather than
+ * blank, valid rather than flagged, then the longest. Distinct phone numbers are all kept, and so are the
+ * members' sources, in `_sources`
+ * @param {Array<Object>} members - Records of the cluster, in order
+ * @param {Array<string>} phoneFields - Phone fields
+ * @returns {Object} - Merged record
+ */
+function mergeCluster(members, phoneFields) {
+  const fieldNames = Array.from(new Set(members.flatMap((record) => Object.keys(record)))).filter(
+    (field) => !field.startsWith("_"),
+  )
+  const merged = {}
+  const raw = {}
+  const invalid = {}
+
+  fieldNames.forEach((field) => {
+    const filled = members.filter((record) => !isBlank(record[field]))
+    if (filled.length === 0) {
+      merged[field] = members.find((record) => field in record)[field]
+      return
+    }
+    const valid = filled.filter((record) => !record._invalid?.[field])
+    const pool = valid.length > 0 ? valid : filled
+    const source = pool.reduce((best, record) =>
+      String(record[field]).length > String(best[field]).length ? record : best,
+    )
+
+    merged[field] = source[field]
+    if (phoneFields.includes(field) && valid.length > 1) {
+      const numbers = valid.flatMap((record) => normalizePhone(String(record[field])).value.split(", "))
+      merged[field] = Array.from(new Set(numbers)).join(", ")
+    }
+    if (source._raw?.[field] !== undefined) raw[field] = source._raw[field]
+    if (source._invalid?.[field]) invalid[field] = source._invalid[field]
+  })
+
+  if (Object.keys(raw).length > 0) merged._raw = raw
+  if (Object.keys(invalid).length > 0) merged._invalid = invalid
+  merged._merged = members.reduce((sum, record) => sum + (record._merged || 1), 0)
+
+  // Where the merged records were scraped from, for batches of several URLs
+  const sources = members.flatMap((record) => record._sources || (record._source ? [record._source] : []))
+  if (sources.length > 0) {
+    merged._source = sources[0]
+    merged._sources = sources
+  }
+  return merged
+}
+
+/**
+ * Finds records that describe the same thing and merges each group into one. Records match when
+ * they are identical, share a phone number, or have similar names in the same city, depending on
+ * the rules; matches are transitive, so A~B and B~C puts all three in one cluster
+ * @param {Array<Object>} records - Records, e.g. the session's data followed by a new page
+ * @param {Object} [rules] - Validated rules from parseDedupeRules; the defaults when missing
+ * @returns {Object} - { records, report: { before, after, merged: [{ record, count, sources, reasons }] } }
+ */
+export function dedupeRecords(records, rules = dedupeRulesSchema.parse({})) {
+  const fields = resolveFields(records, rules.fields)
+
+  // Union-find over record positions
+  const parent = records.map((_, index) => index)
+  const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])))
+  const reasons = new Map()
+  // Known cities of each cluster, so a record without a city can't bridge two different cities
+  const cities = records.map((record) => cityOf(record, fields))
+  const clusterCities = new Map(cities.map((city, index) => [index, new Set(city ? [city] : [])]))
+  const link = (a, b, reason) => {
+    const rootA = find(a)
+    const rootB = find(b)
+    if (rootA !== rootB) parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB)
+    const root = find(a)
+    reasons.set(root, new Set([...(reasons.get(rootA) || []), ...(reasons.get(rootB) || []), reason]))
+    clusterCities.set(root, new Set([...clusterCities.get(rootA), ...clusterCities.get(rootB)]))
+  }
+  const sameCity = (a, b) => {
+    const citiesA = clusterCities.get(find(a))
+    const citiesB = clusterCities.get(find(b))
+    return citiesA.size === 0 || citiesB.size === 0 || [...citiesA].some((city) => citiesB.has(city))
+  }
+
+  const exact = new Map()
+  const phones = new Map()
+  records.forEach((record, index) => {
+    const key = exactKey(record)
+    if (exact.has(key)) link(exact.get(key), index, "identical records")
+    else exact.set(key, index)
+
+    if (!rules.phone) return
+    phoneKeys(record, fields.phone).forEach((digits) => {
+      if (phones.has(digits)) link(phones.get(digits), index, `same phone +${digits}`)
+      else phones.set(digits, index)
+    })
+  })
+
+  if (rules.name && fields.name) {
+    // Inverted index of name bigrams, so only names with something in common are compared
+    const grams = records.map((record) =>
+      isBlank(record[fields.name]) ? new Set() : bigrams(cleanName(record[fields.name])),
+    )
+    const postings = new Map()
+    grams.forEach((recordGrams, index) => {
+      // Bigrams shared with each earlier record
+      const shared = new Map()
+      recordGrams.forEach((gram) => {
+        postings.get(gram)?.forEach((other) => shared.set(other, (shared.get(other) || 0) + 1))
+      })
+      shared.forEach((count, other) => {
+        const similarity = (2 * count) / (recordGrams.size + grams[other].size)
+        if (similarity < rules.nameSimilarity) return
+        if (rules.sameCity && !sameCity(other, index)) return
+        const names = `"${records[other][fields.name]}" and "${records[index][fields.name]}"`
+        link(other, index, `similar names ${names} (${Math.round(similarity * 100)}%)`)
+      })
+      recordGrams.forEach((gram) => {
+        if (!postings.has(gram)) postings.set(gram, [])
+        postings.get(gram).push(index)
+      })
+    })
+  }
+
+  const clusters = new Map()
+  records.forEach((record, index) => {
+    const root = find(index)
+    if (!clusters.has(root)) clusters.set(root, [])
+    clusters.get(root).push(record)
+  })
+
+  const merged = []
+  const result = Array.from(clusters.entries()).map(([root, members]) => {
+    if (members.length === 1) return members[0]
+    const record = mergeCluster(members, fields.phone)
+    merged.push({ record, count: members.length, sources: members, reasons: Array.from(reasons.get(root) || []) })
+    return record
+  })
+
+  if (merged.length > 0) {
+    console.log(`Merged ${records.length - result.length} duplicate record(s) into ${merged.length}`)
+  }
+  return { records: result, report: { before: records.length, after: result.length, merged } }
+}
@@ -0,0 +1,180 @@
+import { z } from "zod"
+import { cssSelector, fieldsSchema, formatIssues, schemaToExtractor } from "./schema.js"
+import { getExtractor } from "./extractors/index.js"
+import { isBlank } from "./normalize.js"
+import { scrapeDetailPage } from "./scraper.js"
+import { forEachWithConcurrency } from "./concurrency.js"
+
+// Detail pages loaded at once by one scrape; the fetcher's per-host limits apply on top
+const MAX_DETAIL_CONCURRENCY = 8
+
+// Detail pages one scrape may follow
+const MAX_DETAIL_PAGES = Number(process.env.MAX_DETAIL_PAGES) || 200
+
+// Hidden field holding each row's detail link between extraction and enrichment
+export const DETAIL_LINK_FIELD = "_detailUrl"
+
+export const detailOptionsSchema = z
+  .object({
+    // Link to follow in each row, defaulting to the list extractor's...
+    linkSelector: cssSelector.optional(),
+    // ...or a field of the record that already holds the URL
+    linkField: z.string().min(1).optional(),
+    // Registered extractor for the detail pages, defaulting to the list extractor's...
+    extractor: z.string().min(1).optional(),
+    // ...or the fields to read from them, with selectors relative to the whole page
+    fields: fieldsSchema.optional(),
+    concurrency: z.number().int().min(1).max(MAX_DETAIL_CONCURRENCY).default(4),
+    limit: z.number().int().min(1).max(MAX_DETAIL_PAGES).default(MAX_DETAIL_PAGES),
+  })
+  .strict()
+  .refine((options) => !(options.linkSelector && options.linkField), {
+    message: "Give linkSelector or linkField, not both",
+    path: ["linkField"],
+  })
+  .refine((options) => !(options.extractor && options.fields), {
+    message: "Give extractor or fields, not both",
+    path: ["fields"],
+  })
+
+/**
+ * Validates the detail-page options of a request. `true` follows the list extractor's detail links
+ * with its defaults and `false` stops following them
+ * @param {Object|boolean} input - Options, true or false
+ * @returns {Object} - { details } on success (null for false) or { errors } with one message per problem
+ */
+export function parseDetailOptions(input) {
+  if (input === false) {
+    return { details: null }
+  }
+  const result = detailOptionsSchema.safeParse(input === true ? {} : input)
+  if (!result.success) {
+    return { errors: formatIssues(result.error.issues) }
+  }
+  return { details: result.data }
+}
+
+/**
+ * Works out which link each row follows and which extractor reads the detail page, filling in
+ * what the options leave out from the list extractor's `detail` settings
+ * @param {Object} options - Validated detail options
+ * @param {Object} listExtractor - Extractor of the list pages
+ * @returns {Object} - { plan: { extractor, linkSelector, linkField, concurrency, limit } } or { error }
+ */
+export function planDetails(options, listExtractor) {
+  const defaults = listExtractor.detail || {}
+  const linkField = options.linkField || null
+  const linkSelector = linkField ? null : options.linkSelector || defaults.linkSelector || null
+  if (!linkField && !linkSelector) {
+    return { error: `Extractor "${listExtractor.name}" has no detail link: set details.linkSelector or linkField` }
+  }
+
+  let extractor
+  if (options.fields) {
+    extractor = schemaToExtractor({ rowSelector: "html", fields: options.fields }, "detail-schema")
+  } else {
+    const name = options.extractor || defaults.extractor
+    if (!name) {
+      return { error: `Extractor "${listExtractor.name}" has no detail extractor: set details.extractor or fields` }
+    }
+    extractor = getExtractor(name)
+    if (!extractor) {
+      return { error: `Unknown detail extractor: ${name}` }
+    }
+  }
+
+  const { concurrency, limit } = options
+  return { plan: { extractor, linkSelector, linkField, concurrency, limit } }
+}
+
+/**
+ * Adds the hidden detail link field to a list extractor, when rows' links are read with a selector
+ * @param {Object} extractor - Extractor of the list pages
+ * @param {Object} plan - Plan from planDetails
+ * @returns {Object} - The extractor, or a copy reading DETAIL_LINK_FIELD too
+ */
+export function withDetailLink(extractor, plan) {
+  if (!plan.linkSelector) return extractor
+  return {
+    ...extractor,
+    fields: {
+      ...extractor.fields,
+      [DETAIL_LINK_FIELD]: { selector: plan.linkSelector, attribute: "href", type: "url" },
+    },
+  }
+}
+
+/**
+ * Merges what a detail page says into its row. Values from the list win; the detail page fills in
+ * blanks and adds fields of its own
+ * @param {Object} record - Row from the list page
+ * @param {Object} detail - Fields from the detail page
+ * @param {string} url - URL of the detail page, added to the row's provenance
+ * @returns {Object} - The enriched record
+ */
+function mergeDetail(record, detail, url) {
+  const merged = { ...record }
+  Object.entries(detail).forEach(([field, value]) => {
+    if (field.startsWith("_")) return
+    if (!(field in merged) || (isBlank(merged[field]) && !isBlank(value))) {
+      merged[field] = value
+    }
+  })
+  for (const key of ["_raw", "_invalid"]) {
+    if (detail[key]) merged[key] = { ...detail[key], ...record[key] }
+  }
+  if (record._source) merged._source = { ...record._source, detailUrl: url }
+  return merged
+}
+
+/**
+ * Follows each record's detail link and merges the detail page's fields into it. A page that fails is
+ * reported and its row kept as it was, so one broken page doesn't lose the batch
+ * @param {Array<Object>} records - Records from the list pages
+ * @param {Object} plan - Plan from planDetails
+ * @param {Object} [options] - Enrichment options
+ * @param {AbortSignal} [options.signal] - Stops following links
+ * @returns {Promise<Object>} - { records, report: { followed, enriched, skipped, failed: [{ url, error }] } };
+ *   records lose DETAIL_LINK_FIELD
+ */
+export async function enrichRecords(records, plan, { signal } = {}) {
+  const results = records.map(({ [DETAIL_LINK_FIELD]: link, ...record }) => record)
+  const report = { followed: 0, enriched: 0, skipped: 0, failed: [] }
+
+  // Rows sharing a link share one fetch
+  const targets = new Map() // url => row indexes
+  records.forEach((record, index) => {
+    const link = String(plan.linkField ? record[plan.linkField] ?? "" : record[DETAIL_LINK_FIELD] ?? "")
+    const followable = !isBlank(link) && /^https?:\/\//i.test(link)
+    if (!followable || (!targets.has(link) && targets.size >= plan.limit)) {
+      report.skipped++
+      return
+    }
+    if (!targets.has(link)) targets.set(link, [])
+    targets.get(link).push(index)
+  })
+  report.followed = targets.size
+
+  await forEachWithConcurrency(Array.from(targets), plan.concurrency, async ([url, indexes]) => {
+    if (signal?.aborted) return
+    try {
+      const detail = await scrapeDetailPage(url, plan.extractor)
+      if (!detail) {
+        report.failed.push({ url, error: `Extractor "${plan.extractor.name}" found nothing on the page` })
+        return
+      }
+      indexes.forEach((index) => {
+        results[index] = mergeDetail(results[index], detail, url)
+      })
+      report.enriched += indexes.length
+    } catch (error) {
+      console.error(`❌ Error scraping detail page ${url}:`, error.message)
+      report.failed.push({ url, error: error.message })
+    }
+  })
+
+  if (report.failed.length > 0) {
+    console.log(`Detail pages: ${report.failed.length} of ${report.followed} failed`)
+  }
+  return { records: results, report }
+}
@@ -0,0 +1,107 @@
+import { parseExtractionSchema } from "./schema.js"
+
+// Confirmed schemas keyed by domain, mirrored to the `domain_schemas` table
+const domainSchemas = new Map()
+
+/**
+ * Normalizes a URL or hostname to the domain schemas are saved under
+ * @param {string} urlOrDomain - A full URL or a bare hostname
+ * @returns {string} - Lowercased hostname without "www."
+ */
+export function toDomain(urlOrDomain) {
+  let hostname = urlOrDomain
+  try {
+    hostname = new URL(urlOrDomain).hostname
+  } catch {
+    // Already a hostname
+  }
+  return hostname.toLowerCase().replace(/^www\./, "")
+}
+
+/**
+ * Saves a confirmed extraction schema for reuse on a domain
+ * @param {Object} supabase - Supabase client
+ * @param {string} urlOrDomain - URL or hostname the schema applies to
+ * @param {Object} schema - Validated extraction schema
+ * @returns {Promise<string>} - The domain the schema was saved under
+ */
+export async function saveDomainSchema(supabase, urlOrDomain, schema) {
+  const domain = toDomain(urlOrDomain)
+  domainSchemas.set(domain, schema)
+
+  try {
+    const { error } = await supabase
+      .from("domain_schemas")
+      .upsert([{ domain, schema, updated_at: new Date().toISOString() }], { onConflict: "domain" })
+    if (error) {
+      console.error("❌ Error storing domain schema:", error)
+    }
+  } catch (dbError) {
+    console.error("Database storage error:", dbError)
+  }
+
+  return domain
+}
+
+/**
+ * Looks up the saved schema for a URL's domain
+ * @param {Object} supabase - Supabase client
+ * @param {string} url - URL being scraped
+ * @returns {Promise<Object|null>} - The saved schema, if any
+ */
+export async function getDomainSchema(supabase, url) {
+  const domain = toDomain(url)
+  if (domainSchemas.has(domain)) {
+    return domainSchemas.get(domain)
+  }
+
+  try {
+    const { data, error } = await supabase.from("domain_schemas").select("schema").eq("domain", domain).maybeSingle()
+    if (error || !data) return null
+
+    // Stored rows are re-validated in case they were edited by hand
+    const { schema } = parseExtractionSchema(data.schema)
+    if (schema) domainSchemas.set(domain, schema)
+    return schema || null
+  } catch (dbError) {
+    console.error("Database lookup error:", dbError)
+    return null
+  }
+}
+
+/**
+ * Removes the saved schema for a domain
+ * @param {Object} supabase - Supabase client
+ * @param {string} urlOrDomain - URL or hostname
+ * @returns {Promise<boolean>} - True if a schema was cached for the domain
+ */
+export async function deleteDomainSchema(supabase, urlOrDomain) {
+  const domain = toDomain(urlOrDomain)
+  const existed = domainSchemas.delete(domain)
+
+  try {
+    await supabase.from("domain_schemas").delete().eq("domain", domain)
+  } catch (dbError) {
+    console.error("Database delete error:", dbError)
+  }
+
+  return existed
+}
+
+/**
+ * Lists saved schemas, preferring the database and falling back to this process's cache
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<Array>} - Domain and schema of each saved entry
+ */
+export async function listDomainSchemas(supabase) {
+  try {
+    const { data, error } = await supabase.from("domain_schemas").select("domain, schema").order("domain")
+    if (!error && data) {
+      return data.map(({ domain, schema }) => ({ domain, schema }))
+    }
+  } catch (dbError) {
+    console.error("Database lookup error:", dbError)
+  }
+
+  return Array.from(domainSchemas.entries()).map(([domain, schema]) => ({ domain, schema }))
+}
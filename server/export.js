@@ -0,0 +1,229 @@
+import ExcelJS from "exceljs"
+import { provenanceColumns } from "./provenance.js"
+
+// Content type and file extension of each export format
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: {
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+  jsonl: { contentType: "application/x-ndjson; charset=utf-8", extension: "jsonl" },
+  vcf: { contentType: "text/vcard; charset=utf-8", extension: "vcf" },
+}
+
+// Field names recognised as contact details when building vCards
+const VCARD_FIELDS = {
+  name: /^(full_?)?name$|breeder|company|business|organi[sz]ation|contact/i,
+  phone: /phone|mobile|tel|cell/i,
+  email: /e-?mail/i,
+  url: /url|website|link|homepage/i,
+  location: /location|address|city|region|state/i,
+  // Added by normalization when a location is parsed
+  city: /^city$/,
+  state: /^state$/,
+  country: /^country$/,
+}
+
+/**
+ * Collects the column names of a list of records, in first-seen order. Metadata fields
+ * (starting with "_", like the raw values kept by normalization) are left out
+ * @param {Array<Object>} records - Scraped records
+ * @returns {Array<string>} - Column names
+ */
+export function getColumns(records) {
+  const columns = new Set()
+  records.forEach((record) => Object.keys(record).forEach((key) => !key.startsWith("_") && columns.add(key)))
+  return Array.from(columns)
+}
+
+/**
+ * Lays records out as spreadsheet rows: their fields, then where each was scraped
+ * @param {Array<Object>} records - Scraped records
+ * @returns {Object} - { columns, rows }
+ */
+function tabulate(records) {
+  const rows = records.map((record) => ({ ...record, ...provenanceColumns(record) }))
+  return { columns: getColumns(rows), rows }
+}
+
+/**
+ * Converts a value to a string, treating null/undefined as empty
+ * @param {*} value - Cell value
+ * @returns {string} - String value
+ */
+function toText(value) {
+  if (value === null || value === undefined) return ""
+  return typeof value === "object" ? JSON.stringify(value) : String(value)
+}
+
+// Values starting with a formula character that are safe as they are: numbers and E.164 phone lists
+const SAFE_LEADING_SIGN = /^(-?\d+(\.\d+)?|\+\d+(, \+\d+)*|-)$/
+
+/**
+ * Escapes a CSV cell (RFC 4180) and neutralises spreadsheet formulas
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+function escapeCsv(value) {
+  let text = toText(value)
+  if (/^[=+\-@]/.test(text) && !SAFE_LEADING_SIGN.test(text)) {
+    text = `'${text}`
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Serializes records as CSV with a header row and the provenance columns. Prefixed with a BOM so Excel reads
+ * it as UTF-8
+ * @param {Array<Object>} records - Scraped records
+ * @returns {string} - CSV document
+ */
+export function toCsv(records) {
+  const { columns, rows } = tabulate(records)
+  const lines = [columns.map(escapeCsv).join(",")]
+  rows.forEach((record) => lines.push(columns.map((column) => escapeCsv(record[column])).join(",")))
+  return `\uFEFF${lines.join("\r\n")}\r\n`
+}
+
+/**
+ * Serializes records as JSON Lines, one record per line
+ * @param {Array<Object>} records - Scraped records
+ * @returns {string} - JSONL document
+ */
+export function toJsonLines(records) {
+  return records.map((record) => JSON.stringify(record)).join("\n") + (records.length > 0 ? "\n" : "")
+}
+
+/**
+ * Serializes records as an Excel workbook with one sheet, provenance columns included
+ * @param {Array<Object>} records - Scraped records
+ * @returns {Promise<Buffer>} - XLSX file contents
+ */
+export async function toXlsx(records) {
+  const workbook = new ExcelJS.Workbook()
+  const sheet = workbook.addWorksheet("Results")
+  const { columns, rows } = tabulate(records)
+
+  sheet.columns = columns.map((column) => ({ header: column, key: column, width: 24 }))
+  sheet.getRow(1).font = { bold: true }
+  sheet.views = [{ state: "frozen", ySplit: 1 }]
+  rows.forEach((record) => {
+    const row = {}
+    columns.forEach((column) => {
+      const value = record[column]
+      row[column] = typeof value === "number" ? value : toText(value)
+    })
+    sheet.addRow(row)
+  })
+
+  return Buffer.from(await workbook.xlsx.writeBuffer())
+}
+
+/**
+ * Escapes a vCard property value (RFC 6350 section 3.4)
+ * @param {*} value - Property value
+ * @returns {string} - Escaped value
+ */
+function escapeVCard(value) {
+  return toText(value).replace(/\\/g, "\\\\").replace(/\r?\n/g, "\\n").replace(/([,;])/g, "\\$1")
+}
+
+/**
+ * Picks the first filled-in value of a record whose key matches a pattern
+ * @param {Object} record - Scraped record
+ * @param {RegExp} pattern - Field name pattern
+ * @returns {string|null} - Value, or null when no field matches
+ */
+function pickField(record, pattern) {
+  const key = Object.keys(record).find((field) => pattern.test(field) && toText(record[field]).trim() !== "-")
+  const value = key ? toText(record[key]).trim() : ""
+  return value ? value : null
+}
+
+/**
+ * Builds the ADR property from a free-form location, e.g. "Austin, TX" or "Austin, TX, USA"
+ * @param {string} location - Location text
+ * @returns {string} - ADR property line
+ */
+function toAddress(location) {
+  const parts = location.split(",").map((part) => part.trim())
+  if (parts.length < 2) {
+    return `ADR;TYPE=WORK:;;;${escapeVCard(location)};;;`
+  }
+  const [city, region, ...country] = parts
+  return formatAddress(city, region, country.join(", "))
+}
+
+/**
+ * Formats the ADR property from its parts
+ * @param {string} city - Locality
+ * @param {string} region - State or region
+ * @param {string} country - Country
+ * @returns {string} - ADR property line
+ */
+function formatAddress(city, region, country) {
+  return `ADR;TYPE=WORK:;;;${escapeVCard(city)};${escapeVCard(region)};;${escapeVCard(country)}`
+}
+
+/**
+ * Serializes records as vCard 3.0 contacts. Name, phone, email, website and location are picked
+ * by field name; the remaining fields go into NOTE and the page the contact was scraped from into SOURCE
+ * @param {Array<Object>} records - Scraped records
+ * @returns {string} - VCF document
+ */
+export function toVCards(records) {
+  const cards = records.map((record, index) => {
+    const name = pickField(record, VCARD_FIELDS.name) || `Contact ${index + 1}`
+    const phone = pickField(record, VCARD_FIELDS.phone)
+    const email = pickField(record, VCARD_FIELDS.email)
+    const url = pickField(record, VCARD_FIELDS.url)
+    const location = pickField(record, VCARD_FIELDS.location)
+    const city = pickField(record, VCARD_FIELDS.city)
+    const state = pickField(record, VCARD_FIELDS.state)
+    const country = pickField(record, VCARD_FIELDS.country)
+
+    const lines = ["BEGIN:VCARD", "VERSION:3.0", `FN:${escapeVCard(name)}`, "N:;;;;", `ORG:${escapeVCard(name)}`]
+    if (phone) lines.push(`TEL;TYPE=WORK,VOICE:${escapeVCard(phone)}`)
+    if (email) lines.push(`EMAIL;TYPE=INTERNET:${escapeVCard(email)}`)
+    if (url) lines.push(`URL:${escapeVCard(url)}`)
+    if (city || state) {
+      lines.push(formatAddress(city || "", state || "", country || ""))
+    } else if (location) {
+      lines.push(toAddress(location))
+    }
+
+    const used = new Set([name, phone, email, url, location, city, state, country])
+    const notes = Object.entries(record)
+      .filter(([key, value]) => !key.startsWith("_") && !used.has(toText(value).trim()) && toText(value).trim() !== "-")
+      .map(([key, value]) => `${key}: ${toText(value)}`)
+    if (notes.length > 0) lines.push(`NOTE:${escapeVCard(notes.join("\n"))}`)
+    if (record._source) lines.push(`SOURCE:${escapeVCard(record._source.url)}`)
+
+    lines.push("END:VCARD")
+    return lines.join("\r\n")
+  })
+
+  return cards.length > 0 ? `${cards.join("\r\n")}\r\n` : ""
+}
+
+/**
+ * Serializes records in one of the export formats
+ * @param {Array<Object>} records - Scraped records
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {Promise<string|Buffer>} - File contents
+ */
+export async function exportRecords(records, format) {
+  switch (format) {
+    case "csv":
+      return toCsv(records)
+    case "xlsx":
+      return toXlsx(records)
+    case "jsonl":
+      return toJsonLines(records)
+    case "vcf":
+      return toVCards(records)
+    default:
+      throw new Error(`Unknown export format "${format}"`)
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * Selects the innermost element whose text holds a label, e.g. the <p> or <td> reading "Herd Size: 120"
+ * @param {string} label - Label text
+ * @returns {string} - CSS selector
+ */
+const labelled = (label) => `:contains("${label}"):not(:has(:contains("${label}")))`
+
+/**
+ * Extractor for a breeder's detail page in the Hereford directory, e.g.
+ * https://herefordsondemand.com/find-a-breeder-detail/84050/. The page is one
+ * record; values are read from their labels so the layout around them can change.
+ */
+export default {
+  name: "hereford-breeder-detail",
+  description: "Hereford breeder detail page (email, website, herd size, prefix)",
+  rowSelector: "html",
+  fields: {
+    email: { selector: "a[href^='mailto:']", attribute: "href", regex: /^mailto:([^?]+)/i },
+    website: { selector: labelled("Website"), regex: /Website:?\s*(\S+)/i, type: "url" },
+    herdSize: { selector: labelled("Herd Size"), regex: /Herd Size:?\s*([\d,]+)/i, type: "number" },
+    prefix: { selector: labelled("Prefix"), regex: /Prefix:?\s*(.+)/i },
+  },
+}
@@ -0,0 +1,36 @@
+/**
+ * Extractor for the Hereford breeder directory (herefordsondemand.com).
+ * The directory is a plain table with name, phone and location in the first
+ * three cells of every row, 25 rows per page and a "Showing x to y of N entries"
+ * footer. Each breeder's name links to a detail page with more about them.
+ */
+export default {
+  name: "hereford-breeders",
+  description: "Hereford breeder directory (name, phone, location)",
+  match: {
+    hostnames: ["herefordsondemand.com"],
+  },
+  rowSelector: "table tr",
+  skipRows: 1, // Header row
+  cellSelector: "td",
+  minCells: 3,
+  fields: {
+    name: { cell: 0, type: "name" },
+    phone: { cell: 1, type: "phone" },
+    location: { cell: 2, type: "location" },
+  },
+  pagination: {
+    strategy: "query",
+    param: "page",
+    perPage: 25,
+  },
+  totalCount: {
+    selector: "body",
+    pattern: /Showing .* of (\d+) entries/,
+  },
+  // Followed when a scrape asks for details
+  detail: {
+    linkSelector: "a[href*='find-a-breeder-detail']",
+    extractor: "hereford-breeder-detail",
+  },
+}
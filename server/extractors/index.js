@@ -0,0 +1,131 @@
+import fs from "fs/promises"
+import path from "path"
+import { pathToFileURL } from "url"
+import hereford from "./hereford.js"
+import herefordDetail from "./hereford-detail.js"
+
+// Registered extractors, in match priority order
+const extractors = []
+
+// Used when no registered extractor matches a URL
+const DEFAULT_EXTRACTOR = "hereford-breeders"
+
+/**
+ * Validates and registers a site extractor
+ * @param {Object} extractor - Extractor definition (see hereford.js for the shape)
+ * @returns {Object} - The registered extractor
+ */
+export function registerExtractor(extractor) {
+  if (!extractor || !extractor.name) {
+    throw new Error("Extractor must have a name")
+  }
+  if (!extractor.rowSelector && extractor.pagination?.strategy !== "json") {
+    throw new Error(`Extractor "${extractor.name}" must declare a rowSelector`)
+  }
+  if (!extractor.fields || Object.keys(extractor.fields).length === 0) {
+    throw new Error(`Extractor "${extractor.name}" must declare at least one field`)
+  }
+
+  // Re-registering a name replaces the previous definition
+  const existingIndex = extractors.findIndex((item) => item.name === extractor.name)
+  if (existingIndex !== -1) {
+    extractors.splice(existingIndex, 1, extractor)
+  } else {
+    extractors.push(extractor)
+  }
+
+  return extractor
+}
+
+/**
+ * Checks whether an extractor's match rules accept a URL
+ * @param {Object} extractor - Extractor definition
+ * @param {URL} parsedUrl - The URL to test
+ * @returns {boolean} - True if the extractor handles this URL
+ */
+function matchesUrl(extractor, parsedUrl) {
+  const { match } = extractor
+  if (!match) return false
+
+  const hostname = parsedUrl.hostname.toLowerCase().replace(/^www\./, "")
+  const hostnameMatches =
+    !match.hostnames ||
+    match.hostnames.some((host) => hostname === host || hostname.endsWith(`.${host}`))
+  const patternMatches = !match.pattern || match.pattern.test(parsedUrl.href)
+
+  return hostnameMatches && patternMatches && Boolean(match.hostnames || match.pattern)
+}
+
+/**
+ * Returns a registered extractor by name
+ * @param {string} name - Extractor name
+ * @returns {Object|undefined} - The extractor, if registered
+ */
+export function getExtractor(name) {
+  return extractors.find((extractor) => extractor.name === name)
+}
+
+/**
+ * Finds the registered extractor whose match rules accept a URL
+ * @param {string} url - The URL to be scraped
+ * @returns {Object|null} - The matching extractor, or null if none matches
+ */
+export function matchExtractor(url) {
+  let parsedUrl
+  try {
+    parsedUrl = new URL(url)
+  } catch {
+    return null
+  }
+
+  return extractors.find((extractor) => matchesUrl(extractor, parsedUrl)) || null
+}
+
+/**
+ * Finds the extractor for a URL, falling back to the default extractor
+ * @param {string} url - The URL to be scraped
+ * @returns {Object} - The matching extractor
+ */
+export function findExtractor(url) {
+  return matchExtractor(url) || getExtractor(DEFAULT_EXTRACTOR)
+}
+
+/**
+ * Lists registered extractors without their implementation details
+ * @returns {Array} - Name, description, match rules and fields of each extractor
+ */
+export function listExtractors() {
+  return extractors.map((extractor) => ({
+    name: extractor.name,
+    description: extractor.description || "",
+    hostnames: extractor.match?.hostnames || [],
+    pattern: extractor.match?.pattern ? String(extractor.match.pattern) : null,
+    fields: Object.keys(extractor.fields),
+  }))
+}
+
+/**
+ * Loads additional extractors from a directory of ES modules, each default-exporting
+ * an extractor definition (or an array of them)
+ * @param {string} dir - Directory to load from
+ * @returns {Promise<number>} - Number of extractors loaded
+ */
+export async function loadExtractors(dir) {
+  const files = (await fs.readdir(dir)).filter((file) => file.endsWith(".js") || file.endsWith(".mjs"))
+  let loaded = 0
+
+  for (const file of files) {
+    const module = await import(pathToFileURL(path.resolve(dir, file)).href)
+    const definitions = Array.isArray(module.default) ? module.default : [module.default]
+    definitions.forEach((definition) => {
+      registerExtractor(definition)
+      loaded++
+    })
+  }
+
+  return loaded
+}
+
+// Built-in extractors
+registerExtractor(hereford)
+registerExtractor(herefordDetail)
@@ -0,0 +1,54 @@
+import fs from "fs/promises"
+import path from "path"
+import crypto from "crypto"
+
+/**
+ * On-disk HTTP cache keyed by URL and Accept header. Entries keep the validators (ETag and
+ * Last-Modified) a server sent, so the next fetch can be a conditional request that the server
+ * answers with 304 Not Modified instead of the whole page
+ * @param {Object} options - Cache options
+ * @param {string} options.dir - Directory holding the cache files
+ * @returns {Object} - { read(url, accept), write(url, accept, entry) }
+ */
+export function createHttpCache({ dir }) {
+  const fileFor = (url, accept) =>
+    path.join(dir, `${crypto.createHash("sha256").update(`${accept}\n${url}`).digest("hex")}.json`)
+
+  const write = async (url, accept, entry) => {
+    try {
+      await fs.mkdir(dir, { recursive: true })
+      // Write then rename so a crash never leaves a half-written entry
+      const file = fileFor(url, accept)
+      const tempFile = `${file}.${process.pid}.tmp`
+      await fs.writeFile(tempFile, JSON.stringify({ ...entry, url, storedAt: new Date().toISOString() }))
+      await fs.rename(tempFile, file)
+    } catch (error) {
+      console.error(`❌ Error caching ${url}:`, error.message)
+    }
+  }
+
+  return {
+    /**
+     * Reads the cached response for a URL
+     * @param {string} url - URL
+     * @param {string} accept - Accept header of the request
+     * @returns {Promise<Object|null>} - { body, etag, lastModified, storedAt }, or null when not cached
+     */
+    async read(url, accept) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(url, accept), "utf8"))
+      } catch (error) {
+        if (error.code !== "ENOENT") console.error(`❌ Error reading the cache of ${url}:`, error.message)
+        return null
+      }
+    },
+
+    /**
+     * Stores a response that carries a validator
+     * @param {string} url - URL
+     * @param {string} accept - Accept header of the request
+     * @param {Object} entry - { body, etag, lastModified }
+     */
+    write,
+  }
+}
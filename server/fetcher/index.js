@@ -0,0 +1,380 @@
+import fetch from "node-fetch"
+import { setTimeout as sleep } from "timers/promises"
+import { createHttpCache } from "./cache.js"
+import { findRobotsGroup, isAllowed, parseRobots } from "./robots.js"
+import { createUrlPolicy } from "./policy.js"
+
+export const DEFAULT_USER_AGENT = "scraping-ai-chat/1.0 (+https://github.com/Amdsnk/scraping-ai-chat)"
+
+// Statuses that mean "try again later" rather than "this page is wrong"
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504]
+
+// Redirects are followed by hand, so every hop goes through the URL policy
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308]
+const MAX_REDIRECTS = 5
+
+// First backoff delay, doubled on each retry
+const BASE_BACKOFF_MS = 1000
+
+// Longest wait between two attempts, whether from backoff or Retry-After
+const MAX_RETRY_DELAY_MS = 30 * 1000
+
+// How long a robots.txt is trusted, and how long a failure to load one blocks the site
+const ROBOTS_TTL_MS = 24 * 60 * 60 * 1000
+const ROBOTS_ERROR_TTL_MS = 10 * 60 * 1000
+
+// Applies when robots.txt can't be loaded because the server is failing: crawl nothing
+const DISALLOW_ALL = { agents: ["*"], rules: [{ allow: false, path: "/" }], crawlDelay: null }
+
+/**
+ * Reads a Retry-After header, given either in seconds or as an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Delay in milliseconds, or null when absent or unreadable
+ */
+function parseRetryAfter(value) {
+  if (!value) return null
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000
+  const time = Date.parse(value)
+  return Number.isNaN(time) ? null : Math.max(0, time - Date.now())
+}
+
+/**
+ * Delay before a retry: exponential, with jitter so parallel crawls don't retry in lockstep
+ * @param {number} attempt - 0 for the first retry
+ * @returns {number} - Delay in milliseconds
+ */
+function backoff(attempt) {
+  const delay = BASE_BACKOFF_MS * 2 ** attempt
+  return Math.min(MAX_RETRY_DELAY_MS, delay / 2 + Math.random() * (delay / 2))
+}
+
+/**
+ * Reads a numeric setting, keeping 0 but falling back on missing or invalid values
+ * @param {string|undefined} value - Environment variable
+ * @param {number} fallback - Default
+ * @returns {number} - The setting
+ */
+function numberSetting(value, fallback) {
+  const number = Number(value)
+  return value === undefined || value === "" || !Number.isFinite(number) || number < 0 ? fallback : number
+}
+
+/**
+ * Creates the fetch layer used for every page the scraper loads. It applies the URL policy to every URL and
+ * redirect, identifies itself honestly, obeys robots.txt (including Crawl-delay), limits concurrent requests
+ * and their rate per host, times requests out, retries 429 and 5xx answers with backoff, and revalidates
+ * cached pages with ETag / Last-Modified so unchanged pages cost a 304
+ * @param {Object} [options] - Fetcher options, each defaulting to its environment variable
+ * @param {string} [options.userAgent] - User-Agent header; its product token is matched against robots.txt
+ * @param {number} [options.timeoutMs] - Time allowed for one attempt, body included
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.hostConcurrency] - Requests in flight per host
+ * @param {number} [options.hostIntervalMs] - Minimum time between request starts on one host
+ * @param {boolean} [options.respectRobots] - Obey robots.txt
+ * @param {string|null} [options.cacheDir] - Directory of the HTTP cache, or null to disable it
+ * @param {Object} [options.policy] - URL policy from createUrlPolicy
+ * @returns {Object} - { userAgent, checkUrl(url), checkAllowed(url, { signal }), fetchText(url, { accept, signal }),
+ *   fetchForBrowser(url, { method, headers, body }) }
+ */
+export function createFetcher({
+  userAgent = process.env.SCRAPER_USER_AGENT || DEFAULT_USER_AGENT,
+  timeoutMs = numberSetting(process.env.FETCH_TIMEOUT_MS, 10000),
+  retries = numberSetting(process.env.FETCH_RETRIES, 3),
+  hostConcurrency = Math.max(1, numberSetting(process.env.HOST_CONCURRENCY, 2)),
+  hostIntervalMs = numberSetting(process.env.HOST_INTERVAL_MS, 1000),
+  respectRobots = process.env.RESPECT_ROBOTS_TXT !== "false",
+  cacheDir = process.env.HTTP_CACHE === "false" ? null : process.env.HTTP_CACHE_DIR || "./data/http-cache",
+  policy = createUrlPolicy(),
+} = {}) {
+  const cache = cacheDir ? createHttpCache({ dir: cacheDir }) : null
+  const hosts = new Map() // host => { active, waiting, nextStartAt }
+  const robots = new Map() // origin => { group: Promise, expiresAt }
+
+  /**
+   * Waits for a free slot on a host and for its rate limit
+   * @returns {Promise<Function>} - Releases the slot
+   */
+  const acquire = async (host, intervalMs, signal) => {
+    if (!hosts.has(host)) hosts.set(host, { active: 0, waiting: [], nextStartAt: 0 })
+    const state = hosts.get(host)
+    while (state.active >= hostConcurrency) {
+      await new Promise((resolve) => state.waiting.push(resolve))
+    }
+    state.active++
+    const release = () => {
+      state.active--
+      state.waiting.shift()?.()
+    }
+
+    // Reserve the next start time before waiting, so concurrent requests queue up behind each other
+    const startAt = Math.max(Date.now(), state.nextStartAt)
+    state.nextStartAt = startAt + intervalMs
+    try {
+      if (startAt > Date.now()) await sleep(startAt - Date.now(), undefined, { signal })
+    } catch (error) {
+      release()
+      throw error
+    }
+    return release
+  }
+
+  /**
+   * Reads a response body, giving up once it is larger than the policy allows
+   * @returns {Promise<Buffer>} - The body's bytes
+   */
+  const readBytes = async (url, response) => {
+    policy.checkSize(url, Number(response.headers.get("content-length")) || 0)
+    if (!response.body) return Buffer.alloc(0)
+    const chunks = []
+    let size = 0
+    for await (const chunk of response.body) {
+      size += chunk.length
+      policy.checkSize(url, size)
+      chunks.push(chunk)
+    }
+    return Buffer.concat(chunks)
+  }
+
+  /**
+   * Reads a response body as text, giving up once it is larger than the policy allows
+   * @returns {Promise<string>} - The body
+   */
+  const readBody = async (url, response) => new TextDecoder().decode(await readBytes(url, response))
+
+  /**
+   * Sends a request, retrying network errors and RETRY_STATUSES. Redirects are returned, not followed
+   * @returns {Promise<Object>} - { status, statusText, headers, body } of the last attempt
+   */
+  const request = async (url, { headers, signal, intervalMs }) => {
+    const { host } = new URL(url)
+    for (let attempt = 0; ; attempt++) {
+      const release = await acquire(host, intervalMs, signal)
+      const timeout = AbortSignal.timeout(timeoutMs)
+      let response
+      let body
+      let failure = null
+      try {
+        response = await fetch(url, {
+          headers: { "User-Agent": userAgent, ...headers },
+          signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+          redirect: "manual",
+          agent: (parsedUrl) => policy.agent(parsedUrl),
+        })
+        body = await readBody(url, response)
+      } catch (error) {
+        if (signal?.aborted || error.code === "URL_BLOCKED") throw error
+        failure = timeout.aborted ? new Error(`Timed out after ${timeoutMs}ms fetching ${url}`) : error
+      } finally {
+        release()
+      }
+
+      if (failure) {
+        if (attempt >= retries) throw failure
+        const delay = backoff(attempt)
+        console.log(`Retrying ${url} in ${Math.round(delay)}ms: ${failure.message}`)
+        await sleep(delay, undefined, { signal })
+        continue
+      }
+      if (!RETRY_STATUSES.includes(response.status) || attempt >= retries) {
+        return { status: response.status, statusText: response.statusText, headers: response.headers, body }
+      }
+      const retryAfter = parseRetryAfter(response.headers.get("retry-after"))
+      if (retryAfter !== null && retryAfter > MAX_RETRY_DELAY_MS) {
+        throw new Error(`${url} answered ${response.status} and asks to wait ${Math.ceil(retryAfter / 1000)}s`)
+      }
+      const delay = retryAfter ?? backoff(attempt)
+      console.log(`Retrying ${url} in ${Math.round(delay)}ms after ${response.status}`)
+      await sleep(delay, undefined, { signal })
+    }
+  }
+
+  /**
+   * Sends a request and follows its redirects, checking each new URL against the policy first
+   * @param {string} url - URL to request
+   * @param {Object} options - { headers, signal, intervalFor(url) => Promise<number> }; conditional headers
+   *   are only sent to the first URL
+   * @returns {Promise<Object>} - { status, statusText, headers, body, url } of the final response
+   */
+  const requestFollowing = async (url, { headers, conditional = {}, signal, intervalFor }) => {
+    let target = url
+    for (let redirects = 0; ; redirects++) {
+      const intervalMs = await intervalFor(target)
+      const response = await request(target, {
+        headers: redirects === 0 ? { ...headers, ...conditional } : headers,
+        signal,
+        intervalMs,
+      })
+      const location = REDIRECT_STATUSES.includes(response.status) && response.headers.get("location")
+      if (!location) {
+        return { ...response, url: target }
+      }
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error(`Too many redirects fetching ${url}`)
+      }
+      target = new URL(location, target).href
+      await policy.check(target)
+    }
+  }
+
+  /**
+   * Loads the robots.txt group that applies to us on an origin. A missing robots.txt (4xx) allows
+   * everything; an unreachable one (5xx or network error) disallows everything for a while
+   * @returns {Promise<Object>} - { group, ttl }; group is null when nothing applies to us
+   */
+  const loadRobots = async (origin, signal) => {
+    try {
+      const response = await requestFollowing(`${origin}/robots.txt`, {
+        headers: { Accept: "text/plain,*/*" },
+        signal,
+        intervalFor: async () => hostIntervalMs,
+      })
+      if (response.status >= 500) {
+        console.error(`❌ robots.txt of ${origin} answered ${response.status}, not crawling it for now`)
+        return { group: DISALLOW_ALL, ttl: ROBOTS_ERROR_TTL_MS }
+      }
+      const group = response.status < 300 ? findRobotsGroup(parseRobots(response.body), userAgent) : null
+      return { group, ttl: ROBOTS_TTL_MS }
+    } catch (error) {
+      if (signal?.aborted) throw error
+      // A robots.txt redirecting somewhere we may not go is as good as none
+      if (error.code === "URL_BLOCKED") return { group: null, ttl: ROBOTS_TTL_MS }
+      console.error(`❌ Could not load robots.txt of ${origin}:`, error.message)
+      return { group: DISALLOW_ALL, ttl: ROBOTS_ERROR_TTL_MS }
+    }
+  }
+
+  const getRobotsGroup = async (origin, signal) => {
+    const cached = robots.get(origin)
+    if (cached && cached.expiresAt > Date.now()) return cached.group
+
+    // Share one load between the requests that need it
+    const group = loadRobots(origin, signal).then(({ group, ttl }) => {
+      robots.set(origin, { group: Promise.resolve(group), expiresAt: Date.now() + ttl })
+      return group
+    })
+    robots.set(origin, { group, expiresAt: Infinity })
+    try {
+      return await group
+    } catch (error) {
+      robots.delete(origin)
+      throw error
+    }
+  }
+
+  /**
+   * Checks a URL against robots.txt
+   * @returns {Promise<Object|null>} - The robots.txt group that applies, for its Crawl-delay
+   * @throws {Error} - With code "ROBOTS_DISALLOWED" when the URL may not be fetched
+   */
+  const allowedGroup = async (url, signal) => {
+    if (!respectRobots) return null
+    const { origin } = new URL(url)
+    const group = await getRobotsGroup(origin, signal)
+    if (!isAllowed(group, url)) {
+      const error = new Error(`robots.txt of ${origin} disallows ${url}`)
+      error.code = "ROBOTS_DISALLOWED"
+      throw error
+    }
+    return group
+  }
+
+  return {
+    userAgent,
+
+    /**
+     * Checks a URL against the URL policy, e.g. for the requests a page makes in a browser
+     * @param {string} url - URL about to be loaded
+     * @throws {Error} - With code "URL_BLOCKED" when the policy rejects it
+     */
+    async checkUrl(url) {
+      await policy.check(url)
+    },
+
+    /**
+     * Checks that the URL policy and robots.txt allow a URL, for pages loaded some other way, like in a browser
+     * @param {string} url - URL about to be loaded
+     * @param {Object} [options] - { signal }
+     * @throws {Error} - With code "URL_BLOCKED" when the policy rejects the URL, or "ROBOTS_DISALLOWED" when
+     *   robots.txt does
+     */
+    async checkAllowed(url, { signal } = {}) {
+      await policy.check(url)
+      await allowedGroup(url, signal)
+    },
+
+    /**
+     * Sends one request of a browser tab through the URL policy: the URL is checked, and the connection is only
+     * made to the addresses checked as it opens, so a host that resolves differently the second time can't
+     * reach a private address. Redirects are returned, not followed; the tab checks each hop. Host limits and
+     * retries don't apply, as the page's own requests are already paced by the browser
+     * @param {string} url - URL to request
+     * @param {Object} [options] - Request as the browser made it
+     * @param {string} [options.method] - HTTP method
+     * @param {Object} [options.headers] - Request headers
+     * @param {Buffer|null} [options.body] - Request body
+     * @returns {Promise<Object>} - { status, headers, body } with the headers as name => list of values and the
+     *   body as a Buffer
+     * @throws {Error} - With code "URL_BLOCKED" when the policy rejects the URL or the response size, or when the
+     *   request fails or times out
+     */
+    async fetchForBrowser(url, { method = "GET", headers = {}, body = null } = {}) {
+      await policy.check(url)
+      const response = await fetch(url, {
+        method,
+        headers: { ...headers, "user-agent": userAgent },
+        body: ["GET", "HEAD"].includes(method) ? undefined : body || undefined,
+        signal: AbortSignal.timeout(timeoutMs),
+        redirect: "manual",
+        agent: (parsedUrl) => policy.agent(parsedUrl),
+      })
+      return { status: response.status, headers: response.headers.raw(), body: await readBytes(url, response) }
+    },
+
+    /**
+     * Fetches a URL's body as text
+     * @param {string} url - URL to fetch
+     * @param {Object} [options] - Request options
+     * @param {string} [options.accept] - Value of the Accept header
+     * @param {AbortSignal} [options.signal] - Cancels the request, including waits and retries
+     * @returns {Promise<string>} - The response body
+     * @throws {Error} - When the URL policy rejects the URL, a redirect or the response (error.code is "URL_BLOCKED"),
+     *   robots.txt disallows the URL ("ROBOTS_DISALLOWED"), the request times out or fails after its retries,
+     *   or the server does not answer with a 2xx status
+     */
+    async fetchText(url, { accept = "*/*", signal } = {}) {
+      await policy.check(url)
+
+      const cached = cache ? await cache.read(url, accept) : null
+      const conditional = {}
+      if (cached?.etag) conditional["If-None-Match"] = cached.etag
+      if (cached?.lastModified) conditional["If-Modified-Since"] = cached.lastModified
+
+      // Every hop of a redirect has to be allowed by robots.txt, and waits for its host's Crawl-delay
+      const response = await requestFollowing(url, {
+        headers: { Accept: accept },
+        conditional,
+        signal,
+        intervalFor: async (target) => {
+          const group = await allowedGroup(target, signal)
+          return Math.max(hostIntervalMs, (group?.crawlDelay || 0) * 1000)
+        },
+      })
+      if (response.status === 304 && cached) {
+        console.log(`✅ ${url} not modified, using the cached copy`)
+        return cached.body
+      }
+      if (response.status < 200 || response.status >= 300) {
+        throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`)
+      }
+      policy.checkContentType(response.url, response.headers.get("content-type"))
+
+      const etag = response.headers.get("etag")
+      const lastModified = response.headers.get("last-modified")
+      const noStore = /no-store/i.test(response.headers.get("cache-control") || "")
+      if (cache && (etag || lastModified) && !noStore) {
+        await cache.write(url, accept, { body: response.body, etag, lastModified })
+      }
+      return response.body
+    },
+  }
+}
@@ -0,0 +1,213 @@
+import dns from "dns"
+import http from "http"
+import https from "https"
+import net from "net"
+
+// Content types scraped by default; "+json" and "+xml" types count as JSON and XML
+const DEFAULT_CONTENT_TYPES = [
+  "text/html",
+  "application/xhtml+xml",
+  "application/json",
+  "application/xml",
+  "text/xml",
+  "text/plain",
+]
+
+// Addresses no scrape may reach unless ALLOW_PRIVATE_NETWORKS is set: the container's own services,
+// the cloud metadata endpoint (169.254.169.254) and the private network around it
+const BLOCKED_RANGES = [
+  ["0.0.0.0", 8, "ipv4", "unspecified"],
+  ["10.0.0.0", 8, "ipv4", "private"],
+  ["100.64.0.0", 10, "ipv4", "carrier-grade NAT"],
+  ["127.0.0.0", 8, "ipv4", "loopback"],
+  ["169.254.0.0", 16, "ipv4", "link-local"],
+  ["172.16.0.0", 12, "ipv4", "private"],
+  ["192.0.0.0", 24, "ipv4", "reserved"],
+  ["192.168.0.0", 16, "ipv4", "private"],
+  ["198.18.0.0", 15, "ipv4", "reserved"],
+  ["224.0.0.0", 4, "ipv4", "multicast"],
+  ["240.0.0.0", 4, "ipv4", "reserved"],
+  ["::", 128, "ipv6", "unspecified"],
+  ["::1", 128, "ipv6", "loopback"],
+  ["fc00::", 7, "ipv6", "private"],
+  ["fec0::", 10, "ipv6", "private"],
+  ["fe80::", 10, "ipv6", "link-local"],
+  ["ff00::", 8, "ipv6", "multicast"],
+].map(([address, prefix, type, label]) => {
+  const list = new net.BlockList()
+  list.addSubnet(address, prefix, type)
+  return { list, type, label }
+})
+
+/**
+ * Error for a URL or response the policy rejects
+ * @param {string} rule - Rule that rejected it
+ * @param {string} reason - What was wrong
+ * @returns {Error} - Error with code "URL_BLOCKED" and the rule
+ */
+function blocked(rule, reason) {
+  const error = new Error(`URL policy (${rule}): ${reason}`)
+  error.code = "URL_BLOCKED"
+  error.rule = rule
+  return error
+}
+
+/**
+ * Finds the IPv4 address inside an IPv4-mapped (::ffff:a.b.c.d) or NAT64 (64:ff9b::a.b.c.d) IPv6 address
+ * @param {string} address - IPv6 address
+ * @returns {string|null} - The IPv4 address, or null
+ */
+function embeddedIPv4(address) {
+  const dotted = /^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/i.exec(address)
+  if (dotted) return dotted[1]
+  const hex = /^(?:::ffff:|64:ff9b::)([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address)
+  if (!hex) return null
+  const high = Number.parseInt(hex[1], 16)
+  const low = Number.parseInt(hex[2], 16)
+  return [high >> 8, high & 255, low >> 8, low & 255].join(".")
+}
+
+/**
+ * Tells whether an address is in a blocked range
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {string|null} - Label of the range, e.g. "loopback", or null for a public address
+ */
+export function blockedRange(address) {
+  const ipv4 = net.isIPv4(address) ? address : embeddedIPv4(address)
+  const [target, type] = ipv4 ? [ipv4, "ipv4"] : [address, "ipv6"]
+  return BLOCKED_RANGES.find((range) => range.type === type && range.list.check(target, type))?.label || null
+}
+
+/**
+ * Reads a comma-separated list setting
+ * @param {string} value - Environment variable
+ * @returns {Array<string>} - Lowercased entries
+ */
+function listSetting(value) {
+  return value
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase().replace(/^\*\./, "").replace(/\.$/, ""))
+    .filter(Boolean)
+}
+
+/**
+ * Creates the URL policy that every page the scraper loads goes through. It blocks URLs whose host resolves
+ * to a loopback, private or link-local address (checked again at connection time, so DNS rebinding can't
+ * slip past the first check), applies the allow and deny lists, and caps response sizes and content types
+ * @param {Object} [options] - Policy options, each defaulting to its environment variable
+ * @param {Array<string>} [options.allowDomains] - Only these domains and their subdomains may be scraped;
+ *   any domain when empty
+ * @param {Array<string>} [options.denyDomains] - These domains and their subdomains may not be scraped
+ * @param {boolean} [options.allowPrivate] - Let scrapes reach private networks, e.g. for local test sites
+ * @param {number} [options.maxResponseBytes] - Largest response body accepted
+ * @param {Array<string>} [options.contentTypes] - Content types accepted
+ * @returns {Object} - { check(url), agent(url), checkSize(url, bytes), checkContentType(url, contentType) }
+ */
+export function createUrlPolicy({
+  allowDomains = listSetting(process.env.SCRAPE_ALLOW_DOMAINS || ""),
+  denyDomains = listSetting(process.env.SCRAPE_DENY_DOMAINS || ""),
+  allowPrivate = process.env.ALLOW_PRIVATE_NETWORKS === "true",
+  maxResponseBytes = Number(process.env.MAX_RESPONSE_BYTES) || 10 * 1024 * 1024,
+  contentTypes = process.env.ALLOWED_CONTENT_TYPES
+    ? listSetting(process.env.ALLOWED_CONTENT_TYPES)
+    : DEFAULT_CONTENT_TYPES,
+} = {}) {
+  const matches = (host, domain) => host === domain || host.endsWith(`.${domain}`)
+
+  /**
+   * Rejects addresses in blocked ranges
+   * @param {string} host - Host name, for the message
+   * @param {Array<string>} addresses - Addresses it resolved to
+   */
+  const checkAddresses = (host, addresses) => {
+    if (allowPrivate) return
+    for (const address of addresses) {
+      const range = blockedRange(address)
+      if (range) {
+        const where = address === host ? `${host} is` : `${host} resolves to ${address},`
+        throw blocked("private-address", `${where} a ${range} address`)
+      }
+    }
+  }
+
+  // Resolves like dns.lookup, then refuses to connect to blocked addresses
+  const lookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error)
+      try {
+        checkAddresses(hostname, Array.isArray(address) ? address.map((entry) => entry.address) : [address])
+      } catch (policyError) {
+        return callback(policyError)
+      }
+      callback(null, address, family)
+    })
+  }
+  const agents = { "http:": new http.Agent({ lookup }), "https:": new https.Agent({ lookup }) }
+
+  return {
+    /**
+     * Checks a URL before it is loaded: scheme, allow and deny lists, and the addresses its host resolves to
+     * @param {string} url - URL about to be loaded
+     * @throws {Error} - With code "URL_BLOCKED" and the rule that rejected the URL; DNS errors are thrown
+     *   as they are
+     */
+    async check(url) {
+      let parsed
+      try {
+        parsed = new URL(url)
+      } catch {
+        throw blocked("scheme", `${url} is not a valid URL`)
+      }
+      if (!["http:", "https:"].includes(parsed.protocol)) {
+        throw blocked("scheme", `only http and https URLs can be scraped, not ${parsed.protocol}`)
+      }
+
+      const host = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, "").replace(/\.$/, "")
+      if (denyDomains.some((domain) => matches(host, domain))) {
+        throw blocked("deny-list", `${host} is on the deny list`)
+      }
+      if (allowDomains.length > 0 && !allowDomains.some((domain) => matches(host, domain))) {
+        throw blocked("allow-list", `${host} is not on the allow list`)
+      }
+
+      if (allowPrivate) return
+      const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true })
+      checkAddresses(host, addresses.map(({ address }) => address))
+    },
+
+    /**
+     * HTTP agent for a request, whose connections re-check the addresses they connect to
+     * @param {URL} url - Parsed request URL
+     * @returns {Object} - http or https agent
+     */
+    agent(url) {
+      return agents[url.protocol]
+    },
+
+    /**
+     * Rejects a response body once it grows past the size limit
+     * @param {string} url - URL of the response
+     * @param {number} bytes - Size so far, or the announced Content-Length
+     * @throws {Error} - With code "URL_BLOCKED" when it is too large
+     */
+    checkSize(url, bytes) {
+      if (bytes > maxResponseBytes) {
+        throw blocked("max-size", `${url} is larger than the ${maxResponseBytes} bytes a page may have`)
+      }
+    },
+
+    /**
+     * Rejects responses of content types that aren't scraped, like images, PDFs or archives
+     * @param {string} url - URL of the response
+     * @param {string|null} contentType - Content-Type header; responses without one are accepted
+     * @throws {Error} - With code "URL_BLOCKED" when the type isn't accepted
+     */
+    checkContentType(url, contentType) {
+      if (!contentType) return
+      const type = contentType.split(";")[0].trim().toLowerCase()
+      const suffix = /\+(json|xml)$/.exec(type)?.[1]
+      if (contentTypes.includes(type) || (suffix && contentTypes.includes(`application/${suffix}`))) return
+      throw blocked("content-type", `${url} is ${type}, which isn't scraped`)
+    },
+  }
+}
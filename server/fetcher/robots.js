@@ -0,0 +1,121 @@
+// Rules read per group and the longest path pattern kept; a hostile robots.txt can't make every fetch of its
+// host slow. Rules past the limit and longer patterns are ignored
+const MAX_RULES_PER_GROUP = 1000
+const MAX_PATTERN_LENGTH = 500
+
+/**
+ * Parses a robots.txt file into the rules of each group of user agents
+ * @param {string} text - robots.txt body
+ * @returns {Array<Object>} - { agents: [], rules: [{ allow, path }], crawlDelay } per group
+ */
+export function parseRobots(text) {
+  const groups = []
+  let group = null
+  let readingAgents = false
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim()
+    const separator = line.indexOf(":")
+    if (separator < 0) continue
+    const key = line.slice(0, separator).trim().toLowerCase()
+    const value = line.slice(separator + 1).trim()
+
+    if (key === "user-agent") {
+      // Consecutive user-agent lines share one group
+      if (!readingAgents) {
+        group = { agents: [], rules: [], crawlDelay: null }
+        groups.push(group)
+      }
+      group.agents.push(value.toLowerCase())
+      readingAgents = true
+      continue
+    }
+    readingAgents = false
+    if (!group) continue
+
+    if (key === "allow" || key === "disallow") {
+      // An empty Disallow allows everything
+      if (value && value.length <= MAX_PATTERN_LENGTH && group.rules.length < MAX_RULES_PER_GROUP) {
+        group.rules.push({ allow: key === "allow", path: value })
+      }
+    } else if (key === "crawl-delay") {
+      const seconds = Number(value)
+      if (Number.isFinite(seconds) && seconds >= 0) group.crawlDelay = seconds
+    }
+  }
+  return groups
+}
+
+/**
+ * Picks the group that applies to a user agent: the one naming its product token, else the "*" group
+ * @param {Array<Object>} groups - Groups from parseRobots
+ * @param {string} userAgent - Full user agent, e.g. "scraping-ai-chat/1.0 (+https://...)"
+ * @returns {Object|null} - The group, or null when none applies
+ */
+export function findRobotsGroup(groups, userAgent) {
+  const token = userAgent.split("/")[0].trim().toLowerCase()
+  return (
+    groups.find((group) => group.agents.some((agent) => agent !== "*" && token.startsWith(agent))) ||
+    groups.find((group) => group.agents.includes("*")) ||
+    null
+  )
+}
+
+/**
+ * Decodes percent-escapes so "/caf%C3%A9" and "/café" compare equal; malformed escapes are kept as they are
+ * @param {string} text - Path
+ * @returns {string} - Decoded path
+ */
+function decodePath(text) {
+  try {
+    return decodeURIComponent(text)
+  } catch {
+    return text
+  }
+}
+
+/**
+ * Matches a path against a robots.txt path pattern, where `*` matches anything and `$` anchors the end. Each
+ * piece between wildcards is looked for left to right from where the previous one ended, as Google's robots
+ * matcher does, so the time taken grows with the lengths of the path and pattern rather than exponentially
+ * @param {string} pattern - Path pattern
+ * @param {string} path - Path with its query string
+ * @returns {boolean} - True when the pattern matches the start of the path, or all of it when anchored
+ */
+function matchesPattern(pattern, path) {
+  const anchored = pattern.endsWith("$")
+  const pieces = (anchored ? pattern.slice(0, -1) : pattern).split("*")
+  const first = pieces.shift()
+  if (!path.startsWith(first)) return false
+  if (pieces.length === 0) return !anchored || path.length === first.length
+
+  let position = first.length
+  const last = pieces.pop()
+  for (const piece of pieces) {
+    const found = path.indexOf(piece, position)
+    if (found < 0) return false
+    position = found + piece.length
+  }
+  // The last piece sits at the end of an anchored pattern, anywhere after the others otherwise
+  return anchored ? path.length - last.length >= position && path.endsWith(last) : path.includes(last, position)
+}
+
+/**
+ * Tells whether a group allows a URL. The longest matching rule wins, and Allow wins a tie
+ * @param {Object|null} group - Group from findRobotsGroup
+ * @param {string} url - URL to fetch
+ * @returns {boolean} - True when the URL may be fetched
+ */
+export function isAllowed(group, url) {
+  if (!group) return true
+  const { pathname, search } = new URL(url)
+  const target = `${decodePath(pathname)}${search}`
+
+  let best = null
+  for (const rule of group.rules) {
+    if (!matchesPattern(decodePath(rule.path), target)) continue
+    const longer = !best || rule.path.length > best.path.length
+    if (longer || (rule.path.length === best.path.length && rule.allow)) best = rule
+  }
+  return best ? best.allow : true
+}
@@ -0,0 +1,147 @@
+import * as cheerio from "cheerio"
+import { parseExtractionSchema, schemaToExtractor, FIELD_TYPES } from "./schema.js"
+import { extractRecords } from "./scraper.js"
+import { normalizeRecords } from "./normalize.js"
+
+// Outline budget sent to the model (characters)
+const MAX_OUTLINE_LENGTH = 12000
+
+// Elements that never hold records
+const NOISE_SELECTOR = "script, style, noscript, svg, iframe, link, meta, head, template"
+
+/**
+ * Describes an element as tag#id.class
+ * @param {Object} element - Cheerio element
+ * @returns {string} - Short element signature
+ */
+function describeElement(element) {
+  const id = element.attribs?.id ? `#${element.attribs.id}` : ""
+  const classes = (element.attribs?.class || "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 3)
+    .map((className) => `.${className}`)
+    .join("")
+  return `${element.tagName}${id}${classes}`
+}
+
+/**
+ * Builds a trimmed outline of the page structure: one line per element with its
+ * signature and a snippet of its own text, collapsing runs of similar siblings
+ * so repeating records show up as a couple of examples plus a count
+ * @param {string} html - Page HTML
+ * @returns {string} - Indented outline, capped at MAX_OUTLINE_LENGTH
+ */
+export function buildDomOutline(html) {
+  const $ = cheerio.load(html)
+  $(NOISE_SELECTOR).remove()
+
+  const lines = []
+  let length = 0
+
+  const walk = (element, depth) => {
+    if (length > MAX_OUTLINE_LENGTH || depth > 15) return
+
+    const ownText = $(element)
+      .contents()
+      .filter((_, node) => node.type === "text")
+      .text()
+      .replace(/\s+/g, " ")
+      .trim()
+    const href = element.attribs?.href ? ` [href=${element.attribs.href.slice(0, 60)}]` : ""
+    const line = `${"  ".repeat(depth)}${describeElement(element)}${href}${ownText ? ` "${ownText.slice(0, 50)}"` : ""}`
+    lines.push(line)
+    length += line.length + 1
+
+    // Show the first two of each run of identical siblings and summarize the rest
+    const children = $(element).children().toArray()
+    let index = 0
+    while (index < children.length) {
+      const signature = describeElement(children[index])
+      let runEnd = index
+      while (runEnd + 1 < children.length && describeElement(children[runEnd + 1]) === signature) runEnd++
+
+      const runLength = runEnd - index + 1
+      children.slice(index, index + Math.min(runLength, 2)).forEach((child) => walk(child, depth + 1))
+      if (runLength > 2) {
+        const summary = `${"  ".repeat(depth + 1)}... ${runLength - 2} more ${signature}`
+        lines.push(summary)
+        length += summary.length + 1
+      }
+      index = runEnd + 1
+    }
+  }
+
+  const body = $("body").get(0)
+  if (body) walk(body, 0)
+
+  return lines.join("\n").slice(0, MAX_OUTLINE_LENGTH)
+}
+
+const SYSTEM_PROMPT = `You design CSS extraction schemas for web scraping with cheerio.
+You will receive an outline of a web page: one element per line as tag#id.class, indented by depth, with a snippet of its text.
+Find the repeating records (table rows, cards, list items) that hold the page's main data and reply with JSON only:
+{
+  "rowSelector": "CSS selector matching one element per record",
+  "skipRows": 0,
+  "fields": {
+    "fieldName": { "selector": "CSS selector relative to the row", "attribute": "optional attribute name", "type": "one of ${FIELD_TYPES.join(", ")}" }
+  }
+}
+Use camelCase field names, only standard CSS selectors (no :contains), and set skipRows to 1 if the first matched row is a header.`
+
+/**
+ * Asks the model to propose an extraction schema for a page, retrying once with
+ * the validation errors if the first proposal is invalid
+ * @param {Object} llm - LLM adapter
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL
+ * @returns {Promise<Object>} - { schema, preview } on success or { errors } if no valid schema was produced
+ */
+export async function inferSchema(llm, html, url) {
+  const outline = buildDomOutline(html)
+  const messages = [
+    { role: "system", content: SYSTEM_PROMPT },
+    { role: "user", content: `Page URL: ${url}\n\nOutline:\n${outline}` },
+  ]
+
+  let errors = []
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const { content: reply } = await llm.chat({ messages, json: true })
+    let proposal
+    try {
+      proposal = JSON.parse(reply)
+    } catch {
+      errors = ["The model did not return valid JSON"]
+      messages.push({ role: "assistant", content: reply }, { role: "user", content: "Reply with valid JSON only." })
+      continue
+    }
+
+    const result = parseExtractionSchema(proposal)
+    if (result.errors) {
+      errors = result.errors
+      messages.push(
+        { role: "assistant", content: reply },
+        { role: "user", content: `That schema is invalid:\n${errors.join("\n")}\nReply with a corrected schema.` },
+      )
+      continue
+    }
+
+    // Run the proposal so the user can judge it by its output
+    const extractor = schemaToExtractor(result.schema)
+    const extracted = extractRecords(cheerio.load(html), extractor, url)
+    const records = normalizeRecords(extracted, extractor).map(({ id, ...rest }) => rest)
+    if (records.length === 0) {
+      errors = ["The proposed schema matched no records"]
+      messages.push(
+        { role: "assistant", content: reply },
+        { role: "user", content: "That rowSelector matched nothing on the page. Try again." },
+      )
+      continue
+    }
+
+    return { schema: result.schema, preview: records }
+  }
+
+  return { errors }
+}
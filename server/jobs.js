@@ -0,0 +1,204 @@
+import { EventEmitter } from "events"
+import { v4 as uuidv4 } from "uuid"
+
+// How many crawls run at once; the rest wait in the queue
+const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2
+
+// Finished jobs are forgotten after this long
+const JOB_RETENTION_MS = 60 * 60 * 1000 // 1 hour
+
+const FINISHED_STATUSES = ["completed", "failed", "cancelled"]
+
+const jobs = new Map()
+const queue = []
+let runningCount = 0
+
+// Emits "<jobId>" with { type: "page" | "done", ... } as jobs progress
+const jobEvents = new EventEmitter()
+jobEvents.setMaxListeners(0)
+
+/**
+ * Starts queued jobs while there is capacity
+ */
+function pump() {
+  while (runningCount < JOB_CONCURRENCY && queue.length > 0) {
+    const job = queue.shift()
+    if (job.status !== "queued") continue
+
+    runningCount++
+    runJob(job).finally(() => {
+      runningCount--
+      pump()
+    })
+  }
+}
+
+/**
+ * Runs one job to completion, recording its outcome
+ * @param {Object} job - Job record
+ */
+async function runJob(job) {
+  job.status = "running"
+  job.startedAt = new Date().toISOString()
+
+  try {
+    const outcome = await job.run(job, job.controller.signal)
+    job.results = outcome.results
+    job.lastPage = outcome.lastPage
+    job.dedupe = outcome.dedupe || null
+    job.detailPages = outcome.detailPages || null
+    job.status = job.controller.signal.aborted ? "cancelled" : "completed"
+  } catch (error) {
+    console.error(`❌ Job ${job.id} failed:`, error)
+    job.status = "failed"
+    job.error = error.message
+  } finally {
+    job.finishedAt = new Date().toISOString()
+    jobEvents.emit(job.id, { type: "done" })
+    setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref()
+  }
+}
+
+/**
+ * Queues a background job
+ * @param {Object} params - Public job details (sessionId, url, pageRange, ...)
+ * @param {Function} run - async (job, signal) => { results, lastPage, dedupe?, detailPages? }; should call recordPage
+ *   as it goes
+ * @returns {Object} - The job record
+ */
+export function enqueueJob(params, run) {
+  const job = {
+    ...params,
+    id: uuidv4(),
+    status: "queued",
+    pagesTotal: params.pageRange ? params.pageRange.end - params.pageRange.start + 1 : 1,
+    pagesDone: 0,
+    rowsCollected: 0,
+    errors: [],
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    results: null,
+    run,
+    controller: new AbortController(),
+  }
+
+  jobs.set(job.id, job)
+  queue.push(job)
+  pump()
+
+  return job
+}
+
+/**
+ * Records progress after a page has been scraped
+ * @param {Object} job - Job record
+ * @param {Object} progress - { page, rowsCollected, error }
+ */
+export function recordPage(job, { page, rowsCollected, error }) {
+  job.pagesDone++
+  job.rowsCollected = rowsCollected
+  if (error) {
+    job.errors.push({ page, message: error })
+  }
+  jobEvents.emit(job.id, { type: "page", page, error: error || null })
+}
+
+/**
+ * Subscribes to a job's page and completion events
+ * @param {string} id - Job ID
+ * @param {Function} listener - Called with { type: "page", page, error } or { type: "done" }
+ * @returns {Function} - Unsubscribes the listener
+ */
+export function subscribeToJob(id, listener) {
+  jobEvents.on(id, listener)
+  return () => jobEvents.off(id, listener)
+}
+
+/**
+ * Waits for a job to finish
+ * @param {string} id - Job ID
+ * @param {Function} [onPage] - Called with { type: "page", page, error } after every page
+ * @returns {Promise<Object|undefined>} - The finished job record
+ */
+export function waitForJob(id, onPage) {
+  const job = jobs.get(id)
+  if (!job || FINISHED_STATUSES.includes(job.status)) return Promise.resolve(job)
+
+  return new Promise((resolve) => {
+    const unsubscribe = subscribeToJob(id, (event) => {
+      if (event.type === "page") {
+        onPage?.(event)
+      } else if (event.type === "done") {
+        unsubscribe()
+        resolve(job)
+      }
+    })
+  })
+}
+
+/**
+ * Returns a job by ID
+ * @param {string} id - Job ID
+ * @returns {Object|undefined} - The job record
+ */
+export function getJob(id) {
+  return jobs.get(id)
+}
+
+/**
+ * Cancels a queued or running job; a running crawl stops before its next page
+ * @param {string} id - Job ID
+ * @returns {Object|undefined} - The job record, if it exists
+ */
+export function cancelJob(id) {
+  const job = jobs.get(id)
+  if (!job || FINISHED_STATUSES.includes(job.status)) return job
+
+  job.controller.abort()
+  if (job.status === "queued") {
+    job.status = "cancelled"
+    job.finishedAt = new Date().toISOString()
+    jobEvents.emit(job.id, { type: "done" })
+  }
+  return job
+}
+
+/**
+ * Serializes a job for API responses, with progress and an ETA based on the average page time
+ * @param {Object} job - Job record
+ * @returns {Object} - Public job status; results are included once the job has finished
+ */
+export function describeJob(job) {
+  let etaSeconds = null
+  if (job.status === "running" && job.pagesDone > 0) {
+    const elapsed = Date.now() - new Date(job.startedAt).getTime()
+    etaSeconds = Math.round(((elapsed / job.pagesDone) * (job.pagesTotal - job.pagesDone)) / 1000)
+  }
+
+  const finished = FINISHED_STATUSES.includes(job.status)
+  return {
+    id: job.id,
+    status: job.status,
+    sessionId: job.sessionId,
+    url: job.url,
+    pageRange: job.pageRange,
+    pagesDone: job.pagesDone,
+    pagesTotal: job.pagesTotal,
+    rowsCollected: job.rowsCollected,
+    errors: job.errors,
+    error: job.error || null,
+    etaSeconds,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    ...(finished
+      ? {
+          results: job.results || [],
+          lastPage: job.lastPage ?? null,
+          dedupe: job.dedupe ?? null,
+          detailPages: job.detailPages ?? null,
+        }
+      : {}),
+  }
+}
@@ -0,0 +1,288 @@
+import fs from "fs"
+import OpenAI from "openai"
+import { estimateTokens } from "./analysis.js"
+
+export const LLM_PROVIDERS = ["openai", "openai-compatible", "mock"]
+
+const DEFAULT_MODEL = "gpt-4o-mini"
+const DEFAULT_EMBEDDING_MODEL = "text-embedding-3-small"
+
+// Length of the vectors returned by the mock provider
+const MOCK_EMBEDDING_SIZE = 64
+
+// Characters of each tool result quoted in a default mock reply
+const MOCK_RESULT_PREVIEW = 300
+
+/**
+ * Counts the tokens of an exchange for providers that don't report usage, from its text
+ * @param {Array} messages - Messages sent
+ * @param {Object} reply - Assistant message received
+ * @returns {Object} - { promptTokens, completionTokens, totalTokens }
+ */
+function estimateUsage(messages, reply) {
+  const promptTokens = estimateTokens(JSON.stringify(messages))
+  const completionTokens = estimateTokens((reply.content || "") + JSON.stringify(reply.tool_calls || []))
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+}
+
+/**
+ * Reads the usage block of an OpenAI response
+ * @param {Object|undefined} usage - { prompt_tokens, completion_tokens, total_tokens }
+ * @returns {Object|null} - { promptTokens, completionTokens, totalTokens }, or null when the server sent none
+ */
+function readUsage(usage) {
+  if (!usage) return null
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || 0,
+  }
+}
+
+/**
+ * Counts the tokens of embedded texts for providers that don't report usage
+ * @param {Array<string>} texts - Texts embedded
+ * @returns {Object} - { promptTokens, completionTokens, totalTokens }
+ */
+function estimateEmbeddingUsage(texts) {
+  const promptTokens = texts.reduce((sum, text) => sum + estimateTokens(text || " "), 0)
+  return { promptTokens, completionTokens: 0, totalTokens: promptTokens }
+}
+
+/**
+ * Wraps an adapter so every chat completion and embedding reports its token usage, e.g. to charge it to an
+ * API key
+ * @param {Object} llm - LLM adapter
+ * @param {Function} onUsage - ({ promptTokens, completionTokens, totalTokens }) => void
+ * @returns {Object} - Adapter with the same interface
+ */
+export function withUsage(llm, onUsage) {
+  return {
+    ...llm,
+    chat: (request) => llm.chat({ ...request, onUsage }),
+    embed: (texts, options) => llm.embed(texts, { ...options, onUsage }),
+  }
+}
+
+/**
+ * Creates an LLM adapter. Every provider exposes the same interface, so callers never touch a vendor SDK
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.provider] - "openai", "openai-compatible" (Ollama, vLLM, LM Studio...) or "mock"
+ * @param {string} [options.model] - Chat model
+ * @param {string} [options.embeddingModel] - Embedding model
+ * @param {string} [options.apiKey] - API key; OpenAI-compatible servers often don't need one
+ * @param {string} [options.baseURL] - API base URL, required for "openai-compatible"
+ * @param {Array<Object>} [options.script] - Scripted responses for the mock provider, see createMockProvider
+ * @returns {Object} - { provider, model, chat(request), embed(texts, { model?, onUsage? }) }
+ */
+export function createLLM({
+  provider = "openai",
+  model = DEFAULT_MODEL,
+  embeddingModel = DEFAULT_EMBEDDING_MODEL,
+  apiKey,
+  baseURL,
+  script = [],
+} = {}) {
+  if (!LLM_PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown LLM provider: ${provider}. Use one of ${LLM_PROVIDERS.join(", ")}`)
+  }
+  if (provider === "mock") {
+    return { provider, model, ...createMockProvider(script) }
+  }
+  if (provider === "openai-compatible" && !baseURL) {
+    throw new Error("LLM_BASE_URL is required for the openai-compatible provider")
+  }
+
+  const client = new OpenAI({
+    apiKey: apiKey || (provider === "openai-compatible" ? "not-needed" : undefined),
+    ...(baseURL ? { baseURL } : {}),
+  })
+  return { provider, model, ...createOpenAIProvider(client, { model, embeddingModel }) }
+}
+
+/**
+ * Creates the adapter described by the LLM_* environment variables
+ * @returns {Object} - LLM adapter
+ */
+export function createLLMFromEnv() {
+  const provider = process.env.LLM_PROVIDER || "openai"
+  return createLLM({
+    provider,
+    model: process.env.LLM_MODEL || DEFAULT_MODEL,
+    embeddingModel: process.env.LLM_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL,
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+    baseURL: process.env.LLM_BASE_URL,
+    script:
+      provider === "mock" && process.env.LLM_MOCK_SCRIPT
+        ? JSON.parse(fs.readFileSync(process.env.LLM_MOCK_SCRIPT, "utf8"))
+        : [],
+  })
+}
+
+/**
+ * Chat and embeddings through the OpenAI SDK, for OpenAI itself and OpenAI-compatible servers
+ * @param {Object} client - OpenAI client
+ * @param {Object} defaults - { model, embeddingModel }
+ * @returns {Object} - { chat, embed }
+ */
+function createOpenAIProvider(client, { model: defaultModel, embeddingModel }) {
+  return {
+    /**
+     * Runs a chat completion
+     * @param {Object} request - Completion request
+     * @param {Array} request.messages - Chat messages
+     * @param {Array} [request.tools] - Tool definitions in OpenAI function format
+     * @param {boolean} [request.json] - Ask for a JSON object reply
+     * @param {string} [request.model] - Overrides the adapter's model
+     * @param {AbortSignal} [request.signal] - Stops the request
+     * @param {Function} [request.onToken] - Streams the reply when given
+     * @param {Function} [request.onUsage] - Receives { promptTokens, completionTokens, totalTokens } once done;
+     *   estimated from the text when the server doesn't report usage
+     * @returns {Promise<Object>} - The assistant message: { role, content, tool_calls? }
+     */
+    async chat({ messages, tools, json = false, model = defaultModel, signal, onToken, onUsage }) {
+      const params = {
+        model,
+        messages,
+        ...(tools?.length ? { tools } : {}),
+        ...(json ? { response_format: { type: "json_object" } } : {}),
+      }
+      if (!onToken) {
+        const completion = await client.chat.completions.create(params, { signal })
+        const message = completion.choices[0].message
+        onUsage?.(readUsage(completion.usage) || estimateUsage(messages, message))
+        return message
+      }
+
+      const completion = await client.chat.completions.create(
+        { ...params, stream: true, stream_options: { include_usage: true } },
+        { signal },
+      )
+      let content = ""
+      const toolCalls = []
+      let usage = null
+
+      for await (const chunk of completion) {
+        if (signal?.aborted) {
+          completion.controller.abort() // Client went away, stop paying for tokens
+          break
+        }
+        // The last chunk carries the usage of the whole completion
+        usage = readUsage(chunk.usage) || usage
+        const delta = chunk.choices[0]?.delta
+        if (delta?.content) {
+          content += delta.content
+          onToken(delta.content)
+        }
+        delta?.tool_calls?.forEach((part) => {
+          toolCalls[part.index] ||= { id: "", type: "function", function: { name: "", arguments: "" } }
+          const call = toolCalls[part.index]
+          if (part.id) call.id = part.id
+          if (part.function?.name) call.function.name += part.function.name
+          if (part.function?.arguments) call.function.arguments += part.function.arguments
+        })
+      }
+
+      const message = {
+        role: "assistant",
+        content: content || null,
+        ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}),
+      }
+      onUsage?.(usage || estimateUsage(messages, message))
+      return message
+    },
+
+    /**
+     * Embeds texts
+     * @param {Array<string>} texts - Texts to embed
+     * @param {Object} [options] - Embedding options
+     * @param {string} [options.model] - Overrides the adapter's embedding model
+     * @param {Function} [options.onUsage] - Receives { promptTokens, completionTokens, totalTokens }; estimated
+     *   from the texts when the server doesn't report usage
+     * @returns {Promise<Array<Array<number>>>} - One vector per text
+     */
+    async embed(texts, { model = embeddingModel, onUsage } = {}) {
+      const response = await client.embeddings.create({ model, input: texts.map((text) => text || " ") })
+      onUsage?.(readUsage(response.usage) || estimateEmbeddingUsage(texts))
+      return response.data.sort((a, b) => a.index - b.index).map(({ embedding }) => embedding)
+    },
+  }
+}
+
+/**
+ * Scripted, deterministic provider for tests and air-gapped environments. Each script entry is
+ * { match?, toolCalls?, content? }: the first entry whose `match` regex matches the latest user message
+ * (entries without one match anything) answers it, first with its tool calls when tools are offered and
+ * then, once the tool results are in, with its content. Without a matching entry the reply echoes the
+ * message or lists the tool results
+ * @param {Array<Object>} script - Scripted responses
+ * @returns {Object} - { chat, embed }
+ */
+function createMockProvider(script) {
+  const rules = script.map((rule) => ({ ...rule, pattern: rule.match ? new RegExp(rule.match, "i") : null }))
+
+  return {
+    async chat({ messages, tools, json = false, signal, onToken, onUsage }) {
+      const lastUserIndex = messages.findLastIndex((message) => message.role === "user")
+      const question = lastUserIndex >= 0 ? String(messages[lastUserIndex].content) : ""
+      const toolResults = messages.slice(lastUserIndex + 1).filter((message) => message.role === "tool")
+      const rule = rules.find(({ pattern }) => !pattern || pattern.test(question))
+
+      if (rule?.toolCalls?.length && tools?.length && toolResults.length === 0) {
+        const message = {
+          role: "assistant",
+          content: null,
+          tool_calls: rule.toolCalls.map(({ name, arguments: args = {} }, index) => ({
+            id: `mock_call_${messages.length}_${index}`,
+            type: "function",
+            function: { name, arguments: JSON.stringify(args) },
+          })),
+        }
+        onUsage?.(estimateUsage(messages, message))
+        return message
+      }
+
+      let content = rule?.content
+      if (content === undefined) {
+        if (json) {
+          content = "{}"
+        } else if (toolResults.length > 0) {
+          const calls = messages.flatMap((message) => message.tool_calls || [])
+          content = [
+            "Mock reply. Tool results:",
+            ...toolResults.map((result) => {
+              const name = calls.find((call) => call.id === result.tool_call_id)?.function.name || "tool"
+              return `- ${name}: ${String(result.content).slice(0, MOCK_RESULT_PREVIEW)}`
+            }),
+          ].join("\n")
+        } else {
+          content = `Mock reply to: ${question}`
+        }
+      }
+
+      if (onToken) {
+        for (const token of content.match(/\S+\s*|\s+/g) || []) {
+          if (signal?.aborted) break
+          onToken(token)
+        }
+      }
+      onUsage?.(estimateUsage(messages, { content }))
+      return { role: "assistant", content }
+    },
+
+    // Hashed bag of words, so similar texts get similar vectors without a model
+    async embed(texts, { onUsage } = {}) {
+      onUsage?.(estimateEmbeddingUsage(texts))
+      return texts.map((text) => {
+        const vector = new Array(MOCK_EMBEDDING_SIZE).fill(0)
+        const words = text.toLowerCase().match(/[a-z0-9]+/g) || []
+        words.forEach((word) => {
+          let hash = 0
+          for (const char of word) hash = (hash * 31 + char.charCodeAt(0)) >>> 0
+          vector[hash % MOCK_EMBEDDING_SIZE] += 1
+        })
+        return vector
+      })
+    },
+  }
+}
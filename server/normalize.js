@@ -0,0 +1,263 @@
+import { findState } from "./us-states.js"
+
+// Placeholder stored for empty or invalid cells
+export const EMPTY_VALUE = "-"
+
+// Field names normalized when the extractor doesn't declare a type for them
+const FIELD_KINDS = {
+  phone: /phone|mobile|^tel$|telephone|^cell|fax/i,
+  location: /location|address|^city_?state$|hometown/i,
+  name: /^(full_?)?name$|breeder|company|business|organi[sz]ation|ranch|farm/i,
+}
+
+// Words kept in capitals when title-casing
+const UPPERCASE_WORDS = new Set(["llc", "lp", "llp", "inc", "ii", "iii", "iv", "usa", "us", "dvm", "pc"])
+
+// Country names that mean the United States
+const US_NAMES = /^(u\.?s\.?a?\.?|united states( of america)?|america)$/i
+
+// Digit runs that may be phone numbers, with the usual separators
+const PHONE_CANDIDATE = /\+?\d[\d\s().\-]{5,}\d/g
+
+/**
+ * Tells whether a value is blank, i.e. missing or the empty placeholder
+ * @param {*} value - Field value
+ * @returns {boolean} - True for null, undefined, blank and "-"
+ */
+export function isBlank(value) {
+  return value === null || value === undefined || ["", EMPTY_VALUE].includes(String(value).trim())
+}
+
+/**
+ * Replaces blank values of a record with the empty placeholder
+ * @param {Object} record - Scraped record
+ * @returns {Object} - A copy with "-" for every blank value
+ */
+export function fillBlanks(record) {
+  return Object.fromEntries(
+    Object.entries(record).map(([key, value]) => [key, isBlank(value) && !key.startsWith("_") ? EMPTY_VALUE : value]),
+  )
+}
+
+/**
+ * Title-cases text that is all capitals or all lowercase; mixed case is taken as deliberate and kept
+ * @param {string} text - e.g. "DOUBLE R RANCH LLC"
+ * @returns {string} - e.g. "Double R Ranch LLC"
+ */
+export function titleCase(text) {
+  if (/[a-z]/.test(text) && /[A-Z]/.test(text)) return text
+
+  return text.toLowerCase().replace(/[\p{L}\d][\p{L}\d']*/gu, (word) => {
+    if (UPPERCASE_WORDS.has(word)) return word.toUpperCase()
+    return word
+      .replace(/^./, (char) => char.toUpperCase())
+      .replace(/^(Mc|O')(.)/, (_, prefix, char) => `${prefix}${char.toUpperCase()}`)
+  })
+}
+
+/**
+ * Converts one phone number to E.164. Numbers without a country code are taken as North American
+ * @param {string} candidate - Phone number text
+ * @returns {string|null} - e.g. "+18065550100", or null when it isn't a valid number
+ */
+function toE164(candidate) {
+  const digits = candidate.replace(/\D/g, "")
+  const international = candidate.trim().startsWith("+") || digits.startsWith("00")
+  if (international) {
+    const number = digits.replace(/^00/, "")
+    return /^[1-9]\d{7,14}$/.test(number) ? `+${number}` : null
+  }
+
+  const national = digits.length === 11 && digits.startsWith("1") ? digits.slice(1) : digits
+  return /^[2-9]\d{2}[2-9]\d{6}$/.test(national) ? `+1${national}` : null
+}
+
+/**
+ * Normalizes the phone numbers in a value to E.164; several numbers are kept comma-separated
+ * @param {string} text - Phone text, e.g. "(806) 555-0100" or "tel:806.555.0100 / 806.555.0111"
+ * @returns {Object} - { value, error? }
+ */
+export function normalizePhone(text) {
+  const candidates = text.replace(/^tel:/i, "").match(PHONE_CANDIDATE) || []
+  if (candidates.length === 0) {
+    return { value: text, error: "No phone number found" }
+  }
+
+  const numbers = candidates.map(toE164)
+  const valid = numbers.filter(Boolean)
+  if (valid.length === 0) {
+    return { value: text, error: "Not a valid phone number" }
+  }
+  return {
+    value: Array.from(new Set(valid)).join(", "),
+    ...(valid.length < numbers.length ? { error: "Contains an invalid phone number" } : {}),
+  }
+}
+
+/**
+ * Splits the state off the end of a location part, e.g. "CANYON TEXAS" or "Canyon TX"
+ * @param {string} part - Last comma-separated part of a location
+ * @returns {Object|null} - { state, rest }, or null when the part doesn't end with a state
+ */
+function splitTrailingState(part) {
+  const words = part.split(/\s+/)
+  // Longest match first so "New Mexico" wins over "Mexico"
+  for (let count = Math.min(4, words.length - 1); count >= 1; count--) {
+    const state = findState(words.slice(-count).join(" "), { strict: true })
+    if (state) return { state, rest: words.slice(0, -count).join(" ") }
+  }
+  return null
+}
+
+/**
+ * Parses a free-form location into city, state and country using the bundled US state table
+ * @param {string} text - e.g. "Canyon, TX", "CANYON TEXAS", "Canyon, Texas 79015" or "Red Deer, Alberta, Canada"
+ * @returns {Object} - { value, city, state, country, error? }; value is "City, ST" for US locations
+ */
+export function parseLocation(text) {
+  const cleaned = text
+    .replace(/\s+/g, " ")
+    .replace(/[\s,]*\b\d{5}(-\d{4})?\s*$/, "") // ZIP code
+    .trim()
+  const parts = cleaned
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+  if (parts.length === 0) {
+    return { value: text, city: "", state: "", country: "", error: "Not a recognizable location" }
+  }
+
+  let country = ""
+  if (parts.length > 1 && US_NAMES.test(parts[parts.length - 1])) {
+    parts.pop()
+    country = "US"
+  }
+
+  let state = findState(parts[parts.length - 1])
+  if (state) {
+    parts.pop()
+  } else {
+    const split = splitTrailingState(parts[parts.length - 1])
+    if (split) {
+      state = split.state
+      parts[parts.length - 1] = split.rest
+    }
+  }
+
+  if (state) {
+    const place = parts.map(titleCase)
+    return { value: [...place, state].join(", "), city: place[place.length - 1] || "", state, country: "US" }
+  }
+
+  // Not a US state: a trailing part is read as the country, e.g. "Red Deer, Alberta, Canada",
+  // unless it is a two-letter code such as "ON", which is some other country's region
+  const place = parts.map(titleCase)
+  if (!country && place.length > 1 && !/^[a-z]{2}$/i.test(place[place.length - 1])) {
+    country = place.pop()
+  }
+  const region = place.length > 1 ? place.pop().replace(/^[a-z]{2}$/i, (code) => code.toUpperCase()) : ""
+  const location = {
+    value: [...place, region, country === "US" ? "" : country].filter(Boolean).join(", "),
+    city: place[place.length - 1] || "",
+    state: region,
+    country,
+  }
+  return country ? location : { ...location, error: "No state or country recognized" }
+}
+
+/**
+ * Normalizes a name: collapses whitespace and title-cases all-caps or all-lowercase text
+ * @param {string} text - Name text
+ * @returns {Object} - { value, error? }
+ */
+export function normalizeName(text) {
+  const value = titleCase(text.replace(/\s+/g, " ").trim())
+  return /[\p{L}\d]/u.test(value) ? { value } : { value, error: "Not a valid name" }
+}
+
+/**
+ * Decides which normalizer applies to each field: the extractor's declared type first,
+ * then the field name
+ * @param {Object} extractor - Extractor definition
+ * @param {Array<string>} fieldNames - Fields of the records
+ * @returns {Object} - Field name => "phone" | "location" | "name"
+ */
+export function resolveFieldKinds(extractor, fieldNames) {
+  const kinds = {}
+  fieldNames.forEach((fieldName) => {
+    const declared = extractor?.fields?.[fieldName]?.type
+    if (FIELD_KINDS[declared]) {
+      kinds[fieldName] = declared
+      return
+    }
+    if (declared && declared !== "string") return // Numbers and URLs are left alone
+    const kind = Object.keys(FIELD_KINDS).find((candidate) => FIELD_KINDS[candidate].test(fieldName))
+    if (kind) kinds[fieldName] = kind
+  })
+  return kinds
+}
+
+/**
+ * Normalizes one record. Normalized values replace the scraped ones, the first location field adds
+ * city, state and country (unless the record already has them), the scraped text of every changed
+ * field is kept in `_raw` and fields that could not be normalized are listed in `_invalid`
+ * @param {Object} record - Scraped record
+ * @param {Object} kinds - Field name => kind, from resolveFieldKinds
+ * @returns {Object} - The normalized record
+ */
+export function normalizeRecord(record, kinds) {
+  const normalized = { ...record }
+  const raw = {}
+  const invalid = {}
+  let parsedLocation = null
+
+  Object.entries(kinds).forEach(([field, kind]) => {
+    const value = record[field]
+    if (isBlank(value) || typeof value !== "string") return
+
+    let result
+    if (kind === "phone") {
+      result = normalizePhone(value)
+    } else if (kind === "name") {
+      result = normalizeName(value)
+    } else {
+      result = parseLocation(value)
+      parsedLocation ||= result
+    }
+
+    if (result.value !== value) {
+      normalized[field] = result.value
+      raw[field] = value
+    }
+    if (result.error) {
+      invalid[field] = result.error
+    }
+  })
+
+  if (parsedLocation) {
+    for (const part of ["city", "state", "country"]) {
+      if (!(part in record)) normalized[part] = parsedLocation[part] || EMPTY_VALUE
+    }
+  }
+  if (Object.keys(raw).length > 0) normalized._raw = raw
+  if (Object.keys(invalid).length > 0) normalized._invalid = invalid
+
+  return normalized
+}
+
+/**
+ * Post-scrape pipeline stage: normalizes phones, locations and names of a page of records.
+ * Extractors opt out with `normalize: false`
+ * @param {Array<Object>} records - Records from extractRecords or extractJsonRecords
+ * @param {Object} extractor - Extractor that produced them
+ * @returns {Array<Object>} - Normalized records
+ */
+export function normalizeRecords(records, extractor) {
+  if (extractor?.normalize === false || records.length === 0) return records
+
+  const fieldNames = Array.from(new Set(records.flatMap((record) => Object.keys(record))))
+  const kinds = resolveFieldKinds(extractor, fieldNames)
+  if (Object.keys(kinds).length === 0) return records
+
+  return records.map((record) => normalizeRecord(record, kinds))
+}
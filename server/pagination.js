@@ -0,0 +1,184 @@
+// Query parameters that commonly carry a page number or a record offset
+const PAGE_PARAMS = ["page", "p", "pg", "paged", "pagenum", "pageNumber", "page_number"]
+const OFFSET_PARAMS = ["offset", "start", "from", "skip", "startIndex", "start_index"]
+
+// Link text of "next page" controls
+const NEXT_TEXT = /^(next( page)?|older( posts)?)?\s*[›»>→]?$/i
+
+/**
+ * Escapes a string for use inside a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} - Escaped pattern
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+}
+
+/**
+ * Builds the URL of a given results page for pagination settings that allow random access
+ * (query, offset, path and json strategies)
+ * @param {string} url - The URL the user asked to scrape
+ * @param {number} pageNum - 1-based page number
+ * @param {Object} pagination - Pagination settings
+ * @returns {string} - URL of the requested page
+ */
+export function buildPageUrl(url, pageNum, pagination = {}) {
+  const { strategy = "query" } = pagination
+  const pageUrl = new URL(url)
+
+  switch (strategy) {
+    case "query": {
+      const { param = "page", preserveQuery = true } = pagination
+      if (!preserveQuery) {
+        pageUrl.search = ""
+      }
+
+      // First page doesn't need a page parameter
+      if (pageNum === 1) {
+        pageUrl.searchParams.delete(param)
+      } else {
+        pageUrl.searchParams.set(param, String(pageNum))
+      }
+      return pageUrl.toString()
+    }
+
+    case "offset": {
+      const { param = "offset", perPage, start = 0 } = pagination
+      const offset = start + (pageNum - 1) * perPage
+      if (offset === 0) {
+        pageUrl.searchParams.delete(param)
+      } else {
+        pageUrl.searchParams.set(param, String(offset))
+      }
+      return pageUrl.toString()
+    }
+
+    case "path": {
+      const { template = "/page/{page}/" } = pagination
+
+      // Strip an existing page segment so /list/page/3/ and /list/ share a base
+      const existingSegment = new RegExp(`${escapeRegExp(template).replace("\\{page\\}", "\\d+")}$`)
+      const base = pageUrl.pathname.replace(existingSegment, "").replace(/\/$/, "")
+      pageUrl.pathname = pageNum === 1 ? `${base}/` : `${base}${template.replace("{page}", String(pageNum))}`
+      return pageUrl.toString()
+    }
+
+    case "json": {
+      const { endpoint, perPage = 25 } = pagination
+      const resolved = endpoint
+        .replace(/\{page\}/g, String(pageNum))
+        .replace(/\{offset\}/g, String((pageNum - 1) * perPage))
+        .replace(/\{perPage\}/g, String(perPage))
+      return new URL(resolved, url).toString()
+    }
+
+    default:
+      throw new Error(`Pagination strategy "${strategy}" cannot build page URLs directly`)
+  }
+}
+
+/**
+ * Finds the "next page" link on a page
+ * @param {Function} $ - Cheerio root
+ * @param {string} pageUrl - URL of the page, used to resolve relative links
+ * @param {Object} pagination - Pagination settings (an optional `selector` overrides the defaults)
+ * @returns {string|null} - Absolute URL of the next page, if any
+ */
+export function findNextLink($, pageUrl, pagination = {}) {
+  let href = null
+
+  if (pagination.selector) {
+    href = $(pagination.selector).first().attr("href")
+  } else {
+    href = $('link[rel="next"], a[rel~="next"]').first().attr("href")
+
+    if (!href) {
+      const nextAnchor = $("a[href]")
+        .toArray()
+        .find((anchor) => {
+          const text = $(anchor).text().replace(/\s+/g, " ").trim()
+          const label = $(anchor).attr("aria-label") || ""
+          return (text && NEXT_TEXT.test(text)) || /^next/i.test(label)
+        })
+      href = nextAnchor ? $(nextAnchor).attr("href") : null
+    }
+  }
+
+  if (!href || href.startsWith("#") || href.startsWith("javascript:")) return null
+
+  try {
+    const nextUrl = new URL(href, pageUrl).toString()
+    return nextUrl === pageUrl ? null : nextUrl
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Works out how a site paginates from its first page: page-number and offset query
+ * parameters, /page/N/ path segments, or a "next" link to follow
+ * @param {Function} $ - Cheerio root of the first page
+ * @param {string} pageUrl - URL of the first page
+ * @returns {Object} - Detected pagination settings, with `detected: true`
+ */
+export function detectPagination($, pageUrl) {
+  const current = new URL(pageUrl)
+
+  // Candidates are the next link and any link labelled "2"
+  const candidates = []
+  const nextLink = findNextLink($, pageUrl)
+  if (nextLink) candidates.push(nextLink)
+  $("a[href]").each((_, anchor) => {
+    if ($(anchor).text().trim() === "2") {
+      try {
+        candidates.push(new URL($(anchor).attr("href"), pageUrl).toString())
+      } catch {
+        // Ignore malformed links
+      }
+    }
+  })
+
+  for (const candidate of candidates) {
+    const candidateUrl = new URL(candidate)
+    if (candidateUrl.host !== current.host) continue
+
+    const pageParam = PAGE_PARAMS.find((param) => candidateUrl.searchParams.get(param) === "2")
+    if (pageParam) {
+      return { strategy: "query", param: pageParam, preserveQuery: true, detected: true }
+    }
+
+    const offsetParam = OFFSET_PARAMS.find((param) => Number(candidateUrl.searchParams.get(param)) > 0)
+    if (offsetParam) {
+      const start = Number(current.searchParams.get(offsetParam)) || 0
+      const perPage = Number(candidateUrl.searchParams.get(offsetParam)) - start
+      if (perPage > 0) {
+        return { strategy: "offset", param: offsetParam, perPage, start, detected: true }
+      }
+    }
+
+    const pathMatch = candidateUrl.pathname.match(/\/(page|p)\/2\/?$/)
+    if (pathMatch) {
+      const trailingSlash = candidateUrl.pathname.endsWith("/") ? "/" : ""
+      return { strategy: "path", template: `/${pathMatch[1]}/{page}${trailingSlash}`, detected: true }
+    }
+  }
+
+  if (nextLink) {
+    return { strategy: "next-link", detected: true }
+  }
+
+  // Nothing recognizable; fall back to the classic ?page=N
+  return { strategy: "query", param: "page", preserveQuery: true, detected: true }
+}
+
+/**
+ * Creates the pagination state kept for a crawl of one URL: the settings in use
+ * (null until detected) and the page URLs discovered so far by following next links
+ * @param {string} url - The URL the user asked to scrape
+ * @param {Object} pagination - Explicit settings, or undefined/"auto" to detect them
+ * @returns {Object} - Pagination state
+ */
+export function createPagingState(url, pagination) {
+  const settings = pagination && pagination.strategy !== "auto" ? pagination : null
+  return { url, settings, pageUrls: { 1: url } }
+}
@@ -0,0 +1,75 @@
+import crypto from "crypto"
+
+/**
+ * Hashes a record's content: its fields without the ID and metadata, in a stable order, so the same row scraped
+ * twice has the same hash wherever it appears
+ * @param {Object} record - Scraped record
+ * @returns {string} - First 16 hex digits of the SHA-256
+ */
+export function contentHash(record) {
+  const fields = Object.keys(record)
+    .filter((field) => field !== "id" && !field.startsWith("_"))
+    .sort()
+  const canonical = JSON.stringify(fields.map((field) => [field, record[field]]))
+  return crypto.createHash("sha256").update(canonical).digest("hex").slice(0, 16)
+}
+
+/**
+ * Records where each record of a page came from, in `_source`
+ * @param {Array<Object>} records - Records of one page, in page order
+ * @param {Object} origin - Where they were scraped
+ * @param {string} origin.url - URL of the page
+ * @param {number} origin.page - 1-based page number
+ * @param {string} origin.extractor - Name of the extractor that read them
+ * @param {string} [origin.scrapedAt] - ISO time of the scrape, now by default
+ * @returns {Array<Object>} - Copies with `_source: { url, page, row, scrapedAt, extractor, hash }`; row is 1-based
+ */
+export function withProvenance(records, { url, page, extractor, scrapedAt = new Date().toISOString() }) {
+  return records.map((record, index) => ({
+    ...record,
+    _source: { url, page, row: index + 1, scrapedAt, extractor, hash: contentHash(record) },
+  }))
+}
+
+/**
+ * Describes where a record was scraped, e.g. "row 12 on page 3 of https://example.com/list?page=3 (2024-05-01)"
+ * @param {Object} source - The record's `_source`
+ * @returns {string} - Citation
+ */
+export function describeSource({ url, page, row, scrapedAt, detailUrl }) {
+  const date = scrapedAt ? ` (${scrapedAt.slice(0, 10)})` : ""
+  const detail = detailUrl ? `, details from ${detailUrl}` : ""
+  return `row ${row} on page ${page} of ${url}${date}${detail}`
+}
+
+/**
+ * Swaps a record's provenance for a short citation the chat model can quote, which costs far fewer tokens
+ * @param {Object} record - Scraped record
+ * @returns {Object} - The record with `_cite` instead of `_source` and `_sources`
+ */
+export function citeRecord(record) {
+  const { _source, _sources, ...rest } = record
+  const sources = _sources || (_source ? [_source] : [])
+  return sources.length > 0 ? { ...rest, _cite: sources.map(describeSource).join("; ") } : rest
+}
+
+/**
+ * Flattens a record's provenance into columns for spreadsheet exports. A merged record gets the first
+ * record it was merged from
+ * @param {Object} record - Scraped record
+ * @returns {Object} - source_url, source_page, source_row, source_scraped_at, source_extractor, source_hash and
+ *   source_detail_url when the row was enriched; empty without provenance
+ */
+export function provenanceColumns(record) {
+  const source = record._source
+  if (!source) return {}
+  return {
+    source_url: source.url,
+    source_page: source.page,
+    source_row: source.row,
+    source_scraped_at: source.scrapedAt,
+    source_extractor: source.extractor,
+    source_hash: source.hash,
+    ...(source.detailUrl ? { source_detail_url: source.detailUrl } : {}),
+  }
+}
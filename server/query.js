@@ -0,0 +1,412 @@
+import { RE2JS } from "re2js"
+import { z } from "zod"
+import { formatIssues } from "./schema.js"
+
+// Comparison operators of a query condition
+export const QUERY_OPERATORS = [
+  "eq",
+  "ne",
+  "contains",
+  "startsWith",
+  "endsWith",
+  "regex",
+  "gt",
+  "gte",
+  "lt",
+  "lte",
+  "in",
+  "exists",
+]
+
+const NUMERIC_OPERATORS = ["gt", "gte", "lt", "lte"]
+
+// Longest regex a query may use
+const MAX_PATTERN_LENGTH = 200
+
+// Compiled regexes by pattern, so a query doesn't compile its pattern again for every record
+const MAX_CACHED_REGEXES = 100
+const compiledRegexes = new Map()
+
+const fieldName = z.string().trim().min(1, "Field name must not be empty")
+
+/**
+ * Compiles a query regex with RE2, whose matching takes linear time whatever the pattern, so a pattern from
+ * a request or a prompt-injected page can't tie up the server. RE2 has no backreferences or lookarounds
+ * @param {string} pattern - Regex source
+ * @returns {Object} - RE2JS pattern, matching without regard to case
+ * @throws {Error} - When the pattern isn't valid RE2 syntax
+ */
+function compileRegex(pattern) {
+  let compiled = compiledRegexes.get(pattern)
+  if (!compiled) {
+    compiled = RE2JS.compile(pattern, RE2JS.CASE_INSENSITIVE)
+    if (compiledRegexes.size >= MAX_CACHED_REGEXES) compiledRegexes.clear()
+    compiledRegexes.set(pattern, compiled)
+  }
+  return compiled
+}
+
+const regexPattern = z
+  .string()
+  .max(MAX_PATTERN_LENGTH, `Regex must be at most ${MAX_PATTERN_LENGTH} characters`)
+  .superRefine((pattern, ctx) => {
+    try {
+      compileRegex(pattern)
+    } catch (error) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Invalid regex "${pattern}": ${error.message}` })
+    }
+  })
+
+const scalar = z.union([z.string(), z.number(), z.boolean()])
+
+const comparison = z
+  .object({
+    field: fieldName,
+    op: z
+      .enum(QUERY_OPERATORS, {
+        errorMap: () => ({ message: `Unknown operator, expected one of: ${QUERY_OPERATORS.join(", ")}` }),
+      })
+      .default("eq"),
+    value: z.union([scalar, z.array(scalar)]).optional(),
+  })
+  .strict()
+  .superRefine((condition, ctx) => {
+    const { op, value } = condition
+    if (op === "exists") return
+    if (value === undefined) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Operator "${op}" needs a value`, path: ["value"] })
+    } else if (op === "in" && !Array.isArray(value)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Operator "in" needs a list of values', path: ["value"] })
+    } else if (op !== "in" && Array.isArray(value)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Operator "${op}" needs a single value`, path: ["value"] })
+    } else if (NUMERIC_OPERATORS.includes(op) && toNumber(value) === null) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Operator "${op}" needs a number`, path: ["value"] })
+    } else if (op === "regex") {
+      const result = regexPattern.safeParse(value)
+      if (!result.success) {
+        ctx.addIssue({ ...result.error.issues[0], path: ["value"] })
+      }
+    }
+  })
+
+const combinations = {
+  and: z.object({ and: z.array(z.lazy(() => conditionSchema)).min(1) }).strict(),
+  or: z.object({ or: z.array(z.lazy(() => conditionSchema)).min(1) }).strict(),
+  not: z.object({ not: z.lazy(() => conditionSchema) }).strict(),
+}
+
+// A condition is a comparison or an and/or/not combination of conditions. The variant is picked
+// by key rather than with z.union so that nested mistakes get a specific message
+export const conditionSchema = z.any().transform((condition, ctx) => {
+  if (!condition || typeof condition !== "object" || Array.isArray(condition)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: "Condition must be an object" })
+    return z.NEVER
+  }
+
+  const variant = Object.keys(combinations).find((key) => key in condition)
+  const result = (variant ? combinations[variant] : comparison).safeParse(condition)
+  if (!result.success) {
+    result.error.issues.forEach((issue) => ctx.addIssue(issue))
+    return z.NEVER
+  }
+  return result.data
+})
+
+// A group key is a field, or the first capture group of a pattern applied to a field
+// (e.g. the state out of "Austin, TX")
+const groupKey = z.preprocess(
+  (key) => (typeof key === "string" ? { field: key } : key),
+  z
+    .object({
+      field: fieldName,
+      pattern: regexPattern.optional(),
+      as: fieldName.optional(),
+    })
+    .strict(),
+)
+
+const sortKey = z.preprocess(
+  (key) => (typeof key === "string" ? { field: key } : key),
+  z
+    .object({
+      field: fieldName,
+      direction: z.enum(["asc", "desc"]).default("asc"),
+    })
+    .strict(),
+)
+
+const toList = (value) => (value === undefined || Array.isArray(value) ? value : [value])
+
+export const querySchema = z
+  .object({
+    where: conditionSchema.optional(),
+    groupBy: z.preprocess(toList, z.array(groupKey).min(1).optional()),
+    distinct: z.preprocess(toList, z.array(fieldName).optional()),
+    sort: z.preprocess(toList, z.array(sortKey).optional()),
+    select: z.array(fieldName).min(1).optional(),
+    offset: z.number().int().min(0).default(0),
+    limit: z.number().int().positive().optional(),
+  })
+  .strict()
+
+/**
+ * Validates a query from a request body
+ * @param {Object} input - The query as posted by the client
+ * @returns {Object} - { query } on success or { errors } with one message per problem
+ */
+export function parseQuery(input) {
+  const result = querySchema.safeParse(input ?? {})
+  if (!result.success) {
+    return { errors: formatIssues(result.error.issues) }
+  }
+  return { query: result.data }
+}
+
+/**
+ * Tells whether a scraped value is missing; scrapers store empty cells as "-"
+ * @param {*} value - Field value
+ * @returns {boolean} - True for null, undefined, blank and "-"
+ */
+function isEmpty(value) {
+  return value === null || value === undefined || String(value).trim() === "" || String(value).trim() === "-"
+}
+
+/**
+ * Reads a number out of a value, ignoring thousands separators and currency signs
+ * @param {*} value - Field value
+ * @returns {number|null} - The number, or null if the value isn't numeric
+ */
+function toNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null
+  if (typeof value !== "string") return null
+  const cleaned = value.replace(/[,\s$€£%]/g, "")
+  if (cleaned === "" || !/^[-+]?\d*\.?\d+(e[-+]?\d+)?$/i.test(cleaned)) return null
+  return Number(cleaned)
+}
+
+const normalize = (value) => String(value).trim().toLowerCase()
+
+/**
+ * Tests one comparison against a record. Text comparisons ignore case; eq and ne compare
+ * numerically when both sides are numbers
+ * @param {Object} record - Scraped record
+ * @param {Object} condition - Validated comparison
+ * @returns {boolean} - True if the record matches
+ */
+function compare(record, { field, op, value }) {
+  const actual = record[field]
+  if (op === "exists") {
+    return value === false ? isEmpty(actual) : !isEmpty(actual)
+  }
+  if (isEmpty(actual)) {
+    return op === "ne"
+  }
+
+  const equals = (expected) => {
+    const left = toNumber(actual)
+    const right = toNumber(expected)
+    return left !== null && right !== null ? left === right : normalize(actual) === normalize(expected)
+  }
+
+  switch (op) {
+    case "eq":
+      return equals(value)
+    case "ne":
+      return !equals(value)
+    case "contains":
+      return normalize(actual).includes(normalize(value))
+    case "startsWith":
+      return normalize(actual).startsWith(normalize(value))
+    case "endsWith":
+      return normalize(actual).endsWith(normalize(value))
+    case "regex":
+      return compileRegex(value).matcher(String(actual)).find()
+    case "in":
+      return value.some(equals)
+    default: {
+      const left = toNumber(actual)
+      const right = toNumber(value)
+      if (left === null) return false
+      if (op === "gt") return left > right
+      if (op === "gte") return left >= right
+      if (op === "lt") return left < right
+      return left <= right
+    }
+  }
+}
+
+/**
+ * Tests a condition against a record
+ * @param {Object} record - Scraped record
+ * @param {Object} condition - Validated condition
+ * @returns {boolean} - True if the record matches
+ */
+export function matchesCondition(record, condition) {
+  if (condition.and) return condition.and.every((part) => matchesCondition(record, part))
+  if (condition.or) return condition.or.some((part) => matchesCondition(record, part))
+  if (condition.not) return !matchesCondition(record, condition.not)
+  return compare(record, condition)
+}
+
+/**
+ * Describes a condition in words for the chat model, e.g. `location contains "TX" and not (phone exists true)`
+ * @param {Object} condition - Validated condition
+ * @returns {string} - Description
+ */
+export function describeCondition(condition) {
+  const group = (parts, joiner) =>
+    parts.map((part) => (part.and || part.or ? `(${describeCondition(part)})` : describeCondition(part))).join(joiner)
+  if (condition.and) return group(condition.and, " and ")
+  if (condition.or) return group(condition.or, " or ")
+  if (condition.not) return `not (${describeCondition(condition.not)})`
+  return `${condition.field} ${condition.op} ${JSON.stringify(condition.value)}`
+}
+
+/**
+ * Keeps the records matching a condition
+ * @param {Array<Object>} records - Scraped records
+ * @param {Object} condition - Validated condition; all records are kept when missing
+ * @returns {Array<Object>} - Matching records
+ */
+export function filterRecords(records, condition) {
+  return condition ? records.filter((record) => matchesCondition(record, condition)) : records
+}
+
+/**
+ * Narrows a session's scraped data to the rows matched by the chat's last filter
+ * @param {Object} session - Session data
+ * @returns {Array<Object>} - Matching records, or all of them when no filter is active
+ */
+export function applyActiveFilter(session) {
+  const { query } = parseQuery({ where: session.activeFilter || undefined })
+  return filterRecords(session.scrapedData || [], query?.where)
+}
+
+/**
+ * Orders two values: numbers numerically, text case-insensitively, missing values last
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} - Sort order
+ */
+function compareValues(a, b) {
+  if (isEmpty(a) || isEmpty(b)) return isEmpty(a) - isEmpty(b)
+  const left = toNumber(a)
+  const right = toNumber(b)
+  if (left !== null && right !== null) return left - right
+  return String(a).localeCompare(String(b), undefined, { sensitivity: "base", numeric: true })
+}
+
+/**
+ * Sorts rows by several keys
+ * @param {Array<Object>} rows - Records or groups
+ * @param {Array<Object>} sort - Validated sort keys
+ * @param {Function} read - Reads a sort field from a row
+ * @returns {Array<Object>} - Sorted copy
+ */
+function sortRows(rows, sort, read) {
+  return [...rows].sort((a, b) => {
+    for (const { field, direction } of sort) {
+      const left = read(a, field)
+      const right = read(b, field)
+      // Missing values stay last in both directions
+      if (isEmpty(left) !== isEmpty(right)) return isEmpty(left) - isEmpty(right)
+      const order = compareValues(left, right)
+      if (order !== 0) return direction === "desc" ? -order : order
+    }
+    return 0
+  })
+}
+
+/**
+ * Reads the group key of a record
+ * @param {Object} record - Scraped record
+ * @param {Object} key - Validated group key
+ * @returns {string|null} - Key value, or null when the field is empty or the pattern doesn't match
+ */
+function readGroupKey(record, { field, pattern }) {
+  const value = record[field]
+  if (isEmpty(value)) return null
+  if (!pattern) return String(value).trim()
+  const matcher = compileRegex(pattern).matcher(String(value))
+  if (!matcher.find()) return null
+  return (matcher.groupCount() > 0 && matcher.group(1) !== null ? matcher.group(1) : matcher.group(0)).trim()
+}
+
+/**
+ * Collects the distinct values of fields, sorted
+ * @param {Array<Object>} records - Scraped records
+ * @param {Array<string>} fields - Field names
+ * @returns {Object} - Field name to list of distinct values
+ */
+function distinctValues(records, fields) {
+  return Object.fromEntries(
+    fields.map((field) => {
+      const values = new Map()
+      records.forEach((record) => {
+        if (isEmpty(record[field])) return
+        const value = String(record[field]).trim()
+        if (!values.has(normalize(value))) values.set(normalize(value), value)
+      })
+      return [field, Array.from(values.values()).sort(compareValues)]
+    }),
+  )
+}
+
+/**
+ * Groups records and counts each group
+ * @param {Array<Object>} records - Matching records
+ * @param {Object} query - Validated query
+ * @returns {Array<Object>} - Groups as { key, count, distinct? }
+ */
+function groupRecords(records, query) {
+  const groups = new Map()
+  records.forEach((record) => {
+    const key = Object.fromEntries(
+      query.groupBy.map((groupKey) => [groupKey.as || groupKey.field, readGroupKey(record, groupKey)]),
+    )
+    const id = JSON.stringify(Object.values(key).map((value) => (value === null ? null : normalize(value))))
+    if (!groups.has(id)) groups.set(id, { key, records: [] })
+    groups.get(id).records.push(record)
+  })
+
+  return Array.from(groups.values()).map(({ key, records: members }) => ({
+    key,
+    count: members.length,
+    ...(query.distinct ? { distinct: distinctValues(members, query.distinct) } : {}),
+  }))
+}
+
+/**
+ * Runs a query over records: filter, then group and count or sort, then page
+ * @param {Array<Object>} records - Scraped records
+ * @param {Object} query - Validated query
+ * @returns {Object} - { total, matched, groups } when grouping, otherwise { total, matched, records, distinct? };
+ *   records keep `_source` and `_sources` when fields are selected
+ */
+export function runQuery(records, query) {
+  const matching = filterRecords(records, query.where)
+  const page = (rows) => rows.slice(query.offset, query.limit ? query.offset + query.limit : undefined)
+
+  if (query.groupBy) {
+    const groups = groupRecords(matching, query)
+    // Largest groups first unless asked otherwise
+    const sort = query.sort || [{ field: "count", direction: "desc" }]
+    const sorted = sortRows(groups, sort, (group, field) => (field === "count" ? group.count : group.key[field]))
+    return { total: records.length, matched: matching.length, groupCount: groups.length, groups: page(sorted) }
+  }
+
+  const sorted = query.sort ? sortRows(matching, query.sort, (record, field) => record[field]) : matching
+  // Selected fields keep the record's provenance, so answers can still say where a row came from
+  const selected = page(sorted).map(({ _source, _sources, ...record }) => ({
+    ...(query.select ? Object.fromEntries(query.select.map((field) => [field, record[field] ?? "-"])) : record),
+    ...(_source ? { _source } : {}),
+    ...(_sources ? { _sources } : {}),
+  }))
+
+  return {
+    total: records.length,
+    matched: matching.length,
+    records: selected,
+    ...(query.distinct ? { distinct: distinctValues(matching, query.distinct) } : {}),
+  }
+}
@@ -0,0 +1,118 @@
+// What a key's usage is counted in: pages loaded (list and detail pages) and LLM tokens
+export const QUOTA_KINDS = ["pages", "tokens"]
+
+const QUOTA_NAMES = { pages: "Page", tokens: "LLM token" }
+
+/**
+ * Reads a quota setting; 0 means unlimited
+ * @param {string|undefined} value - Environment variable
+ * @param {number} fallback - Default
+ * @returns {number} - The setting
+ */
+function quotaSetting(value, fallback) {
+  const number = Number(value)
+  return value === undefined || value === "" || !Number.isFinite(number) || number < 0 ? fallback : number
+}
+
+/**
+ * Creates the per-key quota tracker. Pages and tokens are counted separately, each in a fixed window
+ * that starts with the key's first use of it. Usage is kept in memory, so it starts over on restart
+ * @param {Object} [options] - Quota options, each defaulting to its environment variable
+ * @param {number} [options.pages] - Pages a key may load per window, 0 for no limit
+ * @param {number} [options.tokens] - LLM tokens a key may use per window, 0 for no limit
+ * @param {number} [options.windowMs] - Length of a window
+ * @returns {Object} - { limits, windowMs, usage(account), check(account, kind, amount), charge(account, kind, amount) }
+ */
+export function createQuotas({
+  pages = quotaSetting(process.env.QUOTA_PAGES, 500),
+  tokens = quotaSetting(process.env.QUOTA_TOKENS, 200000),
+  windowMs = (quotaSetting(process.env.QUOTA_WINDOW_HOURS, 24) || 24) * 60 * 60 * 1000,
+} = {}) {
+  const limits = { pages, tokens }
+  const counters = new Map() // `${accountId}:${kind}` => { used, resetAt }
+
+  const counter = (accountId, kind) => {
+    const key = `${accountId}:${kind}`
+    const now = Date.now()
+    let current = counters.get(key)
+    if (!current || current.resetAt <= now) {
+      current = { used: 0, resetAt: now + windowMs }
+      counters.set(key, current)
+    }
+    return current
+  }
+
+  const describe = (accountId, kind) => {
+    const { used, resetAt } = counter(accountId, kind)
+    const limit = limits[kind] || null
+    return {
+      limit,
+      used,
+      remaining: limit === null ? null : Math.max(0, limit - used),
+      resetAt: new Date(resetAt).toISOString(),
+    }
+  }
+
+  // Forget finished windows now and then
+  setInterval(() => {
+    const now = Date.now()
+    for (const [key, { resetAt }] of counters) {
+      if (resetAt <= now) counters.delete(key)
+    }
+  }, windowMs).unref()
+
+  return {
+    limits,
+    windowMs,
+
+    /**
+     * Reports a key's usage
+     * @param {Object} account - Authenticated account
+     * @returns {Object} - { pages, tokens }, each { limit, used, remaining, resetAt }; limit and remaining
+     *   are null without a limit
+     */
+    usage(account) {
+      return Object.fromEntries(QUOTA_KINDS.map((kind) => [kind, describe(account.id, kind)]))
+    },
+
+    /**
+     * Checks that a key has enough quota left for something it is about to do
+     * @param {Object|null} account - Authenticated account, null when authentication is off
+     * @param {string} kind - "pages" or "tokens"
+     * @param {number} [amount] - How much it needs
+     * @returns {Object|null} - null when it may go ahead, else { status: 429, body } with what is left and when
+     *   the quota resets
+     */
+    check(account, kind, amount = 1) {
+      if (!account || !limits[kind]) return null
+      const quota = describe(account.id, kind)
+      if (quota.remaining >= amount) return null
+
+      const retryAfter = Math.max(1, Math.ceil((Date.parse(quota.resetAt) - Date.now()) / 1000))
+      return {
+        status: 429,
+        body: {
+          error: `${QUOTA_NAMES[kind]} quota exceeded`,
+          details: [
+            amount > 1
+              ? `This needs ${amount} ${kind} and ${quota.remaining} of the ${quota.limit} are left`
+              : `All ${quota.limit} ${kind} of the quota are used`,
+          ],
+          quota: { kind, ...quota },
+          retryAfter,
+        },
+      }
+    },
+
+    /**
+     * Counts usage against a key
+     * @param {Object|null} account - Authenticated account, null when authentication is off
+     * @param {string} kind - "pages" or "tokens"
+     * @param {number} amount - Pages loaded or tokens used
+     */
+    charge(account, kind, amount) {
+      if (!account || !amount) return
+      counter(account.id, kind).used += amount
+    },
+  }
+}
@@ -0,0 +1,227 @@
+import { datasetKey } from "./analysis.js"
+
+// Records put in the prompt for a question
+export const DEFAULT_TOP_K = Number(process.env.RETRIEVAL_TOP_K) || 10
+
+// Indexes kept in memory; the oldest is dropped when a new dataset is indexed
+const MAX_CACHED_INDEXES = 20
+
+// Texts embedded per request
+const EMBEDDING_BATCH_SIZE = 100
+
+// BM25 parameters
+const BM25_K1 = 1.2
+const BM25_B = 0.75
+
+// Word trigrams count for less than whole words; they catch spelling variants like "Double R" and "DoubleR"
+const TRIGRAM_WEIGHT = 0.3
+
+// Words that say nothing about which record is meant
+const STOPWORDS = new Set(
+  (
+    "a an and any are as at be by can do does find for from give has have how i in is it list me my near of on " +
+    "one or show that the their them there these this those to what which who whose with"
+  ).split(" "),
+)
+
+/**
+ * Turns a record into the text that is indexed: its filled-in values
+ * @param {Object} record - Scraped record
+ * @returns {string} - Record text
+ */
+export function recordText(record) {
+  return Object.entries(record)
+    .filter(([key]) => !key.startsWith("_"))
+    .map(([, value]) => (value === null || value === undefined ? "" : String(value).trim()))
+    .filter((value) => value && value !== "-")
+    .join(" | ")
+}
+
+/**
+ * Splits text into lowercase words without accents or stopwords
+ * @param {string} text - Text
+ * @returns {Array<string>} - Words
+ */
+function tokenize(text) {
+  return text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word && !STOPWORDS.has(word))
+}
+
+/**
+ * Weighs the terms of a text: each word, plus the trigrams of the text with spaces removed
+ * @param {string} text - Text
+ * @returns {Map<string, number>} - Term => weighted count
+ */
+function termsOf(text) {
+  const words = tokenize(text)
+  const terms = new Map()
+  words.forEach((word) => terms.set(word, (terms.get(word) || 0) + 1))
+  const joined = words.join("")
+  for (let i = 0; i + 3 <= joined.length; i++) {
+    const trigram = `#${joined.slice(i, i + 3)}`
+    terms.set(trigram, (terms.get(trigram) || 0) + TRIGRAM_WEIGHT)
+  }
+  return terms
+}
+
+/**
+ * Builds a BM25 index over texts. Runs locally and gives the same results every time
+ * @param {Array<string>} texts - Texts to index
+ * @returns {Object} - { name, search(query, k) => Promise<Array<{ index, score }>> }
+ */
+export function createLocalIndex(texts) {
+  const documents = texts.map(termsOf)
+  const lengths = documents.map((terms) => Array.from(terms.values()).reduce((sum, count) => sum + count, 0))
+  const averageLength = lengths.reduce((sum, length) => sum + length, 0) / (lengths.length || 1) || 1
+
+  // Documents containing each term
+  const frequencies = new Map()
+  documents.forEach((terms) => terms.forEach((_, term) => frequencies.set(term, (frequencies.get(term) || 0) + 1)))
+  const idf = (term) => {
+    const n = frequencies.get(term) || 0
+    return Math.log(1 + (documents.length - n + 0.5) / (n + 0.5))
+  }
+
+  return {
+    name: "local",
+
+    async search(query, k) {
+      const queryTerms = termsOf(query)
+      const scored = documents.map((terms, index) => {
+        let score = 0
+        queryTerms.forEach((queryWeight, term) => {
+          const count = terms.get(term)
+          if (!count) return
+          const norm = count + BM25_K1 * (1 - BM25_B + (BM25_B * lengths[index]) / averageLength)
+          score += queryWeight * idf(term) * ((count * (BM25_K1 + 1)) / norm)
+        })
+        return { index, score }
+      })
+      return scored
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .slice(0, k)
+    },
+  }
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector
+ * @returns {number} - Similarity between -1 and 1
+ */
+function cosine(a, b) {
+  let dot = 0
+  let normA = 0
+  let normB = 0
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i]
+    normA += a[i] * a[i]
+    normB += b[i] * b[i]
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0
+}
+
+/**
+ * Builds a vector index over texts with an embedder
+ * @param {Array<string>} texts - Texts to index
+ * @param {Object} embedder - { name, embed(texts) => Promise<Array<Array<number>>> }
+ * @returns {Promise<Object>} - { name, search(query, k, queryEmbedder?) => Promise<Array<{ index, score }>> };
+ *   the query is embedded with queryEmbedder when given, so a cached index can serve someone else's question
+ */
+export async function createEmbeddingIndex(texts, embedder) {
+  const vectors = []
+  for (let start = 0; start < texts.length; start += EMBEDDING_BATCH_SIZE) {
+    vectors.push(...(await embedder.embed(texts.slice(start, start + EMBEDDING_BATCH_SIZE))))
+  }
+
+  return {
+    name: embedder.name,
+
+    async search(query, k, queryEmbedder = embedder) {
+      const [queryVector] = await queryEmbedder.embed([query])
+      return vectors
+        .map((vector, index) => ({ index, score: cosine(queryVector, vector) }))
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .slice(0, k)
+    },
+  }
+}
+
+/**
+ * Creates an embedder backed by the LLM adapter's embeddings
+ * @param {Object} llm - LLM adapter
+ * @returns {Object} - { name, embed(texts) }
+ */
+export function createLLMEmbedder(llm) {
+  return {
+    name: `${llm.provider} embeddings`,
+    embed: (texts) => llm.embed(texts),
+  }
+}
+
+/**
+ * Creates a retriever that finds the records most relevant to a question. Records are embedded with
+ * `embedder` when one is given, falling back to the local BM25 index when it is missing or fails.
+ * Indexes are cached per dataset, so a session's records are only indexed again when they change
+ * @param {Object} [options] - Retriever options
+ * @param {Object} [options.embedder] - { name, embed(texts) => Promise<Array<Array<number>>> }
+ * @returns {Object} - { retrieve(records, question, { k, embedder }) }
+ */
+export function createRetriever({ embedder: defaultEmbedder } = {}) {
+  const indexes = new Map()
+
+  const buildIndex = async (texts, embedder) => {
+    if (embedder) {
+      try {
+        return await createEmbeddingIndex(texts, embedder)
+      } catch (error) {
+        console.error(`❌ Embedding with ${embedder.name} failed, using the local index:`, error.message)
+      }
+    }
+    return createLocalIndex(texts)
+  }
+
+  const getIndex = (records, embedder) => {
+    const key = datasetKey(records)
+    if (!indexes.has(key)) {
+      const index = buildIndex(records.map(recordText), embedder)
+      indexes.set(key, index)
+      if (indexes.size > MAX_CACHED_INDEXES) {
+        indexes.delete(indexes.keys().next().value)
+      }
+    }
+    return indexes.get(key)
+  }
+
+  return {
+    /**
+     * Finds the records most relevant to a question
+     * @param {Array<Object>} records - Scraped records
+     * @param {string} question - The user's question
+     * @param {Object} [options] - Retrieval options
+     * @param {number} [options.k] - Records to return
+     * @param {Object} [options.embedder] - Overrides the retriever's embedder for this question, e.g. one that
+     *   charges the tokens to whoever asked; an index already cached only embeds the question with it
+     * @returns {Promise<Array<Object>>} - { record, index, score } best first; empty when nothing matches
+     */
+    async retrieve(records, question, { k = DEFAULT_TOP_K, embedder = defaultEmbedder } = {}) {
+      if (!records?.length || !question?.trim()) return []
+
+      const index = await getIndex(records, embedder)
+      let hits
+      try {
+        hits = await index.search(question, k, embedder)
+      } catch (error) {
+        console.error(`❌ Searching the ${index.name} index failed, using the local index:`, error.message)
+        hits = await createLocalIndex(records.map(recordText)).search(question, k)
+      }
+      return hits.map(({ index: position, score }) => ({ record: records[position], index: position, score }))
+    },
+  }
+}
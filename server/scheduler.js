@@ -0,0 +1,320 @@
+import fetch from "node-fetch"
+import { z } from "zod"
+import { v4 as uuidv4 } from "uuid"
+import { formatIssues, parseExtractionSchema, parsePagination, parseRender } from "./schema.js"
+import { parseDedupeRules } from "./dedupe.js"
+import { parseDetailOptions } from "./details.js"
+import { nextRun, parseCron } from "./cron.js"
+import { createUrlPolicy } from "./fetcher/policy.js"
+
+// How often due schedules are looked for
+const TICK_MS = 30 * 1000
+
+// How long a webhook may take to answer
+const WEBHOOK_TIMEOUT_MS = 10 * 1000
+
+// Added, removed and modified records sent to a webhook, each
+const MAX_WEBHOOK_ROWS = 100
+
+// Webhooks may not reach the server's own network either. The scrape allow list doesn't apply: a webhook
+// isn't a page to scrape
+const webhookPolicy = createUrlPolicy({ allowDomains: [] })
+
+const pageRangeSchema = z
+  .object({
+    start: z.number().int().min(1),
+    end: z.number().int().min(1),
+  })
+  .strict()
+  .refine(({ start, end }) => end >= start, { message: "end must not be before start", path: ["end"] })
+
+export const scheduleSchema = z
+  .object({
+    name: z.string().min(1).max(100).optional(),
+    url: z.string().url(),
+    pageRange: pageRangeSchema.optional(),
+    cron: z.string().min(1),
+    webhookUrl: z.string().url().optional(),
+    // Scrape options, as posted to /api/scrape
+    extractor: z.string().min(1).optional(),
+    schema: z.unknown().optional(),
+    paginationStrategy: z.unknown().optional(),
+    dedupe: z.unknown().optional(),
+    render: z.unknown().optional(),
+    details: z.unknown().optional(),
+  })
+  .strict()
+
+/**
+ * Validates a schedule from a request body, including its cron expression and scrape options
+ * @param {Object} input - url and cron, plus an optional name, pageRange, webhookUrl and /api/scrape options
+ * @returns {Object} - { schedule } on success or { errors } with one message per problem
+ */
+export function parseSchedule(input) {
+  const result = scheduleSchema.safeParse(input)
+  if (!result.success) {
+    return { errors: formatIssues(result.error.issues) }
+  }
+
+  const schedule = result.data
+  const errors = []
+  const check = (field, parsed) => parsed.errors?.forEach((error) => errors.push(`${field}: ${error}`))
+  check("cron", parseCron(schedule.cron))
+  if (schedule.schema !== undefined) check("schema", parseExtractionSchema(schedule.schema))
+  if (schedule.paginationStrategy !== undefined) {
+    check("paginationStrategy", parsePagination(schedule.paginationStrategy))
+  }
+  if (schedule.dedupe !== undefined) check("dedupe", parseDedupeRules(schedule.dedupe))
+  if (schedule.render !== undefined) check("render", parseRender(schedule.render))
+  if (schedule.details !== undefined) check("details", parseDetailOptions(schedule.details))
+  return errors.length > 0 ? { errors } : { schedule }
+}
+
+/**
+ * Cuts the record lists of a diff down to what a webhook is sent
+ * @param {Object} diff - Body of a /api/diff response
+ * @returns {Object} - The diff with at most MAX_WEBHOOK_ROWS records per list
+ */
+function trimDiff({ added, removed, modified, ...diff }) {
+  const truncated = [added, removed, modified].some((records) => records.length > MAX_WEBHOOK_ROWS)
+  return {
+    ...diff,
+    added: added.slice(0, MAX_WEBHOOK_ROWS),
+    removed: removed.slice(0, MAX_WEBHOOK_ROWS),
+    modified: modified.slice(0, MAX_WEBHOOK_ROWS),
+    ...(truncated ? { truncated: true } : {}),
+  }
+}
+
+/**
+ * Checks a webhook URL against the URL policy, when a schedule is created
+ * @param {string} url - Webhook URL
+ * @returns {Promise<Array<string>>} - One message per problem, empty when the URL may be used
+ */
+export async function checkWebhookUrl(url) {
+  try {
+    await webhookPolicy.check(url)
+    return []
+  } catch (error) {
+    return [`webhookUrl: ${error.message}`]
+  }
+}
+
+/**
+ * POSTs a run summary to a webhook. The URL is checked against the URL policy, again when connecting, and
+ * redirects aren't followed, so a webhook can't be pointed at the server's own network
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - Summary
+ * @returns {Promise<Object>} - { status } with the webhook's HTTP status, or { error }
+ */
+async function postWebhook(url, payload) {
+  try {
+    await webhookPolicy.check(url)
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "User-Agent": "scraping-ai-chat-scheduler" },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      redirect: "manual",
+      agent: (parsedUrl) => webhookPolicy.agent(parsedUrl),
+    })
+    if (response.status >= 300 && response.status < 400) {
+      console.error(`❌ Webhook ${url} redirected to ${response.headers.get("location")}, which isn't followed`)
+    } else if (!response.ok) {
+      console.error(`❌ Webhook ${url} answered ${response.status}`)
+    }
+    return { status: response.status }
+  } catch (error) {
+    console.error(`❌ Webhook ${url} failed:`, error.message)
+    return { error: error.message }
+  }
+}
+
+/**
+ * Creates the scheduler for recurring scrapes. Schedules are kept in memory and mirrored to a
+ * Supabase table, so they survive restarts; runs missed while the server was down are skipped.
+ * Expects `scrape_schedules` (id text primary key, schedule jsonb, updated_at timestamptz)
+ * @param {Object} options - Scheduler options
+ * @param {Object} options.supabase - Supabase client
+ * @param {Function} options.run - async (schedule) => { sessionId, totalItems, diff }, the scrape itself;
+ *   throws when the scrape fails. diff is a /api/diff body, or null on the first run
+ * @param {string} [options.webhookUrl] - Webhook for schedules that don't name their own
+ * @param {string} [options.table] - Table name
+ * @returns {Object} - Scheduler
+ */
+export function createScheduler({ supabase, run, webhookUrl: defaultWebhookUrl, table = "scrape_schedules" }) {
+  const schedules = new Map()
+  const crons = new Map()
+  const running = new Set()
+
+  const describe = (schedule) => ({ ...schedule, running: running.has(schedule.id) })
+
+  const persist = async (schedule) => {
+    try {
+      const { error } = await supabase
+        .from(table)
+        .upsert([{ id: schedule.id, schedule, updated_at: new Date().toISOString() }])
+      if (error) {
+        console.error("❌ Error storing schedule:", error)
+      }
+    } catch (dbError) {
+      console.error("Database storage error:", dbError)
+    }
+  }
+
+  const plan = (schedule) => {
+    const cron = crons.get(schedule.id) || parseCron(schedule.cron).cron
+    crons.set(schedule.id, cron)
+    schedule.nextRunAt = schedule.paused ? null : nextRun(cron)?.toISOString() || null
+  }
+
+  const execute = async (schedule) => {
+    running.add(schedule.id)
+    const ranAt = new Date().toISOString()
+    let payload
+    try {
+      const { sessionId, totalItems, diff } = await run(schedule)
+      schedule.sessionId = sessionId
+      payload = { event: "scrape.completed", totalItems, diff: diff ? trimDiff(diff) : null }
+      schedule.lastRun = { at: ranAt, status: "completed", totalItems, changes: diff?.summary || null }
+      console.log(`✅ Schedule ${schedule.id} scraped ${totalItems} records`)
+    } catch (error) {
+      console.error(`❌ Schedule ${schedule.id} failed:`, error)
+      payload = { event: "scrape.failed", error: error.message }
+      schedule.lastRun = { at: ranAt, status: "failed", error: error.message }
+    } finally {
+      running.delete(schedule.id)
+    }
+
+    const webhookUrl = schedule.webhookUrl || defaultWebhookUrl
+    if (webhookUrl) {
+      const { id, name, url, pageRange, cron } = schedule
+      schedule.lastRun.webhook = await postWebhook(webhookUrl, {
+        ...payload,
+        schedule: { id, name: name || null, url, pageRange: pageRange || null, cron },
+        ranAt,
+      })
+    }
+
+    // Deleted while it ran
+    if (!schedules.has(schedule.id)) return
+    plan(schedule)
+    await persist(schedule)
+  }
+
+  const tick = () => {
+    const now = new Date()
+    schedules.forEach((schedule) => {
+      if (schedule.paused || running.has(schedule.id) || !schedule.nextRunAt) return
+      if (new Date(schedule.nextRunAt) <= now) execute(schedule)
+    })
+  }
+
+  return {
+    /**
+     * Loads the stored schedules and starts running them when due
+     */
+    async start() {
+      try {
+        const { data, error } = await supabase.from(table).select("schedule")
+        if (error) {
+          console.error("❌ Error loading schedules:", error)
+        }
+        const rows = data || []
+        rows.forEach(({ schedule }) => {
+          if (!parseCron(schedule.cron).cron) return
+          plan(schedule)
+          schedules.set(schedule.id, schedule)
+        })
+      } catch (dbError) {
+        console.error("Database lookup error:", dbError)
+      }
+      if (schedules.size > 0) {
+        console.log(`✅ Loaded ${schedules.size} scheduled scrape(s)`)
+      }
+      setInterval(tick, TICK_MS).unref()
+    },
+
+    /**
+     * Registers a schedule
+     * @param {Object} input - Validated schedule from parseSchedule
+     * @returns {Promise<Object>} - The schedule with its id and next run
+     */
+    async create(input) {
+      const schedule = {
+        ...input,
+        id: uuidv4(),
+        paused: false,
+        sessionId: null,
+        createdAt: new Date().toISOString(),
+        nextRunAt: null,
+        lastRun: null,
+      }
+      plan(schedule)
+      schedules.set(schedule.id, schedule)
+      await persist(schedule)
+      return describe(schedule)
+    },
+
+    /**
+     * Lists the schedules, oldest first
+     * @returns {Array<Object>} - Schedules
+     */
+    list() {
+      return Array.from(schedules.values()).map(describe)
+    },
+
+    /**
+     * Returns a schedule
+     * @param {string} id - Schedule ID
+     * @returns {Object|null} - The schedule
+     */
+    get(id) {
+      const schedule = schedules.get(id)
+      return schedule ? describe(schedule) : null
+    },
+
+    /**
+     * Pauses or resumes a schedule. A resumed schedule waits for its next due time
+     * @param {string} id - Schedule ID
+     * @param {boolean} paused - Pause when true, resume when false
+     * @returns {Promise<Object|null>} - The schedule, or null if unknown
+     */
+    async setPaused(id, paused) {
+      const schedule = schedules.get(id)
+      if (!schedule) return null
+      schedule.paused = paused
+      plan(schedule)
+      await persist(schedule)
+      return describe(schedule)
+    },
+
+    /**
+     * Runs a schedule now, in the background, without changing its next due time
+     * @param {string} id - Schedule ID
+     * @returns {Object|null} - The schedule, or null if unknown
+     */
+    runNow(id) {
+      const schedule = schedules.get(id)
+      if (!schedule) return null
+      if (!running.has(id)) execute(schedule)
+      return describe(schedule)
+    },
+
+    /**
+     * Deletes a schedule; a run in progress finishes but isn't rescheduled
+     * @param {string} id - Schedule ID
+     * @returns {Promise<boolean>} - True if the schedule existed
+     */
+    async remove(id) {
+      const existed = schedules.delete(id)
+      crons.delete(id)
+      try {
+        await supabase.from(table).delete().eq("id", id)
+      } catch (dbError) {
+        console.error("Database delete error:", dbError)
+      }
+      return existed
+    },
+  }
+}
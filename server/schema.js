@@ -0,0 +1,239 @@
+import { z } from "zod"
+import * as cheerio from "cheerio"
+
+// Field types supported by declarative schemas
+export const FIELD_TYPES = ["string", "number", "url", "phone", "location", "name"]
+
+// Empty document used to check that selectors compile
+const $probe = cheerio.load("")
+
+export const cssSelector = z
+  .string()
+  .trim()
+  .min(1, "Selector must not be empty")
+  .superRefine((selector, ctx) => {
+    try {
+      $probe(selector)
+    } catch (error) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Invalid CSS selector "${selector}": ${error.message}` })
+    }
+  })
+
+const regexPattern = z.string().superRefine((pattern, ctx) => {
+  try {
+    new RegExp(pattern)
+  } catch (error) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Invalid regex "${pattern}": ${error.message}` })
+  }
+})
+
+const fieldDefinition = z
+  .object({
+    selector: cssSelector.optional(),
+    path: z.string().trim().min(1).optional(), // Dot path into JSON items (json pagination)
+    attribute: z.string().trim().min(1).optional(),
+    regex: regexPattern.optional(),
+    type: z
+      .enum(FIELD_TYPES, {
+        errorMap: () => ({ message: `Unknown field type, expected one of: ${FIELD_TYPES.join(", ")}` }),
+      })
+      .default("string"),
+  })
+  .strict()
+
+// A field can be given as a bare selector string or a full definition
+const fieldSchema = z.preprocess((field) => (typeof field === "string" ? { selector: field } : field), fieldDefinition)
+
+// Field definitions by field name
+export const fieldsSchema = z
+  .record(z.string().regex(/^[A-Za-z_][A-Za-z0-9_]*$/, "Field names must be identifiers"), fieldSchema)
+  .refine((fields) => Object.keys(fields).length > 0, "Schema must declare at least one field")
+
+// Pagination strategies; a bare strategy name is shorthand for its defaults
+export const PAGINATION_STRATEGIES = ["auto", "query", "offset", "path", "next-link", "json"]
+
+const perPage = z.number().int().positive()
+
+export const paginationSchema = z.preprocess(
+  (pagination) => {
+    if (typeof pagination === "string") return { strategy: pagination }
+    if (pagination && typeof pagination === "object" && !pagination.strategy) {
+      return { strategy: "query", ...pagination }
+    }
+    return pagination
+  },
+  z.discriminatedUnion(
+    "strategy",
+    [
+      z.object({ strategy: z.literal("auto") }).strict(),
+      z
+        .object({
+          strategy: z.literal("query"),
+          param: z.string().min(1).default("page"),
+          perPage: perPage.optional(),
+          preserveQuery: z.boolean().default(true),
+        })
+        .strict(),
+      z
+        .object({
+          strategy: z.literal("offset"),
+          param: z.string().min(1).default("offset"),
+          perPage,
+          start: z.number().int().min(0).default(0),
+        })
+        .strict(),
+      z
+        .object({
+          strategy: z.literal("path"),
+          template: z
+            .string()
+            .includes("{page}", { message: "Path template must contain {page}" })
+            .default("/page/{page}/"),
+          perPage: perPage.optional(),
+        })
+        .strict(),
+      z
+        .object({
+          strategy: z.literal("next-link"),
+          selector: cssSelector.optional(),
+          perPage: perPage.optional(),
+        })
+        .strict(),
+      z
+        .object({
+          strategy: z.literal("json"),
+          endpoint: z
+            .string()
+            .refine((endpoint) => /\{(page|offset)\}/.test(endpoint), "JSON endpoint must contain {page} or {offset}"),
+          itemsPath: z.string().default(""),
+          totalPath: z.string().optional(),
+          perPage: perPage.optional(),
+        })
+        .strict(),
+    ],
+    {
+      errorMap: (issue, ctx) =>
+        issue.code === z.ZodIssueCode.invalid_union_discriminator
+          ? { message: `Unknown pagination strategy, expected one of: ${PAGINATION_STRATEGIES.join(", ")}` }
+          : { message: ctx.defaultError },
+    },
+  ),
+)
+
+/**
+ * Validates pagination settings supplied with a request
+ * @param {Object|string} input - Settings object or strategy name
+ * @returns {Object} - { pagination } on success or { errors } with one message per problem
+ */
+export function parsePagination(input) {
+  const result = paginationSchema.safeParse(input)
+  if (!result.success) {
+    return { errors: formatIssues(result.error.issues) }
+  }
+  return { pagination: result.data }
+}
+
+// How pages are loaded: as static HTML, in headless Chromium, or statically with the browser as a fallback
+export const RENDER_MODES = ["auto", "static", "browser"]
+
+export const renderSchema = z.preprocess(
+  (render) => (typeof render === "string" ? { mode: render } : render),
+  z
+    .object({
+      // Browser settings on their own imply the browser
+      mode: z.enum(RENDER_MODES).default("browser"),
+      // Element to wait for before reading the page; network idle otherwise
+      waitFor: cssSelector.optional(),
+      // Button that loads the next page in place, for client-side pagination
+      nextButton: cssSelector.optional(),
+      timeoutMs: z.number().int().min(1000).max(120000).optional(),
+    })
+    .strict(),
+)
+
+/**
+ * Validates the render option of a request
+ * @param {Object|string} input - Render mode name or settings object
+ * @returns {Object} - { render } on success or { errors } with one message per problem
+ */
+export function parseRender(input) {
+  const result = renderSchema.safeParse(input)
+  if (!result.success) {
+    return { errors: formatIssues(result.error.issues) }
+  }
+  return { render: result.data }
+}
+
+export const extractionSchema = z
+  .object({
+    // Not needed when records come from a JSON endpoint
+    rowSelector: cssSelector.optional(),
+    skipRows: z.number().int().min(0).optional(),
+    fields: fieldsSchema,
+    pagination: paginationSchema.optional(),
+    totalCount: z
+      .object({
+        selector: cssSelector.default("body"),
+        pattern: regexPattern,
+      })
+      .strict()
+      .optional(),
+    // Phones, locations and names are normalized unless this is false
+    normalize: z.boolean().optional(),
+  })
+  .strict()
+  .refine((schema) => schema.rowSelector || schema.pagination?.strategy === "json", {
+    message: "Required unless pagination uses a JSON endpoint",
+    path: ["rowSelector"],
+  })
+
+/**
+ * Formats zod issues as "path: message" strings
+ * @param {Array} issues - Zod issues
+ * @returns {Array} - One message per issue
+ */
+export function formatIssues(issues) {
+  return issues.map((issue) => {
+    const path = issue.path.length > 0 ? `${issue.path.join(".")}: ` : ""
+    return `${path}${issue.message}`
+  })
+}
+
+/**
+ * Validates a declarative extraction schema from a request body
+ * @param {Object} input - The schema as posted by the client
+ * @returns {Object} - { schema } on success or { errors } with one message per problem
+ */
+export function parseExtractionSchema(input) {
+  const result = extractionSchema.safeParse(input)
+  if (!result.success) {
+    return { errors: formatIssues(result.error.issues) }
+  }
+  return { schema: result.data }
+}
+
+/**
+ * Turns a validated schema into an extractor definition the scraper can run
+ * @param {Object} schema - Validated extraction schema
+ * @param {string} name - Extractor name reported back to the client
+ * @returns {Object} - Extractor definition
+ */
+export function schemaToExtractor(schema, name = "custom-schema") {
+  return {
+    name,
+    description: "Declarative extraction schema",
+    rowSelector: schema.rowSelector,
+    skipRows: schema.skipRows,
+    fields: Object.fromEntries(
+      Object.entries(schema.fields).map(([name, field]) => [
+        name,
+        { ...field, regex: field.regex ? new RegExp(field.regex) : undefined },
+      ]),
+    ),
+    pagination: schema.pagination,
+    normalize: schema.normalize,
+    totalCount: schema.totalCount
+      ? { ...schema.totalCount, pattern: new RegExp(schema.totalCount.pattern) }
+      : undefined,
+  }
+}
@@ -0,0 +1,422 @@
+import * as cheerio from "cheerio"
+import { buildPageUrl, createPagingState, detectPagination, findNextLink } from "./pagination.js"
+import { normalizeRecords } from "./normalize.js"
+import { withProvenance } from "./provenance.js"
+import { createFetcher } from "./fetcher/index.js"
+import { renderClickedPage, renderPage } from "./browser.js"
+
+// Shared by every crawl, so per-host limits and robots.txt apply across requests
+const fetcher = createFetcher()
+
+/**
+ * Reads a single field from a row according to its extractor mapping
+ * @param {Function} $ - Cheerio root
+ * @param {Object} row - Cheerio row element
+ * @param {Array} cells - Cells of the row (when the extractor declares a cellSelector)
+ * @param {Object|Function} field - Field mapping ({ cell }, { selector, attribute } or a function)
+ * @returns {string} - The trimmed field value
+ */
+function readField($, row, cells, field) {
+  if (typeof field === "function") {
+    return String(field($(row), $) ?? "").trim()
+  }
+
+  let target = $(row)
+  if (field.cell !== undefined) {
+    target = $(cells[field.cell])
+  }
+  if (field.selector) {
+    target = target.find(field.selector).first()
+  }
+
+  const value = field.attribute ? target.attr(field.attribute) : target.text()
+  return (value || "").trim()
+}
+
+/**
+ * Applies a field's regex and type to a raw value
+ * @param {string} value - Raw field value
+ * @param {Object|Function} field - Field mapping
+ * @param {string} pageUrl - URL of the page, used to resolve relative links
+ * @returns {string|number} - The processed value, or "-" when empty or invalid
+ */
+function formatValue(value, field, pageUrl) {
+  if (typeof field === "function") return value || "-"
+
+  if (field.regex && value) {
+    const match = value.match(field.regex)
+    value = match ? (match[1] ?? match[0]).trim() : ""
+  }
+  if (!value) return "-"
+
+  switch (field.type) {
+    case "number": {
+      const number = Number.parseFloat(value.replace(/[^\d.-]/g, ""))
+      return Number.isNaN(number) ? "-" : number
+    }
+    case "url":
+      try {
+        return new URL(value, pageUrl).href
+      } catch {
+        return "-"
+      }
+    case "phone": {
+      // Converted to E.164 by the normalization stage
+      const phone = value.replace(/^tel:/i, "").trim()
+      return phone || "-"
+    }
+    default:
+      return value
+  }
+}
+
+/**
+ * Extracts records from a loaded page using an extractor definition
+ * @param {Function} $ - Cheerio root
+ * @param {Object} extractor - Extractor definition
+ * @param {string} pageUrl - URL of the page, used to resolve relative links
+ * @returns {Array} - Records with an `id` for deduplication
+ */
+export function extractRecords($, extractor, pageUrl) {
+  const records = []
+  const fieldNames = Object.keys(extractor.fields)
+
+  $(extractor.rowSelector).each((index, element) => {
+    if (index < (extractor.skipRows || 0)) return
+
+    const cells = extractor.cellSelector ? $(element).find(extractor.cellSelector).toArray() : []
+    if (extractor.minCells && cells.length < extractor.minCells) return
+
+    const record = {}
+    fieldNames.forEach((fieldName) => {
+      const field = extractor.fields[fieldName]
+      record[fieldName] = formatValue(readField($, element, cells, field), field, pageUrl)
+    })
+
+    records.push(withRecordId(record))
+  })
+
+  return records
+}
+
+/**
+ * Adds a unique ID built from the record's values to help with deduplication
+ * @param {Object} record - Extracted record
+ * @returns {Object} - The record with an `id` first
+ */
+function withRecordId(record) {
+  const uniqueId = Object.values(record).join("-").toLowerCase().replace(/\s+/g, "")
+  return { id: uniqueId, ...record }
+}
+
+/**
+ * Reads a dot-separated path (e.g. "data.items" or "contact.phone") from a JSON value
+ * @param {*} value - Parsed JSON
+ * @param {string} path - Dot path; empty returns the value itself
+ * @returns {*} - The value at the path, or undefined
+ */
+function getPath(value, path) {
+  if (!path) return value
+  return path.split(".").reduce((current, key) => (current == null ? undefined : current[key]), value)
+}
+
+/**
+ * Extracts records from the items of a JSON endpoint (infinite-scroll APIs)
+ * @param {Array} items - Items from the JSON response
+ * @param {Object} extractor - Extractor definition; fields read `path`, defaulting to the field name
+ * @param {string} pageUrl - URL of the endpoint, used to resolve relative links
+ * @returns {Array} - Records with an `id` for deduplication
+ */
+export function extractJsonRecords(items, extractor, pageUrl) {
+  return items.map((item) => {
+    const record = {}
+    Object.entries(extractor.fields).forEach(([fieldName, field]) => {
+      const raw = typeof field === "function" ? field(item) : getPath(item, field.path || fieldName)
+      record[fieldName] = formatValue(raw == null ? "" : String(raw).trim(), field, pageUrl)
+    })
+    return withRecordId(record)
+  })
+}
+
+/**
+ * Detects the total number of entries advertised by the page
+ * @param {Function} $ - Cheerio root
+ * @param {Object} extractor - Extractor definition
+ * @returns {number} - Total entries, or 0 when unknown
+ */
+export function detectTotalCount($, extractor) {
+  const { totalCount } = extractor
+  if (!totalCount) return 0
+
+  if (typeof totalCount === "function") {
+    return Number(totalCount($)) || 0
+  }
+
+  const text = $(totalCount.selector || "body").text()
+  const match = totalCount.pattern ? text.match(totalCount.pattern) : null
+  return match ? Number.parseInt(match[1].replace(/,/g, "")) : 0
+}
+
+/**
+ * Checks a URL against the server's URL policy, so a scrape of a forbidden URL fails before it starts
+ * @param {string} url - URL about to be scraped
+ * @throws {Error} - With code "URL_BLOCKED" and the rule that rejected it, or the DNS error when the host
+ *   doesn't resolve
+ */
+export async function checkUrl(url) {
+  await fetcher.checkUrl(url)
+}
+
+/**
+ * Fetches a page's HTML (or any other text body) through the polite fetcher
+ * @param {string} pageUrl - URL to fetch
+ * @param {string} accept - Value of the Accept header
+ * @returns {Promise<string>} - The response body
+ * @throws {Error} - When the URL policy rejects the page (error.code is "URL_BLOCKED"), robots.txt disallows
+ *   it ("ROBOTS_DISALLOWED"), the request fails after its retries or the server does not answer with a 2xx status
+ */
+export async function fetchPage(pageUrl, accept = "text/html,application/xhtml+xml,*/*") {
+  return fetcher.fetchText(pageUrl, { accept })
+}
+
+/**
+ * Loads a page's HTML, statically or rendered in headless Chromium depending on the crawl's render mode
+ * @param {Object} paging - Pagination state, with the render settings
+ * @param {string} pageUrl - URL of the page
+ * @returns {Promise<string>} - The HTML
+ */
+async function loadHtml(paging, pageUrl) {
+  if (paging.render?.mode !== "browser") {
+    return fetchPage(pageUrl)
+  }
+  await fetcher.checkAllowed(pageUrl)
+  const { html } = await renderPage(pageUrl, {
+    ...paging.render,
+    userAgent: fetcher.userAgent,
+    load: fetcher.fetchForBrowser,
+  })
+  return html
+}
+
+/**
+ * Fetches and parses an HTML results page, detecting the pagination strategy from it
+ * if it isn't known yet and recording the next page's URL when following links
+ * @param {Object} paging - Pagination state
+ * @param {number} pageNum - Page number being loaded
+ * @param {string} pageUrl - URL of that page
+ * @returns {Promise<Object>} - { $, nextUrl }
+ */
+async function loadHtmlPage(paging, pageNum, pageUrl) {
+  const $ = cheerio.load(await loadHtml(paging, pageUrl))
+
+  if (!paging.settings) {
+    paging.settings = detectPagination($, pageUrl)
+    console.log(`Detected pagination for ${paging.url}:`, paging.settings)
+  }
+
+  const isNextLink = paging.settings.strategy === "next-link"
+  const nextUrl = findNextLink($, pageUrl, isNextLink ? paging.settings : {})
+  if (isNextLink && nextUrl) {
+    paging.pageUrls[pageNum + 1] = nextUrl
+  }
+
+  return { $, nextUrl }
+}
+
+/**
+ * Resolves the URL of a page. Random-access strategies compute it directly; next-link
+ * pagination walks forward from the furthest page already discovered
+ * @param {Object} paging - Pagination state with known settings
+ * @param {number} pageNum - 1-based page number
+ * @returns {Promise<string|null>} - The page URL, or null if the site has fewer pages
+ */
+async function resolvePageUrl(paging, pageNum) {
+  if (paging.settings.strategy !== "next-link") {
+    return buildPageUrl(paging.url, pageNum, paging.settings)
+  }
+
+  let known = Math.max(...Object.keys(paging.pageUrls).map(Number).filter((page) => page <= pageNum))
+  while (known < pageNum) {
+    const { nextUrl } = await loadHtmlPage(paging, known, paging.pageUrls[known])
+    if (!nextUrl) return null
+    known++
+  }
+
+  return paging.pageUrls[pageNum]
+}
+
+/**
+ * Scrapes a detail page, which describes a single record
+ * @param {string} pageUrl - URL of the detail page
+ * @param {Object} extractor - Extractor for the page; its first row is the record
+ * @returns {Promise<Object|null>} - The record's fields, or null when the extractor finds nothing
+ * @throws {Error} - When the page can't be fetched, as fetchPage
+ */
+export async function scrapeDetailPage(pageUrl, extractor) {
+  const $ = cheerio.load(await fetchPage(pageUrl))
+  const [record] = normalizeRecords(extractRecords($, extractor, pageUrl), extractor)
+  if (!record) return null
+  const { id, ...fields } = record
+  return fields
+}
+
+/**
+ * Scrapes one page of a listing paginated in place by a "Next" button, in headless Chromium
+ * @param {number} pageNum - 1-based page number
+ * @param {Object} extractor - Extractor definition
+ * @param {Object} paging - Pagination state with render settings naming the nextButton
+ * @returns {Promise<Object>} - Page records and pagination info
+ */
+async function scrapeClickedPage(pageNum, extractor, paging) {
+  console.log(`Scraping page ${pageNum} of ${paging.url} by clicking "${paging.render.nextButton}"`)
+
+  await fetcher.checkAllowed(paging.url)
+  const { html, hasNext } = await renderClickedPage(paging, paging.url, pageNum, {
+    ...paging.render,
+    userAgent: fetcher.userAgent,
+    load: fetcher.fetchForBrowser,
+  })
+  if (html === null) {
+    console.log(`Page ${pageNum} is past the last "next" button of ${paging.url}`)
+    return { data: [], hasMorePages: false, totalEntries: 0, entriesPerPage: null }
+  }
+
+  const $ = cheerio.load(html)
+  const totalEntries = detectTotalCount($, extractor)
+  const records = withProvenance(normalizeRecords(extractRecords($, extractor, paging.url), extractor), {
+    url: paging.url,
+    page: pageNum,
+    extractor: extractor.name,
+  })
+
+  console.log(`Found ${records.length} records on page ${pageNum}, total entries: ${totalEntries}`)
+  return { data: records, hasMorePages: hasNext, totalEntries, entriesPerPage: extractor.pagination?.perPage || null }
+}
+
+/**
+ * Retries a page that had no records in headless Chromium, for crawls in "auto" render mode that haven't
+ * settled on a mode yet. The crawl keeps the browser when it finds records and static HTML otherwise
+ * @param {string} url - The URL the user asked to scrape
+ * @param {number} pageNum - 1-based page number
+ * @param {Object} extractor - Extractor definition
+ * @param {Object} paging - Pagination state
+ * @param {Object} staticResult - What the static HTML gave
+ * @returns {Promise<Object>} - The better of the two results
+ */
+async function retryInBrowser(url, pageNum, extractor, paging, staticResult) {
+  console.log(`No records in the static HTML of ${url}, rendering it in the browser`)
+  const staticState = { settings: paging.settings, pageUrls: paging.pageUrls }
+
+  // Pagination detected from the static HTML may not match the rendered page
+  if (paging.settings?.detected) {
+    paging.settings = null
+  }
+  paging.pageUrls = { 1: paging.url }
+  paging.render.mode = "browser"
+
+  const rendered = await scrapePage(url, pageNum, extractor, paging)
+  if (rendered.data.length > 0) {
+    return rendered
+  }
+
+  if (rendered.error) {
+    console.error(`❌ Browser fallback for ${url} failed:`, rendered.error)
+  }
+  Object.assign(paging, staticState)
+  paging.render.mode = "static"
+  return staticResult
+}
+
+/**
+ * Scrapes one page of results with the given extractor
+ * @param {string} url - The URL the user asked to scrape
+ * @param {number} pageNum - 1-based page number
+ * @param {Object} extractor - Extractor definition
+ * @param {Object} paging - Pagination state from createPagingState, shared by the pages of one crawl
+ * @returns {Object} - Page records, each with its provenance in `_source`, and pagination info, with error and
+ *   errorCode when the page failed to load
+ */
+export async function scrapePage(url, pageNum, extractor, paging = createPagingState(url, extractor.pagination)) {
+  const empty = { data: [], hasMorePages: false, totalEntries: 0, entriesPerPage: null }
+
+  try {
+    if (paging.render?.mode === "browser" && paging.render.nextButton) {
+      return await scrapeClickedPage(pageNum, extractor, paging)
+    }
+
+    // Without explicit settings, the first page tells us how the site paginates
+    if (!paging.settings && pageNum > 1) {
+      await loadHtmlPage(paging, 1, paging.url)
+    }
+
+    if (paging.settings?.strategy === "json") {
+      const { itemsPath, totalPath, perPage } = paging.settings
+      const pageUrl = buildPageUrl(url, pageNum, paging.settings)
+
+      console.log(`Scraping page ${pageNum} from: ${pageUrl} (extractor: ${extractor.name}, json)`)
+
+      const json = JSON.parse(await fetchPage(pageUrl, "application/json"))
+      const items = getPath(json, itemsPath)
+      if (!Array.isArray(items)) {
+        console.error(`No item array at "${itemsPath}" in ${pageUrl}`)
+        return empty
+      }
+
+      const records = withProvenance(normalizeRecords(extractJsonRecords(items, extractor, pageUrl), extractor), {
+        url: pageUrl,
+        page: pageNum,
+        extractor: extractor.name,
+      })
+      const totalEntries = totalPath ? Number(getPath(json, totalPath)) || 0 : 0
+      const hasMorePages =
+        totalEntries > 0
+          ? (pageNum - 1) * (perPage || items.length) + items.length < totalEntries
+          : perPage
+            ? items.length >= perPage
+            : items.length > 0
+
+      console.log(`Found ${records.length} records on page ${pageNum}, total entries: ${totalEntries}`)
+      return { data: records, hasMorePages, totalEntries, entriesPerPage: perPage || null }
+    }
+
+    const pageUrl = paging.settings ? await resolvePageUrl(paging, pageNum) : paging.url
+    if (!pageUrl) {
+      console.log(`Page ${pageNum} is past the last "next" link of ${url}`)
+      return empty
+    }
+
+    console.log(`Scraping page ${pageNum} from: ${pageUrl} (extractor: ${extractor.name})`)
+
+    const { $, nextUrl } = await loadHtmlPage(paging, pageNum, pageUrl)
+
+    const totalEntries = detectTotalCount($, extractor)
+    const records = withProvenance(normalizeRecords(extractRecords($, extractor, pageUrl), extractor), {
+      url: pageUrl,
+      page: pageNum,
+      extractor: extractor.name,
+    })
+    const entriesPerPage = paging.settings.perPage || extractor.pagination?.perPage || null
+
+    // Prefer the advertised total; otherwise a next link (or a full page) means there is more
+    const currentEntries = (pageNum - 1) * (entriesPerPage || records.length) + records.length
+    const hasMorePages =
+      totalEntries > 0
+        ? currentEntries < totalEntries
+        : Boolean(nextUrl) || (entriesPerPage !== null && records.length >= entriesPerPage)
+
+    console.log(`Found ${records.length} records on page ${pageNum}, total entries: ${totalEntries}`)
+    const result = { data: records, hasMorePages, totalEntries, entriesPerPage }
+
+    // In "auto" mode the first page loaded decides between static HTML and the browser
+    if (paging.render?.mode === "auto") {
+      if (records.length === 0) {
+        return await retryInBrowser(url, pageNum, extractor, paging, result)
+      }
+      paging.render.mode = "static"
+    }
+    return result
+  } catch (error) {
+    console.error(`Error scraping page ${pageNum}:`, error)
+    return { ...empty, error: error.message, errorCode: error.code || null }
+  }
+}
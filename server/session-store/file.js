@@ -0,0 +1,81 @@
+import fs from "fs/promises"
+import path from "path"
+
+// Session IDs become file names, so only allow safe characters
+const SAFE_ID = /^[A-Za-z0-9_-]+$/
+
+/**
+ * Session backend that stores one JSON file per session, for local development and
+ * single-instance deployments with a persistent disk
+ * @param {Object} options - Backend options
+ * @param {string} options.dir - Directory holding the session files
+ * @returns {Object} - Session backend
+ */
+export function createFileBackend({ dir }) {
+  const fileFor = (id) => {
+    if (!SAFE_ID.test(id)) {
+      throw new Error(`Invalid session ID: ${id}`)
+    }
+    return path.join(dir, `${id}.json`)
+  }
+
+  const readFile = async (file) => {
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"))
+    } catch (error) {
+      if (error.code === "ENOENT") return null
+      throw error
+    }
+  }
+
+  return {
+    name: "file",
+
+    async read(id) {
+      if (!SAFE_ID.test(id)) return null
+      return readFile(fileFor(id))
+    },
+
+    async write(record) {
+      await fs.mkdir(dir, { recursive: true })
+
+      // Write then rename so a crash never leaves a half-written session
+      const file = fileFor(record.id)
+      const tempFile = `${file}.${process.pid}.tmp`
+      await fs.writeFile(tempFile, JSON.stringify(record))
+      await fs.rename(tempFile, file)
+    },
+
+    async remove(id) {
+      if (!SAFE_ID.test(id)) return false
+      try {
+        await fs.unlink(fileFor(id))
+        return true
+      } catch (error) {
+        if (error.code === "ENOENT") return false
+        throw error
+      }
+    },
+
+    async list() {
+      let files
+      try {
+        files = await fs.readdir(dir)
+      } catch (error) {
+        if (error.code === "ENOENT") return []
+        throw error
+      }
+
+      const records = await Promise.all(
+        files.filter((file) => file.endsWith(".json")).map((file) => readFile(path.join(dir, file))),
+      )
+      return records.filter(Boolean)
+    },
+
+    async removeExpired(now) {
+      const expired = (await this.list()).filter((record) => record.expiresAt <= now)
+      await Promise.all(expired.map((record) => this.remove(record.id)))
+      return expired.length
+    },
+  }
+}
@@ -0,0 +1,185 @@
+import { v4 as uuidv4 } from "uuid"
+import { createMemoryBackend } from "./memory.js"
+import { createFileBackend } from "./file.js"
+import { createSupabaseBackend } from "./supabase.js"
+import { createMemory, sessionTitle } from "../conversation.js"
+
+// How often expired sessions are purged
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000 // 10 minutes
+
+/**
+ * Creates the data of a brand new session
+ * @param {string|null} owner - Account that creates it
+ * @returns {Object} - Empty session
+ */
+function createSessionData(owner) {
+  return {
+    owner,
+    title: null,
+    messages: [],
+    memory: createMemory(),
+    scrapedData: null,
+    currentPage: 1,
+    lastUrl: null,
+    forkedFrom: null,
+  }
+}
+
+/**
+ * Sums up a session for the session list, so listing doesn't need every session's messages and records
+ * @param {Object} session - Session data
+ * @returns {Object} - { owner, title, messageCount, recordCount, lastUrl, forkedFrom }
+ */
+function summarizeSession(session) {
+  return {
+    owner: session.owner ?? null,
+    title: sessionTitle(session),
+    messageCount: session.messages.length,
+    recordCount: Array.isArray(session.scrapedData) ? session.scrapedData.length : 0,
+    lastUrl: session.lastUrl,
+    forkedFrom: session.forkedFrom || null,
+  }
+}
+
+/**
+ * Creates a session store on top of a storage backend. Sessions expire after `ttlMs`
+ * without being saved; every save pushes the expiry back. A session belongs to the account (API key)
+ * that created it: lookups that pass an owner don't see other accounts' sessions, and `null` stands for
+ * requests made while authentication is off
+ * @param {Object} options - Store options
+ * @param {string} [options.backend] - "memory", "file" or "supabase"
+ * @param {number} [options.ttlMs] - Idle time before a session expires
+ * @param {string} [options.dir] - Directory for the file backend
+ * @param {Object} [options.supabase] - Supabase client for the supabase backend
+ * @returns {Object} - Session store
+ */
+export function createSessionStore({ backend = "memory", ttlMs = 24 * 60 * 60 * 1000, dir, supabase } = {}) {
+  let storage
+  if (backend === "memory") {
+    storage = createMemoryBackend()
+  } else if (backend === "file") {
+    storage = createFileBackend({ dir: dir || "./data/sessions" })
+  } else if (backend === "supabase") {
+    storage = createSupabaseBackend({ supabase })
+  } else {
+    throw new Error(`Unknown session store backend: ${backend}`)
+  }
+
+  const isLive = (record) => record && record.expiresAt > Date.now()
+
+  // An undefined owner skips the check, for server code working on a session it already resolved
+  const belongsTo = (record, owner) => owner === undefined || (record.summary.owner ?? null) === owner
+
+  // Records saved before sessions had summaries get one from their data
+  const withSummary = (record) =>
+    record && !record.summary ? { ...record, summary: summarizeSession(record.data) } : record
+
+  const store = {
+    backend: storage.name,
+
+    /**
+     * Loads a live session
+     * @param {string} id - Session ID
+     * @param {string|null} [owner] - Account that must own it
+     * @returns {Promise<Object|null>} - Session data, or null if missing, expired or someone else's
+     */
+    async get(id, owner) {
+      return (await store.getRecord(id, owner))?.data || null
+    },
+
+    /**
+     * Loads a session's data together with its timestamps
+     * @param {string} id - Session ID
+     * @param {string|null} [owner] - Account that must own it
+     * @returns {Promise<Object|null>} - { id, data, summary, createdAt, updatedAt, expiresAt }, or null
+     */
+    async getRecord(id, owner) {
+      if (!id) return null
+      const record = withSummary(await storage.read(id))
+      return isLive(record) && belongsTo(record, owner) ? record : null
+    },
+
+    /**
+     * Loads a session, creating a new one if the ID is unknown, expired or someone else's
+     * @param {string} [id] - Session ID from the client
+     * @param {string|null} [owner] - Account making the request
+     * @returns {Promise<Object>} - { sessionId, session, created }
+     */
+    async getOrCreate(id, owner = null) {
+      const existing = await store.get(id, owner)
+      if (existing) {
+        return { sessionId: id, session: existing, created: false }
+      }
+
+      const session = createSessionData(owner)
+      const sessionId = await store.create(session)
+      return { sessionId, session, created: true }
+    },
+
+    /**
+     * Saves data as a new session, e.g. a fork of another one
+     * @param {Object} session - Session data, with its owner
+     * @returns {Promise<string>} - ID of the new session
+     */
+    async create(session) {
+      const sessionId = uuidv4()
+      await store.save(sessionId, session)
+      return sessionId
+    },
+
+    /**
+     * Saves a session and extends its expiry
+     * @param {string} id - Session ID
+     * @param {Object} session - Session data
+     */
+    async save(id, session) {
+      const now = Date.now()
+      const existing = await storage.read(id)
+      await storage.write({
+        id,
+        data: session,
+        summary: summarizeSession(session),
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+        expiresAt: now + ttlMs,
+      })
+    },
+
+    /**
+     * Deletes a session
+     * @param {string} id - Session ID
+     * @returns {Promise<boolean>} - True if the session existed
+     */
+    async delete(id) {
+      return storage.remove(id)
+    },
+
+    /**
+     * Lists live sessions, most recently updated first. Backends may leave out the records' data, so use
+     * their summaries
+     * @param {string|null} [owner] - Only list this account's sessions
+     * @returns {Promise<Array>} - Session records
+     */
+    async list(owner) {
+      const records = await storage.list(owner)
+      return records
+        .map(withSummary)
+        .filter((record) => isLive(record) && belongsTo(record, owner))
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+    },
+
+    /**
+     * Purges expired sessions
+     * @returns {Promise<number>} - Number of sessions removed
+     */
+    async sweep() {
+      return storage.removeExpired(Date.now())
+    },
+  }
+
+  setInterval(() => {
+    store.sweep().catch((error) => console.error("❌ Error purging expired sessions:", error))
+  }, SWEEP_INTERVAL_MS).unref()
+
+  return store
+}
@@ -0,0 +1,39 @@
+/**
+ * Session backend that keeps records in this process. Fast, but sessions are lost on
+ * restart and not shared between instances
+ * @returns {Object} - Session backend
+ */
+export function createMemoryBackend() {
+  const records = new Map()
+
+  return {
+    name: "memory",
+
+    async read(id) {
+      return records.get(id) || null
+    },
+
+    async write(record) {
+      records.set(record.id, record)
+    },
+
+    async remove(id) {
+      return records.delete(id)
+    },
+
+    async list() {
+      return Array.from(records.values())
+    },
+
+    async removeExpired(now) {
+      let removed = 0
+      for (const [id, record] of records) {
+        if (record.expiresAt <= now) {
+          records.delete(id)
+          removed++
+        }
+      }
+      return removed
+    },
+  }
+}
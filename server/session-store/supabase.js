@@ -0,0 +1,74 @@
+/**
+ * Session backend on a Supabase table, shared by every server instance.
+ * Expects `sessions` (id text primary key, owner text, data jsonb, summary jsonb, created_at, updated_at and
+ * expires_at timestamptz); owner and summary let the session list skip the sessions' data
+ * @param {Object} options - Backend options
+ * @param {Object} options.supabase - Supabase client
+ * @param {string} [options.table] - Table name
+ * @returns {Object} - Session backend
+ */
+export function createSupabaseBackend({ supabase, table = "sessions" }) {
+  const toRecord = (row) => ({
+    id: row.id,
+    ...(row.data ? { data: row.data } : {}),
+    ...(row.summary ? { summary: row.summary } : {}),
+    createdAt: Date.parse(row.created_at),
+    updatedAt: Date.parse(row.updated_at),
+    expiresAt: Date.parse(row.expires_at),
+  })
+
+  return {
+    name: "supabase",
+
+    async read(id) {
+      const { data, error } = await supabase.from(table).select("*").eq("id", id).maybeSingle()
+      if (error) throw new Error(`Error reading session: ${error.message}`)
+      return data ? toRecord(data) : null
+    },
+
+    async write(record) {
+      const { error } = await supabase.from(table).upsert([
+        {
+          id: record.id,
+          owner: record.summary.owner,
+          data: record.data,
+          summary: record.summary,
+          created_at: new Date(record.createdAt).toISOString(),
+          updated_at: new Date(record.updatedAt).toISOString(),
+          expires_at: new Date(record.expiresAt).toISOString(),
+        },
+      ])
+      if (error) throw new Error(`Error storing session: ${error.message}`)
+    },
+
+    async remove(id) {
+      const { error, count } = await supabase.from(table).delete({ count: "exact" }).eq("id", id)
+      if (error) throw new Error(`Error deleting session: ${error.message}`)
+      return count > 0
+    },
+
+    // Sessions stored before the summary column was filled are left out until they are saved again
+    async list(owner) {
+      let query = supabase
+        .from(table)
+        .select("id, summary, created_at, updated_at, expires_at")
+        .not("summary", "is", null)
+        .order("updated_at", { ascending: false })
+      if (owner !== undefined) {
+        query = owner === null ? query.is("owner", null) : query.eq("owner", owner)
+      }
+      const { data, error } = await query
+      if (error) throw new Error(`Error listing sessions: ${error.message}`)
+      return data.map(toRecord)
+    },
+
+    async removeExpired(now) {
+      const { error, count } = await supabase
+        .from(table)
+        .delete({ count: "exact" })
+        .lte("expires_at", new Date(now).toISOString())
+      if (error) throw new Error(`Error removing expired sessions: ${error.message}`)
+      return count || 0
+    },
+  }
+}
@@ -0,0 +1,304 @@
+import { v4 as uuidv4 } from "uuid"
+import { identifyRecords } from "./dedupe.js"
+import { isBlank } from "./normalize.js"
+
+// Snapshots kept in memory per URL; the oldest is dropped first. The database keeps them all
+const MAX_SNAPSHOTS_PER_URL = Number(process.env.MAX_SNAPSHOTS_PER_URL) || 50
+
+// Records kept in memory over all snapshots; the snapshots of the URLs scraped longest ago are dropped first
+const MAX_CACHED_RECORDS = Number(process.env.MAX_CACHED_SNAPSHOT_RECORDS) || 100000
+
+// Snapshots of each URL, oldest first, mirrored to the `scrape_snapshots` table. Map order is the order the
+// URLs were last scraped in, least recent first
+const snapshots = new Map()
+let cachedRecords = 0
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Length of the units in phrases like "3 weeks ago" or "last month"
+const UNIT_DAYS = { day: 1, week: 7, month: 30, year: 365 }
+
+/**
+ * Normalizes a URL to the key its snapshots are stored under
+ * @param {string} url - Scraped URL
+ * @returns {string} - The URL without its fragment
+ */
+export function toSnapshotUrl(url) {
+  try {
+    const parsed = new URL(url)
+    parsed.hash = ""
+    return parsed.href
+  } catch {
+    return url
+  }
+}
+
+/**
+ * Describes a snapshot without its records
+ * @param {Object} snapshot - Snapshot
+ * @returns {Object} - { id, url, takenAt, firstPage, pageCount, recordCount }
+ */
+function describeSnapshot({ id, url, takenAt, firstPage, pageCount, recordCount }) {
+  return { id, url, takenAt, firstPage, pageCount, recordCount }
+}
+
+/**
+ * Tells whether two snapshots cover the same pages, and so can be compared
+ * @param {Object} a - Snapshot
+ * @param {Object} b - Snapshot
+ * @returns {boolean} - True for the same first page and page count
+ */
+export function samePages(a, b) {
+  return a.firstPage === b.firstPage && a.pageCount === b.pageCount
+}
+
+/**
+ * Names the pages a snapshot covers
+ * @param {Object} snapshot - Snapshot
+ * @returns {string} - E.g. "page 1" or "pages 2 to 4"
+ */
+export function describePages({ firstPage, pageCount }) {
+  return pageCount === 1 ? `page ${firstPage}` : `pages ${firstPage} to ${firstPage + pageCount - 1}`
+}
+
+/**
+ * Keeps a snapshot in memory, dropping old ones past the per-URL and overall limits
+ * @param {Object} snapshot - Snapshot with its records
+ */
+function cacheSnapshot(snapshot) {
+  // Empty snapshots count as one record, so their number is bounded too
+  const size = ({ recordCount }) => Math.max(1, recordCount)
+  const list = snapshots.get(snapshot.url) || []
+  snapshots.delete(snapshot.url) // Set again below, as the most recently scraped URL
+  list.push(snapshot)
+  cachedRecords += size(snapshot)
+  while (list.length > MAX_SNAPSHOTS_PER_URL) {
+    cachedRecords -= size(list.shift())
+  }
+  snapshots.set(snapshot.url, list)
+
+  for (const [url, entries] of snapshots) {
+    if (cachedRecords <= MAX_CACHED_RECORDS) break
+    while (entries.length > 0 && cachedRecords > MAX_CACHED_RECORDS) {
+      cachedRecords -= size(entries.shift())
+    }
+    if (entries.length === 0) snapshots.delete(url)
+  }
+}
+
+/**
+ * Stores what a scrape collected as a new snapshot of its URL
+ * @param {Object} supabase - Supabase client
+ * @param {string} url - Scraped URL
+ * @param {Array<Object>} records - Records of the scraped pages
+ * @param {Object} pages - { start, end } pages the records come from
+ * @returns {Promise<Object>} - The snapshot, without its records
+ */
+export async function saveSnapshot(supabase, url, records, { start, end }) {
+  const snapshot = {
+    id: uuidv4(),
+    url: toSnapshotUrl(url),
+    takenAt: new Date().toISOString(),
+    firstPage: start,
+    pageCount: end - start + 1,
+    recordCount: records.length,
+    records,
+  }
+  cacheSnapshot(snapshot)
+
+  try {
+    const { error } = await supabase.from("scrape_snapshots").insert([
+      {
+        id: snapshot.id,
+        url: snapshot.url,
+        taken_at: snapshot.takenAt,
+        first_page: snapshot.firstPage,
+        page_count: snapshot.pageCount,
+        record_count: records.length,
+        records,
+      },
+    ])
+    if (error) {
+      console.error("❌ Error storing snapshot:", error)
+    }
+  } catch (dbError) {
+    console.error("Database storage error:", dbError)
+  }
+
+  return describeSnapshot(snapshot)
+}
+
+/**
+ * Lists the snapshots of a URL, preferring the database and falling back to this process's cache
+ * @param {Object} supabase - Supabase client
+ * @param {string} url - Scraped URL
+ * @returns {Promise<Array<Object>>} - Snapshots without their records, oldest first
+ */
+export async function listSnapshots(supabase, url) {
+  const key = toSnapshotUrl(url)
+  try {
+    const { data, error } = await supabase
+      .from("scrape_snapshots")
+      .select("id, url, taken_at, first_page, page_count, record_count")
+      .eq("url", key)
+      .order("taken_at")
+    if (!error && data?.length) {
+      return data.map((row) => ({
+        id: row.id,
+        url: row.url,
+        takenAt: row.taken_at,
+        firstPage: row.first_page ?? 1, // Rows stored before first_page existed
+        pageCount: row.page_count,
+        recordCount: row.record_count,
+      }))
+    }
+  } catch (dbError) {
+    console.error("Database lookup error:", dbError)
+  }
+
+  return (snapshots.get(key) || []).map(describeSnapshot)
+}
+
+/**
+ * Loads a snapshot with its records
+ * @param {Object} supabase - Supabase client
+ * @param {Object} snapshot - Snapshot from listSnapshots
+ * @returns {Promise<Array<Object>|null>} - The snapshot's records, or null when they can't be loaded
+ */
+export async function loadSnapshotRecords(supabase, { id, url }) {
+  const cached = snapshots.get(url)?.find((snapshot) => snapshot.id === id)
+  if (cached) return cached.records
+
+  try {
+    const { data, error } = await supabase.from("scrape_snapshots").select("records").eq("id", id).maybeSingle()
+    if (error || !data) return null
+    return data.records
+  } catch (dbError) {
+    console.error("Database lookup error:", dbError)
+    return null
+  }
+}
+
+/**
+ * Reads a point in time: an ISO date or a phrase like "yesterday", "last month" or "3 weeks ago"
+ * @param {string} text - Date or phrase
+ * @param {Date} [now] - Reference time
+ * @returns {Date|null} - The time, or null when the text isn't understood
+ */
+export function parseTime(text, now = new Date()) {
+  const phrase = String(text).trim().toLowerCase()
+  const ago = (days) => new Date(now.getTime() - days * DAY_MS)
+
+  if (phrase === "now" || phrase === "today") return now
+  if (phrase === "yesterday") return ago(1)
+
+  const last = phrase.match(/^(?:last|past|previous) (day|week|month|year)$/)
+  if (last) return ago(UNIT_DAYS[last[1]])
+
+  const relative = phrase.match(/^(?:(?:last|past) )?(\d+|an?) (day|week|month|year)s?(?: ago)?$/)
+  if (relative) {
+    const count = /^\d+$/.test(relative[1]) ? Number(relative[1]) : 1
+    return ago(count * UNIT_DAYS[relative[2]])
+  }
+
+  const time = Date.parse(text)
+  return Number.isNaN(time) ? null : new Date(time)
+}
+
+/**
+ * Picks a snapshot by id or by time: the last one taken at or before the time
+ * @param {Array<Object>} list - Snapshots, oldest first
+ * @param {string} reference - Snapshot id, date or phrase understood by parseTime
+ * @returns {Object} - { snapshot } or { error }; snapshot is null when every snapshot is newer than the time
+ */
+export function findSnapshot(list, reference) {
+  const byId = list.find((snapshot) => snapshot.id === reference)
+  if (byId) return { snapshot: byId }
+
+  const time = parseTime(reference)
+  if (!time) {
+    return { error: `"${reference}" is neither a snapshot id nor a date` }
+  }
+  return { snapshot: list.findLast((snapshot) => new Date(snapshot.takenAt) <= time) || null }
+}
+
+/**
+ * Compares two versions of a record field by field, treating blank and missing values alike
+ * @param {Object} before - Earlier record
+ * @param {Object} after - Later record
+ * @returns {Array<Object>} - { field, from, to } for every field that changed
+ */
+function compareRecords(before, after) {
+  const fields = Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).filter(
+    (field) => !field.startsWith("_"),
+  )
+  return fields
+    .filter((field) => {
+      if (isBlank(before[field]) && isBlank(after[field])) return false
+      return String(before[field] ?? "") !== String(after[field] ?? "")
+    })
+    .map((field) => ({ field, from: before[field] ?? null, to: after[field] ?? null }))
+}
+
+/**
+ * Works out what changed between two scrapes. Records are matched by name and city (or by all their
+ * values when they have no name), then leftovers by phone number, so a renamed business that kept its
+ * number shows up as modified rather than as removed and added
+ * @param {Array<Object>} before - Records of the earlier scrape
+ * @param {Array<Object>} after - Records of the later scrape
+ * @returns {Object} - { added, removed, modified: [{ record, changes: [{ field, from, to }] }], unchanged }
+ */
+export function diffRecords(before, after) {
+  const identities = identifyRecords([...before, ...after])
+  const beforeIds = identities.slice(0, before.length)
+  const afterIds = identities.slice(before.length)
+
+  // Unmatched earlier records by key; a list per key in case a scrape has duplicates
+  const byKey = new Map()
+  beforeIds.forEach(({ key }, index) => {
+    if (!byKey.has(key)) byKey.set(key, [])
+    byKey.get(key).push(index)
+  })
+  const matches = new Map() // later index => earlier index
+  const matched = new Set()
+  afterIds.forEach(({ key }, index) => {
+    const candidates = byKey.get(key)
+    if (!candidates?.length) return
+    const earlier = candidates.shift()
+    matches.set(index, earlier)
+    matched.add(earlier)
+  })
+
+  const byPhone = new Map()
+  beforeIds.forEach(({ phones }, index) => {
+    if (matched.has(index)) return
+    phones.forEach((digits) => {
+      if (!byPhone.has(digits)) byPhone.set(digits, index)
+    })
+  })
+  afterIds.forEach(({ phones }, index) => {
+    if (matches.has(index)) return
+    const earlier = phones
+      .map((digits) => byPhone.get(digits))
+      .find((candidate) => candidate !== undefined && !matched.has(candidate))
+    if (earlier === undefined) return
+    matches.set(index, earlier)
+    matched.add(earlier)
+  })
+
+  const added = []
+  const modified = []
+  let unchanged = 0
+  after.forEach((record, index) => {
+    if (!matches.has(index)) {
+      added.push(record)
+      return
+    }
+    const changes = compareRecords(before[matches.get(index)], record)
+    if (changes.length > 0) modified.push({ record, changes })
+    else unchanged++
+  })
+  const removed = before.filter((_, index) => !matched.has(index))
+
+  return { added, removed, modified, unchanged }
+}
@@ -0,0 +1,49 @@
+// Keeps proxies from closing idle streams
+const HEARTBEAT_MS = 15000
+
+/**
+ * Switches a response to Server-Sent Events
+ * @param {Object} res - Express response
+ * @returns {Object} - { send(event, data), close(), closed }; `closed` turns true when the client disconnects
+ */
+export function openEventStream(res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable proxy buffering
+  })
+  res.flushHeaders()
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS)
+
+  const stream = {
+    closed: false,
+    send(event, data) {
+      if (stream.closed) return
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+    },
+    close() {
+      if (stream.closed) return
+      stream.closed = true
+      clearInterval(heartbeat)
+      res.end()
+    },
+  }
+
+  res.on("close", () => {
+    stream.closed = true
+    clearInterval(heartbeat)
+  })
+
+  return stream
+}
+
+/**
+ * Tells whether a request asked for a streamed response
+ * @param {Object} req - Express request
+ * @returns {boolean} - True for `"stream": true` in the body or an Accept: text/event-stream header
+ */
+export function wantsEventStream(req) {
+  return req.body?.stream === true || (req.headers.accept || "").includes("text/event-stream")
+}
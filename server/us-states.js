@@ -0,0 +1,116 @@
+// USPS codes of the US states, the District of Columbia and the inhabited territories
+export const US_STATES = {
+  AL: "Alabama",
+  AK: "Alaska",
+  AZ: "Arizona",
+  AR: "Arkansas",
+  CA: "California",
+  CO: "Colorado",
+  CT: "Connecticut",
+  DE: "Delaware",
+  DC: "District of Columbia",
+  FL: "Florida",
+  GA: "Georgia",
+  HI: "Hawaii",
+  ID: "Idaho",
+  IL: "Illinois",
+  IN: "Indiana",
+  IA: "Iowa",
+  KS: "Kansas",
+  KY: "Kentucky",
+  LA: "Louisiana",
+  ME: "Maine",
+  MD: "Maryland",
+  MA: "Massachusetts",
+  MI: "Michigan",
+  MN: "Minnesota",
+  MS: "Mississippi",
+  MO: "Missouri",
+  MT: "Montana",
+  NE: "Nebraska",
+  NV: "Nevada",
+  NH: "New Hampshire",
+  NJ: "New Jersey",
+  NM: "New Mexico",
+  NY: "New York",
+  NC: "North Carolina",
+  ND: "North Dakota",
+  OH: "Ohio",
+  OK: "Oklahoma",
+  OR: "Oregon",
+  PA: "Pennsylvania",
+  RI: "Rhode Island",
+  SC: "South Carolina",
+  SD: "South Dakota",
+  TN: "Tennessee",
+  TX: "Texas",
+  UT: "Utah",
+  VT: "Vermont",
+  VA: "Virginia",
+  WA: "Washington",
+  WV: "West Virginia",
+  WI: "Wisconsin",
+  WY: "Wyoming",
+  AS: "American Samoa",
+  GU: "Guam",
+  MP: "Northern Mariana Islands",
+  PR: "Puerto Rico",
+  VI: "U.S. Virgin Islands",
+}
+
+// Common abbreviations that aren't USPS codes
+const STATE_ALIASES = {
+  "d.c.": "DC",
+  "washington dc": "DC",
+  "washington d.c.": "DC",
+  "virgin islands": "VI",
+  ala: "AL",
+  ariz: "AZ",
+  ark: "AR",
+  calif: "CA",
+  colo: "CO",
+  conn: "CT",
+  del: "DE",
+  fla: "FL",
+  ill: "IL",
+  ind: "IN",
+  kan: "KS",
+  kans: "KS",
+  minn: "MN",
+  miss: "MS",
+  mont: "MT",
+  neb: "NE",
+  nebr: "NE",
+  nev: "NV",
+  okla: "OK",
+  ore: "OR",
+  tenn: "TN",
+  tex: "TX",
+  wash: "WA",
+  wis: "WI",
+  wisc: "WI",
+  wyo: "WY",
+}
+
+// Lowercase name or code => code
+const STATE_CODES = new Map(
+  Object.entries(US_STATES).flatMap(([code, name]) => [
+    [code.toLowerCase(), code],
+    [name.toLowerCase(), code],
+  ]),
+)
+
+/**
+ * Looks up a US state by code or name, ignoring case. Unless `strict`, common abbreviations
+ * such as "Tex." are recognised too
+ * @param {string} text - e.g. "TX", "Texas", "TEXAS" or "Tex."
+ * @param {Object} [options] - Lookup options
+ * @param {boolean} [options.strict] - Only accept codes and full names
+ * @returns {string|null} - USPS code, or null when the text isn't a state
+ */
+export function findState(text, { strict = false } = {}) {
+  const key = text.trim().toLowerCase().replace(/\s+/g, " ")
+  if (STATE_CODES.has(key)) return STATE_CODES.get(key)
+  if (strict) return null
+  return STATE_ALIASES[key] || STATE_ALIASES[key.replace(/\.$/, "")] || null
+}